@@ -0,0 +1,1785 @@
+// Headless drape analysis for the Drape Calculator
+// The OpenCV pipeline lives here with no DOM access, so it can run from the
+// page or from a Node script with opencv.js:
+//
+//   const cv = await require('@techstark/opencv-js');
+//   const DrapeAnalyzer = require('./analyzer.js');
+//   DrapeAnalyzer.setCv(cv);
+//   const result = DrapeAnalyzer.analyze(
+//     { data: rgba, width, height },
+//     { diskDiameter: 18, fabricDiameter: 30, reference: { type: 'coin', diameter: 2.5 }, click: { x, y } }
+//   );
+//   DrapeAnalyzer.release(result);
+const DrapeAnalyzer = {
+  // OpenCV module; falls back to the global `cv` loaded by the page
+  cv: null,
+
+  defaults: {
+    diskDiameter: 18.0,
+    fabricDiameter: 30.0,
+    reference: { type: 'coin', diameter: 2.5 },
+    click: null,
+    coin: null,
+    // Shadow segmentation strategy (see segmentation.js) and its options
+    segmentation: 'auto',
+    band: { lower: 0.35, upper: 0.58 },
+    background: null, // empty-tester image for the 'background' strategy
+    // Uncertainty estimate: band shift for the threshold sensitivity
+    uncertainty: { thresholdStep: 0.05 },
+  },
+
+  setCv: function (cvModule) {
+    this.cv = cvModule;
+  },
+
+  // Profile geometry helpers (profile.js): the page global or a Node require
+  getProfile: function () {
+    if (typeof DrapeProfile !== 'undefined') return DrapeProfile;
+    return require('./profile.js');
+  },
+
+  // Calibration target detector (target.js), sharing this OpenCV module
+  getTarget: function () {
+    const target =
+      typeof CalibrationTarget !== 'undefined' ? CalibrationTarget : require('./target.js');
+    if (!target.cv && this.cv) target.setCv(this.cv);
+    return target;
+  },
+
+  // Shadow segmentation strategies (segmentation.js), as getTarget()
+  getSegmentation: function () {
+    const segmentation =
+      typeof ShadowSegmentation !== 'undefined' ? ShadowSegmentation : require('./segmentation.js');
+    if (!segmentation.cv && this.cv) segmentation.setCv(this.cv);
+    return segmentation;
+  },
+
+  getCv: function () {
+    const cvModule =
+      this.cv || (typeof globalThis !== 'undefined' ? globalThis.cv : undefined);
+    if (!cvModule || !cvModule.Mat) {
+      throw new Error('OpenCV not loaded');
+    }
+    return cvModule;
+  },
+
+  // Accept a cv.Mat or an RGBA buffer ({ data, width, height }, e.g. ImageData)
+  toMat: function (image) {
+    const cv = this.getCv();
+    if (image instanceof cv.Mat) return image.clone();
+    if (!image || !image.data || !image.width || !image.height) {
+      throw new Error('Image must be a cv.Mat or an RGBA buffer with width/height');
+    }
+    if (image.data.length !== image.width * image.height * 4) {
+      throw new Error('RGBA buffer size does not match width × height');
+    }
+    return cv.matFromImageData(image);
+  },
+
+  // Categorize drape based on coefficient (percentage)
+  classify: function (drapePercent) {
+    if (drapePercent < 30) return 'Stiff';
+    if (drapePercent < 60) return 'Medium Drape';
+    if (drapePercent < 85) return 'Good Drape';
+    return 'Excellent Drape';
+  },
+
+  // Detect a coin around a click point: Hough first, contours as fallback
+  detectCoin: function (src, clickX, clickY) {
+    return (
+      this.detectCoinHough(src, clickX, clickY) ||
+      this.detectCoinContour(src, clickX, clickY)
+    );
+  },
+
+  // Detect coin using Hough Circle Transform
+  detectCoinHough: function (src, clickX, clickY) {
+    const cv = this.getCv();
+    try {
+      // Convert to grayscale
+      let gray = new cv.Mat();
+      cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+
+      // Apply Gaussian blur
+      let blurred = new cv.Mat();
+      cv.GaussianBlur(gray, blurred, new cv.Size(9, 9), 2, 2);
+
+      // Calculate adaptive radius based on image size
+      // Assuming coin is about 2-5% of image width for typical drape test photos
+      const imgDiagonal = Math.sqrt(src.cols * src.cols + src.rows * src.rows);
+      const minRadius = Math.max(10, Math.floor(imgDiagonal * 0.01)); // At least 1% of diagonal
+      const maxRadius = Math.floor(imgDiagonal * 0.15); // At most 15% of diagonal
+      const minDist = Math.floor(minRadius * 2); // Minimum distance between circles
+
+      console.log(
+        'Hough params - minRadius:',
+        minRadius,
+        'maxRadius:',
+        maxRadius,
+        'minDist:',
+        minDist
+      );
+
+      // Apply Hough Circle Transform
+      let circles = new cv.Mat();
+      cv.HoughCircles(
+        blurred,
+        circles,
+        cv.HOUGH_GRADIENT,
+        1, // dp
+        minDist, // minDist (between circle centers)
+        100, // param1 (canny edge threshold)
+        30, // param2 (accumulator threshold)
+        minRadius, // minRadius (pixels) - adaptive
+        maxRadius // maxRadius (pixels) - adaptive
+      );
+
+      console.log('Hough circles found:', circles.cols);
+
+      let bestCircle = null;
+      let minDistance = Infinity;
+
+      // Find the circle closest to the click point
+      for (let i = 0; i < circles.cols; i++) {
+        let x = Math.round(circles.data32F[i * 3]);
+        let y = Math.round(circles.data32F[i * 3 + 1]);
+        let radius = Math.round(circles.data32F[i * 3 + 2]);
+
+        // Calculate distance from click point
+        let distance = Math.sqrt(
+          Math.pow(x - clickX, 2) + Math.pow(y - clickY, 2)
+        );
+
+        // Accept circle only if click is within the coin, with a precise but not overly strict radius
+        const acceptanceRadius = Math.max(radius * 0.9, 12);
+        const isInsideCircle = distance <= radius;
+        if (isInsideCircle && distance < acceptanceRadius && distance < minDistance) {
+          minDistance = distance;
+          bestCircle = { x, y, radius };
+          console.log(
+            'Found circle at:',
+            x,
+            y,
+            'radius:',
+            radius,
+            'distance:',
+            distance
+          );
+        }
+      }
+
+      // Clean up
+      gray.delete();
+      blurred.delete();
+      circles.delete();
+
+      return bestCircle;
+    } catch (error) {
+      console.error('Hough detection error:', error);
+      return null;
+    }
+  },
+
+  // Detect coin using contour detection
+  detectCoinContour: function (src, clickX, clickY) {
+    const cv = this.getCv();
+    try {
+      // Convert to grayscale
+      let gray = new cv.Mat();
+      cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+
+      // Apply binary threshold
+      let binary = new cv.Mat();
+      cv.threshold(gray, binary, 0, 255, cv.THRESH_BINARY + cv.THRESH_OTSU);
+
+      // Apply morphological operations to clean up
+      let kernel = cv.Mat.ones(5, 5, cv.CV_8U);
+      let morph = new cv.Mat();
+      cv.morphologyEx(binary, morph, cv.MORPH_CLOSE, kernel);
+
+      // Find contours
+      let contours = new cv.MatVector();
+      let hierarchy = new cv.Mat();
+      cv.findContours(
+        morph,
+        contours,
+        hierarchy,
+        cv.RETR_EXTERNAL,
+        cv.CHAIN_APPROX_SIMPLE
+      );
+
+      console.log('Contours found:', contours.size());
+
+      // Calculate adaptive area limits based on image size
+      const imgArea = src.cols * src.rows;
+      const minArea = imgArea * 0.0001; // 0.01% of image
+      const maxArea = imgArea * 0.05; // 5% of image
+
+      let bestCircle = null;
+      let minDistance = Infinity;
+
+      // Find contour closest to click point
+      for (let i = 0; i < contours.size(); i++) {
+        let contour = contours.get(i);
+        let area = cv.contourArea(contour);
+
+        // Filter by area (adaptive based on image size)
+        if (area < minArea || area > maxArea) continue;
+
+        // Get bounding circle
+        const enclosing = cv.minEnclosingCircle(contour);
+        let x = Math.round(enclosing.center.x);
+        let y = Math.round(enclosing.center.y);
+        let radius = Math.round(enclosing.radius);
+
+        // Calculate circularity
+        let perimeter = cv.arcLength(contour, true);
+        let circularity = (4 * Math.PI * area) / (perimeter * perimeter);
+
+        // Accept if it's reasonably circular and close to click (tighter than before)
+        if (circularity > 0.6) {
+          let distance = Math.sqrt(
+            Math.pow(x - clickX, 2) + Math.pow(y - clickY, 2)
+          );
+
+          // Precise click acceptance but not overly strict
+          const acceptanceRadius = Math.max(radius * 0.9, 12);
+          const isInsideCircle = distance <= radius;
+          if (isInsideCircle && distance < acceptanceRadius && distance < minDistance) {
+            minDistance = distance;
+            bestCircle = { x, y, radius };
+            console.log(
+              'Found contour circle at:',
+              x,
+              y,
+              'radius:',
+              radius,
+              'circularity:',
+              circularity
+            );
+          }
+        }
+      }
+
+      // Clean up
+      gray.delete();
+      binary.delete();
+      kernel.delete();
+      morph.delete();
+      contours.delete();
+      hierarchy.delete();
+
+      return bestCircle;
+    } catch (error) {
+      console.error('Contour detection error:', error);
+      return null;
+    }
+  },
+
+  // Detect the support disk circle near the image center.
+  // Uses HoughCircles with radius constrained around expectedDiskRadiusPx.
+  detectSupportDisk: function (grayOrBlurred, expectedDiskRadiusPx) {
+    const cv = this.getCv();
+    try {
+      if (!grayOrBlurred || grayOrBlurred.empty()) return null;
+
+      // Ensure grayscale
+      let gray = new cv.Mat();
+      if (grayOrBlurred.type() === cv.CV_8UC1) {
+        grayOrBlurred.copyTo(gray);
+      } else {
+        cv.cvtColor(grayOrBlurred, gray, cv.COLOR_RGBA2GRAY, 0);
+      }
+
+      // Blur for Hough stability
+      let blurred = new cv.Mat();
+      cv.GaussianBlur(gray, blurred, new cv.Size(9, 9), 2, 2);
+
+      const r = Math.max(10, Math.round(expectedDiskRadiusPx));
+      const minRadius = Math.max(10, Math.round(r * 0.75));
+      const maxRadius = Math.round(r * 1.25);
+
+      let circles = new cv.Mat();
+      cv.HoughCircles(
+        blurred,
+        circles,
+        cv.HOUGH_GRADIENT,
+        1, // dp
+        r, // minDist
+        120, // param1
+        35, // param2
+        minRadius,
+        maxRadius
+      );
+
+      if (!circles || circles.cols <= 0) {
+        gray.delete();
+        blurred.delete();
+        circles.delete();
+        return null;
+      }
+
+      const cx0 = gray.cols / 2;
+      const cy0 = gray.rows / 2;
+
+      let best = null;
+      let bestScore = Infinity;
+
+      for (let i = 0; i < circles.cols; i++) {
+        const x = circles.data32F[i * 3];
+        const y = circles.data32F[i * 3 + 1];
+        const rad = circles.data32F[i * 3 + 2];
+
+        const centerDist = Math.hypot(x - cx0, y - cy0);
+        const radiusDiff = Math.abs(rad - r);
+
+        // Prefer circles near center and near expected radius
+        const score = centerDist * 1.0 + radiusDiff * 2.0;
+        if (score < bestScore) {
+          bestScore = score;
+          best = { x: Math.round(x), y: Math.round(y), radius: rad };
+        }
+      }
+
+      gray.delete();
+      blurred.delete();
+      circles.delete();
+
+      return best;
+    } catch (e) {
+      console.error('Support disk circle detection error:', e);
+      return null;
+    }
+  },
+
+  // Find the support disk without a known scale: the strongest Hough circle
+  // near the image centre, between 10% and 45% of the shorter image side.
+  detectSupportDiskAuto: function (gray) {
+    const cv = this.getCv();
+    let blurred = new cv.Mat();
+    let circles = new cv.Mat();
+
+    try {
+      cv.GaussianBlur(gray, blurred, new cv.Size(9, 9), 2, 2);
+
+      const minDim = Math.min(gray.cols, gray.rows);
+      cv.HoughCircles(
+        blurred,
+        circles,
+        cv.HOUGH_GRADIENT,
+        1, // dp
+        Math.round(minDim * 0.1), // minDist
+        120, // param1
+        35, // param2
+        Math.round(minDim * 0.1),
+        Math.round(minDim * 0.45)
+      );
+
+      const cx0 = gray.cols / 2;
+      const cy0 = gray.rows / 2;
+      let best = null;
+      let bestDist = Infinity;
+
+      // Circles come back strongest first; take the first one close to the
+      // centre, otherwise the one nearest to it
+      for (let i = 0; i < circles.cols; i++) {
+        const x = circles.data32F[i * 3];
+        const y = circles.data32F[i * 3 + 1];
+        const rad = circles.data32F[i * 3 + 2];
+        const centerDist = Math.hypot(x - cx0, y - cy0);
+
+        if (centerDist < minDim * 0.15) {
+          return { x: Math.round(x), y: Math.round(y), radius: rad };
+        }
+        if (centerDist < bestDist) {
+          bestDist = centerDist;
+          best = { x: Math.round(x), y: Math.round(y), radius: rad };
+        }
+      }
+
+      return best;
+    } catch (e) {
+      console.error('Automatic support disk detection error:', e);
+      return null;
+    } finally {
+      blurred.delete();
+      circles.delete();
+    }
+  },
+
+  // Fit an ellipse to the support disk rim. A tilted camera images the
+  // round disk as an ellipse. Around the Hough circle the image is
+  // thresholded at a few levels between the disk face and its surroundings;
+  // at each level the region under the centre is outlined and fitted, and
+  // the most elliptical outline wins (a drape shadow is wavy, the disk not).
+  // Returns { center: { x, y }, axes: { major, minor } (semi-axes, px),
+  // angle (deg, major axis), ellipticity (1 − minor/major) } or null.
+  fitDiskEllipse: function (image, diskHint = null) {
+    const cv = this.getCv();
+    let src = this.toMat(image);
+    let gray = new cv.Mat();
+    let blurred = new cv.Mat();
+    let roi = null;
+
+    try {
+      cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+      const hint = diskHint || this.detectSupportDiskAuto(gray);
+      if (!hint) return null;
+
+      const pad = Math.round(hint.radius * 1.4);
+      const x0 = Math.max(0, Math.round(hint.x - pad));
+      const y0 = Math.max(0, Math.round(hint.y - pad));
+      const x1 = Math.min(gray.cols, Math.round(hint.x + pad));
+      const y1 = Math.min(gray.rows, Math.round(hint.y + pad));
+      roi = gray.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+      cv.GaussianBlur(roi, blurred, new cv.Size(5, 5), 1.5, 1.5);
+
+      // Disk face against what lies just outside the rim (the disk may be
+      // darker or brighter than its surroundings)
+      const cx = hint.x - x0;
+      const cy = hint.y - y0;
+      const inside = [];
+      const outside = [];
+      for (let y = 0; y < blurred.rows; y += 2) {
+        for (let x = 0; x < blurred.cols; x += 2) {
+          const d = Math.hypot(x - cx, y - cy) / hint.radius;
+          if (d < 0.6) inside.push(blurred.ucharAt(y, x));
+          else if (d > 1.15 && d < 1.35) outside.push(blurred.ucharAt(y, x));
+        }
+      }
+      const median = (values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+      const inner = median(inside);
+      const outer = median(outside);
+      if (inner === undefined || outer === undefined || Math.abs(inner - outer) < 10) {
+        return null;
+      }
+
+      let best = null;
+      [0.25, 0.5, 0.75].forEach((level) => {
+        const fit = this.fitRegionEllipse(
+          blurred,
+          inner + (outer - inner) * level,
+          inner > outer,
+          { x: cx, y: cy },
+          { x: x0, y: y0 }
+        );
+        if (fit && (!best || fit.residual < best.residual)) best = fit;
+      });
+
+      return best ? best.ellipse : null;
+    } catch (e) {
+      console.error('Support disk ellipse fit error:', e);
+      return null;
+    } finally {
+      src.delete();
+      gray.delete();
+      blurred.delete();
+      if (roi) roi.delete();
+    }
+  },
+
+  // Threshold a window, outline the region under `seed` and fit an ellipse
+  // to its boundary (trimming outliers). offset maps window to image coords.
+  // Returns { ellipse, residual (mean |normalised radius − 1|) } or null.
+  fitRegionEllipse: function (gray, threshold, brighter, seed, offset) {
+    const cv = this.getCv();
+    let binary = new cv.Mat();
+    let contours = new cv.MatVector();
+    let hierarchy = new cv.Mat();
+
+    try {
+      cv.threshold(
+        gray,
+        binary,
+        threshold,
+        255,
+        brighter ? cv.THRESH_BINARY : cv.THRESH_BINARY_INV
+      );
+      cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_NONE);
+
+      let region = null;
+      let regionArea = 0;
+      for (let i = 0; i < contours.size(); i++) {
+        const contour = contours.get(i);
+        if (cv.pointPolygonTest(contour, new cv.Point(seed.x, seed.y), false) < 0) continue;
+        const area = cv.contourArea(contour);
+        if (area > regionArea) {
+          regionArea = area;
+          region = contour;
+        }
+      }
+      if (!region) return null;
+
+      const all = [];
+      for (let k = 0; k < region.data32S.length; k += 2) {
+        all.push({ x: region.data32S[k] + offset.x, y: region.data32S[k + 1] + offset.y });
+      }
+
+      let points = all;
+      let ellipse = null;
+      for (let pass = 0; pass < 3; pass++) {
+        if (points.length < 20) break;
+        ellipse = this.fitEllipsePoints(points);
+
+        // Drop points far from the current fit (normalised radial distance)
+        const kept = points.filter((p) => Math.abs(this.ellipseDistance(ellipse, p) - 1) < 0.05);
+        if (kept.length === points.length) break;
+        points = kept;
+      }
+      if (!ellipse || !(ellipse.axes.minor > 0)) return null;
+
+      const residual =
+        all.reduce((sum, p) => sum + Math.abs(this.ellipseDistance(ellipse, p) - 1), 0) /
+        all.length;
+      return { ellipse: ellipse, residual: residual };
+    } finally {
+      binary.delete();
+      contours.delete();
+      hierarchy.delete();
+    }
+  },
+
+  // cv.fitEllipse on plain points, as { center, axes (semi, major ≥ minor), angle, ellipticity }
+  fitEllipsePoints: function (points) {
+    const cv = this.getCv();
+    const flat = [];
+    points.forEach((p) => flat.push(p.x, p.y));
+    let mat = cv.matFromArray(points.length, 1, cv.CV_32SC2, flat);
+    try {
+      const box = cv.fitEllipse(mat);
+      let major = box.size.width / 2;
+      let minor = box.size.height / 2;
+      let angle = box.angle;
+      if (minor > major) {
+        [major, minor] = [minor, major];
+        angle += 90;
+      }
+      return {
+        center: { x: box.center.x, y: box.center.y },
+        axes: { major: major, minor: minor },
+        angle: ((angle % 180) + 180) % 180,
+        ellipticity: 1 - minor / major,
+      };
+    } finally {
+      mat.delete();
+    }
+  },
+
+  // Normalised radius of a point in the ellipse frame (1 = on the ellipse)
+  ellipseDistance: function (ellipse, p) {
+    const t = (ellipse.angle * Math.PI) / 180;
+    const dx = p.x - ellipse.center.x;
+    const dy = p.y - ellipse.center.y;
+    const u = dx * Math.cos(t) + dy * Math.sin(t);
+    const v = -dx * Math.sin(t) + dy * Math.cos(t);
+    return Math.hypot(u / ellipse.axes.major, v / ellipse.axes.minor);
+  },
+
+  // Homography (row-major 3x3 array) mapping the four src points onto dst
+  homographyFromPoints: function (srcPoints, dstPoints) {
+    const cv = this.getCv();
+    const flatten = (pts) => pts.reduce((a, p) => a.concat([p.x, p.y]), []);
+    let srcMat = cv.matFromArray(4, 1, cv.CV_32FC2, flatten(srcPoints));
+    let dstMat = cv.matFromArray(4, 1, cv.CV_32FC2, flatten(dstPoints));
+    let H = null;
+    try {
+      H = cv.getPerspectiveTransform(srcMat, dstMat);
+      return Array.from(H.data64F);
+    } finally {
+      srcMat.delete();
+      dstMat.delete();
+      if (H) H.delete();
+    }
+  },
+
+  // Apply a row-major 3x3 homography to a point
+  transformPoint: function (H, p) {
+    const w = H[6] * p.x + H[7] * p.y + H[8];
+    return {
+      x: (H[0] * p.x + H[1] * p.y + H[2]) / w,
+      y: (H[3] * p.x + H[4] * p.y + H[5]) / w,
+    };
+  },
+
+  // Homography stretching the disk ellipse's minor axis out to a circle of
+  // the major radius (the axis ends map onto the circle, centre fixed)
+  ellipseHomography: function (ellipse) {
+    const t = (ellipse.angle * Math.PI) / 180;
+    const u = { x: Math.cos(t), y: Math.sin(t) };
+    const v = { x: -Math.sin(t), y: Math.cos(t) };
+    const c = ellipse.center;
+    const a = ellipse.axes.major;
+    const b = ellipse.axes.minor;
+    const at = (dir, len) => ({ x: c.x + dir.x * len, y: c.y + dir.y * len });
+
+    return this.homographyFromPoints(
+      [at(u, a), at(v, b), at(u, -a), at(v, -b)],
+      [at(u, a), at(v, a), at(u, -a), at(v, -a)]
+    );
+  },
+
+  // Homography sending four markers at the corners of a square (clockwise,
+  // starting top-left) to an upright square about their centroid
+  markerHomography: function (markers) {
+    if (!markers || markers.length !== 4) {
+      throw new Error('Four marker points are required');
+    }
+    const cx = markers.reduce((s, p) => s + p.x, 0) / 4;
+    const cy = markers.reduce((s, p) => s + p.y, 0) / 4;
+    let side = 0;
+    for (let i = 0; i < 4; i++) {
+      const p = markers[i];
+      const q = markers[(i + 1) % 4];
+      side += Math.hypot(q.x - p.x, q.y - p.y) / 4;
+    }
+    const h = side / 2;
+
+    return this.homographyFromPoints(markers, [
+      { x: cx - h, y: cy - h },
+      { x: cx + h, y: cy - h },
+      { x: cx + h, y: cy + h },
+      { x: cx - h, y: cy + h },
+    ]);
+  },
+
+  /**
+   * Perspective-correct an image so the support disk is circular.
+   *
+   * options: { method: 'ellipse' (fit the disk rim, default)
+   *                   | 'markers' (four square-corner points),
+   *            markers: [{ x, y } × 4] }
+   *
+   * Returns { image (warped cv.Mat, owned by the caller), method,
+   * homography (row-major 3x3), ellipse (disk before correction),
+   * ellipticityBefore, residualEllipticity (disk refitted after warping) }.
+   */
+  rectify: function (image, options = {}) {
+    const cv = this.getCv();
+    const method = options.method || 'ellipse';
+    let src = this.toMat(image);
+    let H = null;
+
+    try {
+      const ellipse = this.fitDiskEllipse(src);
+      let homography;
+      if (method === 'markers') {
+        homography = this.markerHomography(options.markers);
+      } else {
+        if (!ellipse) throw new Error('Support disk rim not found for perspective correction');
+        homography = this.ellipseHomography(ellipse);
+      }
+
+      H = cv.matFromArray(3, 3, cv.CV_64FC1, homography);
+      const warped = new cv.Mat();
+      cv.warpPerspective(
+        src,
+        warped,
+        H,
+        new cv.Size(src.cols, src.rows),
+        cv.INTER_LINEAR,
+        cv.BORDER_REPLICATE,
+        new cv.Scalar()
+      );
+
+      // Refit around the mapped disk centre to measure what is left
+      let residual = null;
+      if (ellipse) {
+        const c = this.transformPoint(homography, ellipse.center);
+        const after = this.fitDiskEllipse(warped, {
+          x: Math.round(c.x),
+          y: Math.round(c.y),
+          radius: ellipse.axes.major,
+        });
+        residual = after ? after.ellipticity : null;
+      }
+
+      return {
+        image: warped,
+        method: method,
+        homography: homography,
+        ellipse: ellipse,
+        ellipticityBefore: ellipse ? ellipse.ellipticity : null,
+        residualEllipticity: residual,
+      };
+    } finally {
+      src.delete();
+      if (H) H.delete();
+    }
+  },
+
+  /**
+   * Align an empty-tester background shot to a capture.
+   *
+   * The support disk is the one fixed object both shots share, so the
+   * background is shifted (and scaled, when the camera height clearly
+   * changed) until its disk lands on the capture's disk. The capture itself is not resampled. A background of another
+   * resolution is resized first; without a disk in either shot only the
+   * resize is applied.
+   *
+   * diskCircle: the capture's disk (px), or null to detect it here.
+   * Returns { image (aligned cv.Mat, owned by the caller), shift: { x, y }
+   * (px), scale, diskFound }.
+   */
+  alignBackground: function (background, image, diskCircle = null, expectedDiskRadiusPx = null) {
+    const cv = this.getCv();
+    let bg = this.toMat(background);
+    let M = null;
+
+    try {
+      if (bg.rows !== image.rows || bg.cols !== image.cols) {
+        cv.resize(bg, bg, new cv.Size(image.cols, image.rows), 0, 0, cv.INTER_AREA);
+      }
+
+      const findDisk = (mat) => {
+        let gray = new cv.Mat();
+        try {
+          if (mat.channels() === 1) mat.copyTo(gray);
+          else cv.cvtColor(mat, gray, cv.COLOR_RGBA2GRAY, 0);
+          if (expectedDiskRadiusPx) {
+            cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 1.5, 1.5);
+            return this.detectSupportDisk(gray, expectedDiskRadiusPx);
+          }
+          return this.detectSupportDiskAuto(gray);
+        } finally {
+          gray.delete();
+        }
+      };
+
+      // Hough circles are coarse; the rim ellipse gives a sub-pixel centre and radius
+      const refine = (mat, circle) => {
+        if (!circle) return null;
+        const ellipse = this.fitDiskEllipse(mat, circle);
+        if (!ellipse) return circle;
+        return {
+          x: ellipse.center.x,
+          y: ellipse.center.y,
+          radius: (ellipse.axes.major + ellipse.axes.minor) / 2,
+        };
+      };
+
+      const target = refine(image, diskCircle || findDisk(image));
+      const source = target ? refine(bg, findDisk(bg)) : null;
+      if (!target || !source) {
+        console.warn('Background alignment: support disk not found, using the shot as is');
+        return { image: bg.clone(), shift: { x: 0, y: 0 }, scale: 1, diskFound: false };
+      }
+
+      // The rim fit shifts by about a pixel against a shadow instead of bare
+      // paper, so small radius differences are fit bias, not camera height
+      const ratio = target.radius / source.radius;
+      const scale = Math.abs(ratio - 1) > 0.02 ? ratio : 1;
+      const tx = target.x - scale * source.x;
+      const ty = target.y - scale * source.y;
+      M = cv.matFromArray(2, 3, cv.CV_64FC1, [scale, 0, tx, 0, scale, ty]);
+      const aligned = new cv.Mat();
+      cv.warpAffine(
+        bg,
+        aligned,
+        M,
+        new cv.Size(image.cols, image.rows),
+        cv.INTER_LINEAR,
+        cv.BORDER_REPLICATE,
+        new cv.Scalar()
+      );
+
+      return {
+        image: aligned,
+        shift: { x: target.x - source.x, y: target.y - source.y },
+        scale: scale,
+        diskFound: true,
+      };
+    } finally {
+      bg.delete();
+      if (M) M.delete();
+    }
+  },
+
+  // Translation of `frame` against `reference` by phase correlation on
+  // copies at most `size` px across (both grayscale, same size). The peak is
+  // refined to sub-pixel with a parabola through its neighbours.
+  // Returns { x, y } (px to move frame by to match reference) and response
+  // (peak height, 0..1; low for unrelated or very noisy frames).
+  registerTranslation: function (reference, frame, size = 512) {
+    const cv = this.getCv();
+    const factor = Math.min(1, size / Math.max(reference.cols, reference.rows));
+    const dsize = new cv.Size(
+      Math.max(8, Math.round(reference.cols * factor)),
+      Math.max(8, Math.round(reference.rows * factor))
+    );
+    const w = dsize.width;
+    const h = dsize.height;
+
+    // Hann window against the wrap-around edges of the DFT
+    const hann = (n) =>
+      Array.from({ length: n }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+    const hannRows = hann(h);
+    const hannCols = hann(w);
+    const spectrum = (gray) => {
+      let small = new cv.Mat();
+      let windowed = new cv.Mat(h, w, cv.CV_32FC1);
+      let out = new cv.Mat();
+      try {
+        cv.resize(gray, small, dsize, 0, 0, cv.INTER_AREA);
+        const pixels = small.data;
+        const values = windowed.data32F;
+        let mean = 0;
+        for (let i = 0; i < pixels.length; i++) mean += pixels[i];
+        mean /= pixels.length;
+        for (let y = 0; y < h; y++) {
+          const wy = hannRows[y];
+          for (let x = 0; x < w; x++) {
+            values[y * w + x] = (pixels[y * w + x] - mean) * wy * hannCols[x];
+          }
+        }
+        cv.dft(windowed, out, cv.DFT_COMPLEX_OUTPUT);
+        return out;
+      } catch (e) {
+        out.delete();
+        throw e;
+      } finally {
+        small.delete();
+        windowed.delete();
+      }
+    };
+
+    let a = spectrum(reference);
+    let b = null;
+    let inverse = new cv.Mat();
+    try {
+      b = spectrum(frame);
+
+      // Normalised cross-power spectrum A·conj(B)/|A·B|, back to space
+      const fa = a.data32F;
+      const fb = b.data32F;
+      for (let k = 0; k < fa.length; k += 2) {
+        const re = fa[k] * fb[k] + fa[k + 1] * fb[k + 1];
+        const im = fa[k + 1] * fb[k] - fa[k] * fb[k + 1];
+        const mag = Math.hypot(re, im) || 1;
+        fa[k] = re / mag;
+        fa[k + 1] = im / mag;
+      }
+      cv.dft(a, inverse, cv.DFT_INVERSE | cv.DFT_REAL_OUTPUT | cv.DFT_SCALE);
+
+      const r = inverse.data32F;
+      let peak = 0;
+      for (let i = 1; i < r.length; i++) {
+        if (r[i] > r[peak]) peak = i;
+      }
+      const px = peak % w;
+      const py = Math.floor(peak / w);
+      const at = (x, y) => r[((y + h) % h) * w + ((x + w) % w)];
+      const subpixel = (minus, centre, plus) => {
+        const denom = minus - 2 * centre + plus;
+        return denom < 0 ? (0.5 * (minus - plus)) / denom : 0;
+      };
+      let dx = px + subpixel(at(px - 1, py), r[peak], at(px + 1, py));
+      let dy = py + subpixel(at(px, py - 1), r[peak], at(px, py + 1));
+      if (dx > w / 2) dx -= w;
+      if (dy > h / 2) dy -= h;
+
+      return { x: dx / factor, y: dy / factor, response: r[peak] };
+    } finally {
+      a.delete();
+      if (b) b.delete();
+      inverse.delete();
+    }
+  },
+
+  // Noise level (σ, grey levels) of a grayscale image after Immerkær: the
+  // mean absolute response to a Laplacian difference kernel, which cancels
+  // smooth image content
+  estimateNoise: function (gray) {
+    const cv = this.getCv();
+    let kernel = cv.matFromArray(3, 3, cv.CV_32FC1, [1, -2, 1, -2, 4, -2, 1, -2, 1]);
+    let response = new cv.Mat();
+    try {
+      cv.filter2D(gray, response, cv.CV_32F, kernel);
+      const w = response.cols;
+      const h = response.rows;
+      if (w < 3 || h < 3) return 0;
+      const values = response.data32F;
+      let sum = 0;
+      for (let y = 1; y < h - 1; y++) {
+        for (let x = 1; x < w - 1; x++) sum += Math.abs(values[y * w + x]);
+      }
+      return (Math.sqrt(Math.PI / 2) * sum) / (6 * (w - 2) * (h - 2));
+    } finally {
+      kernel.delete();
+      response.delete();
+    }
+  },
+
+  // Rows per strip of shifted frames held while median-combining a burst
+  COMBINE_STRIP_ROWS: 64,
+
+  /**
+   * Combine a burst of camera frames into one low-noise image. Every frame
+   * is registered against the first by phase correlation, shifted onto it
+   * and the stack is median-combined per pixel and channel, so a hand or
+   * moving fabric in one frame is rejected. Frames that do not register
+   * (weak correlation peak or a shift beyond maxShiftFraction of the image)
+   * are left out. cv.Mat frames are read in place; the shifted frames are
+   * built one strip of COMBINE_STRIP_ROWS rows at a time.
+   *
+   * options: { maxShiftFraction (0.05), minResponse (0.02) }
+   * Returns { image (RGBA cv.Mat, owned by the caller), total, used,
+   * shifts: [{ x, y, response, used }], noiseBefore, noiseAfter (σ, grey
+   * levels), noiseReduction (noiseBefore / noiseAfter) }.
+   */
+  combineFrames: function (frames, options = {}) {
+    const cv = this.getCv();
+    const maxShiftFraction = options.maxShiftFraction || 0.05;
+    const minResponse = options.minResponse || 0.02;
+    if (!frames.length) throw new Error('No frames to combine');
+
+    // RGBA buffers need a Mat of their own; cv.Mat frames are used as given
+    const owned = [];
+    const mats = frames.map((frame) => {
+      if (frame instanceof cv.Mat) return frame;
+      const mat = this.toMat(frame);
+      owned.push(mat);
+      return mat;
+    });
+    const toGray = (mat) => {
+      const gray = new cv.Mat();
+      cv.cvtColor(mat, gray, cv.COLOR_RGBA2GRAY, 0);
+      return gray;
+    };
+
+    let reference = null;
+    const strips = [];
+
+    try {
+      const base = mats[0];
+      const cols = base.cols;
+      const rows = base.rows;
+      reference = toGray(base);
+      const maxShift = maxShiftFraction * Math.max(cols, rows);
+
+      const shifts = [{ x: 0, y: 0, response: 1, used: true }];
+      for (let i = 1; i < mats.length; i++) {
+        const mat = mats[i];
+        if (mat.cols !== cols || mat.rows !== rows) {
+          shifts.push({ x: 0, y: 0, response: 0, used: false });
+          continue;
+        }
+        const gray = toGray(mat);
+        const shift = this.registerTranslation(reference, gray);
+        gray.delete();
+        shift.used = shift.response >= minResponse && Math.hypot(shift.x, shift.y) <= maxShift;
+        shifts.push(shift);
+      }
+      const used = mats.filter((mat, i) => shifts[i].used);
+      const usedShifts = shifts.filter((shift) => shift.used);
+
+      // Per-pixel median, one strip of rows at a time; the middle pair is
+      // averaged for even counts
+      const n = used.length;
+      const image = new cv.Mat(rows, cols, cv.CV_8UC4);
+      const out = image.data;
+      const values = new Uint8Array(n);
+      const mid = n >> 1;
+      for (let k = 0; k < n; k++) strips.push(new cv.Mat());
+
+      for (let y0 = 0; y0 < rows; y0 += this.COMBINE_STRIP_ROWS) {
+        const height = Math.min(this.COMBINE_STRIP_ROWS, rows - y0);
+        const stack = used.map((mat, k) => {
+          // Shift onto the reference and cut out rows y0..y0 + height
+          const shift = usedShifts[k];
+          let M = cv.matFromArray(2, 3, cv.CV_64FC1, [1, 0, shift.x, 0, 1, shift.y - y0]);
+          cv.warpAffine(
+            mat,
+            strips[k],
+            M,
+            new cv.Size(cols, height),
+            cv.INTER_LINEAR,
+            cv.BORDER_REPLICATE,
+            new cv.Scalar()
+          );
+          M.delete();
+          return strips[k].data;
+        });
+
+        const offset = y0 * cols * 4;
+        const length = height * cols * 4;
+        for (let i = 0; i < length; i++) {
+          if ((i & 3) === 3) {
+            out[offset + i] = 255;
+            continue;
+          }
+          for (let k = 0; k < n; k++) {
+            const v = stack[k][i];
+            let j = k - 1;
+            while (j >= 0 && values[j] > v) {
+              values[j + 1] = values[j];
+              j--;
+            }
+            values[j + 1] = v;
+          }
+          out[offset + i] = n & 1 ? values[mid] : (values[mid - 1] + values[mid] + 1) >> 1;
+        }
+      }
+
+      let combinedGray = toGray(image);
+      const noiseBefore = this.estimateNoise(reference);
+      const noiseAfter = this.estimateNoise(combinedGray);
+      combinedGray.delete();
+
+      return {
+        image: image,
+        total: frames.length,
+        used: n,
+        shifts: shifts,
+        noiseBefore: noiseBefore,
+        noiseAfter: noiseAfter,
+        noiseReduction: noiseAfter > 0 ? noiseBefore / noiseAfter : 1,
+      };
+    } finally {
+      if (reference) reference.delete();
+      strips.forEach((strip) => strip.delete());
+      owned.forEach((mat) => mat.delete());
+    }
+  },
+
+  // Score a candidate coin circle on a grayscale image. Each part is 0..1:
+  // circularity of the blob under the circle, size against the expected
+  // radius, and contrast between the coin face and its surroundings.
+  scoreCoinCandidate: function (gray, circle, expectedRadius) {
+    const cv = this.getCv();
+    const r = circle.radius;
+    const pad = Math.ceil(r * 1.7);
+    const x0 = Math.max(0, Math.round(circle.x - pad));
+    const y0 = Math.max(0, Math.round(circle.y - pad));
+    const x1 = Math.min(gray.cols, Math.round(circle.x + pad));
+    const y1 = Math.min(gray.rows, Math.round(circle.y + pad));
+    if (x1 - x0 < 3 || y1 - y0 < 3) {
+      return { circularity: 0, size: 0, contrast: 0, score: 0 };
+    }
+
+    let roi = gray.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+    let binary = new cv.Mat();
+    let contours = new cv.MatVector();
+    let hierarchy = new cv.Mat();
+
+    try {
+      // Contrast: coin face (inside 0.8r) against a ring just outside the rim
+      let inner = 0;
+      let innerCount = 0;
+      let outer = 0;
+      let outerCount = 0;
+      for (let y = 0; y < roi.rows; y++) {
+        for (let x = 0; x < roi.cols; x++) {
+          const d = Math.hypot(x + x0 - circle.x, y + y0 - circle.y);
+          if (d < r * 0.8) {
+            inner += roi.ucharAt(y, x);
+            innerCount++;
+          } else if (d > r * 1.2 && d < r * 1.6) {
+            outer += roi.ucharAt(y, x);
+            outerCount++;
+          }
+        }
+      }
+      const innerMean = innerCount ? inner / innerCount : 0;
+      const outerMean = outerCount ? outer / outerCount : innerMean;
+      const contrast = Math.min(1, Math.abs(innerMean - outerMean) / 60);
+
+      // Circularity of the Otsu blob containing the centre; the polarity
+      // follows the coin (dark coin on light paper or the other way round)
+      const thresholdType =
+        innerMean < outerMean ? cv.THRESH_BINARY_INV : cv.THRESH_BINARY;
+      cv.threshold(roi, binary, 0, 255, thresholdType + cv.THRESH_OTSU);
+      cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_NONE);
+
+      const center = new cv.Point(circle.x - x0, circle.y - y0);
+      let circularity = 0;
+      for (let i = 0; i < contours.size(); i++) {
+        const contour = contours.get(i);
+        if (cv.pointPolygonTest(contour, center, false) >= 0) {
+          const area = cv.contourArea(contour);
+          const perimeter = cv.arcLength(contour, true);
+          if (perimeter > 0) {
+            circularity = Math.min(1, (4 * Math.PI * area) / (perimeter * perimeter));
+          }
+          break;
+        }
+      }
+
+      const size = Math.max(0, 1 - Math.abs(r - expectedRadius) / (expectedRadius * 0.3));
+      const score = 0.4 * circularity + 0.35 * size + 0.25 * contrast;
+
+      return { circularity, size, contrast, score };
+    } finally {
+      roi.delete();
+      binary.delete();
+      contours.delete();
+      hierarchy.delete();
+    }
+  },
+
+  // Locate the reference coin without a click. The support disk fixes the
+  // expected coin size (coin/disk diameter ratio); Hough candidates outside
+  // the disk are scored with scoreCoinCandidate and the best one proposed.
+  // Returns { coin, diskCircle, confidence, scores, candidates } or null.
+  // Confidence is the best score, lowered when a runner-up scores close to it.
+  findCoinAuto: function (src, config) {
+    const cv = this.getCv();
+    const cfg = Object.assign({}, this.defaults, config);
+    const reference = cfg.reference || {};
+    if (!(reference.diameter > 0) || !(cfg.diskDiameter > 0)) return null;
+
+    let gray = new cv.Mat();
+    let blurred = new cv.Mat();
+    let circles = new cv.Mat();
+
+    try {
+      cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+
+      const diskCircle = this.detectSupportDiskAuto(gray);
+      if (!diskCircle) return null;
+
+      const expectedRadius = diskCircle.radius * (reference.diameter / cfg.diskDiameter);
+      const minRadius = Math.max(5, Math.floor(expectedRadius * 0.7));
+      const maxRadius = Math.ceil(expectedRadius * 1.3);
+
+      cv.GaussianBlur(gray, blurred, new cv.Size(9, 9), 2, 2);
+      cv.HoughCircles(
+        blurred,
+        circles,
+        cv.HOUGH_GRADIENT,
+        1, // dp
+        Math.max(10, Math.round(expectedRadius * 2)), // minDist
+        100, // param1
+        30, // param2
+        minRadius,
+        maxRadius
+      );
+
+      const candidates = [];
+      for (let i = 0; i < circles.cols; i++) {
+        const circle = {
+          x: Math.round(circles.data32F[i * 3]),
+          y: Math.round(circles.data32F[i * 3 + 1]),
+          radius: Math.round(circles.data32F[i * 3 + 2]),
+        };
+
+        // Skip anything overlapping the support disk
+        if (
+          Math.hypot(circle.x - diskCircle.x, circle.y - diskCircle.y) <=
+          diskCircle.radius + circle.radius
+        ) {
+          continue;
+        }
+
+        const scores = this.scoreCoinCandidate(gray, circle, expectedRadius);
+        candidates.push(Object.assign({}, circle, { scores: scores }));
+      }
+
+      if (candidates.length === 0) return null;
+      candidates.sort((a, b) => b.scores.score - a.scores.score);
+
+      const best = candidates[0];
+      let confidence = best.scores.score;
+      if (candidates.length > 1 && best.scores.score - candidates[1].scores.score < 0.1) {
+        confidence *= 0.75;
+      }
+
+      console.log('Automatic coin candidates:', candidates.length, 'best:', best);
+
+      return {
+        coin: { x: best.x, y: best.y, radius: best.radius },
+        diskCircle: diskCircle,
+        confidence: confidence,
+        scores: best.scores,
+        candidates: candidates,
+      };
+    } catch (e) {
+      console.error('Automatic coin detection error:', e);
+      return null;
+    } finally {
+      gray.delete();
+      blurred.delete();
+      circles.delete();
+    }
+  },
+
+  // Quick look for the support disk and reference coin on a small camera
+  // preview frame (a few hundred px across), cheap enough to run a few
+  // times per second. Returns { disk, coin, confidence } in frame pixels;
+  // either circle is null when it was not found.
+  detectPreview: function (frame, config) {
+    const cv = this.getCv();
+    const found = this.findCoinAuto(frame, config);
+    if (found) {
+      return { disk: found.diskCircle, coin: found.coin, confidence: found.confidence };
+    }
+
+    let gray = new cv.Mat();
+    try {
+      cv.cvtColor(frame, gray, cv.COLOR_RGBA2GRAY, 0);
+      return { disk: this.detectSupportDiskAuto(gray), coin: null, confidence: 0 };
+    } finally {
+      gray.delete();
+    }
+  },
+
+  // Outer boundary points of the largest region in a binary mask
+  extractOutline: function (mask) {
+    const cv = this.getCv();
+    let work = mask.clone();
+    let contours = new cv.MatVector();
+    let hierarchy = new cv.Mat();
+
+    try {
+      cv.findContours(work, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_NONE);
+
+      let best = null;
+      let bestArea = 0;
+      for (let i = 0; i < contours.size(); i++) {
+        const a = cv.contourArea(contours.get(i));
+        if (a > bestArea) {
+          bestArea = a;
+          best = contours.get(i);
+        }
+      }
+      if (!best) return [];
+
+      const points = [];
+      for (let i = 0; i < best.data32S.length; i += 2) {
+        points.push({ x: best.data32S[i], y: best.data32S[i + 1] });
+      }
+      return points;
+    } finally {
+      work.delete();
+      contours.delete();
+      hierarchy.delete();
+    }
+  },
+
+  // Ring mask (fabric circle minus support disk) centred on the disk
+  buildRingMask: function (rows, cols, diskCircle, fabricRadiusPx) {
+    const cv = this.getCv();
+    const center = new cv.Point(diskCircle.x, diskCircle.y);
+    const ringMask = cv.Mat.zeros(rows, cols, cv.CV_8UC1);
+    cv.circle(ringMask, center, Math.round(fabricRadiusPx), new cv.Scalar(255), -1);
+    cv.circle(ringMask, center, Math.round(diskCircle.radius), new cv.Scalar(0), -1);
+    return ringMask;
+  },
+
+  // Fit residual of a detected circle against the edges near its rim:
+  // { rms, bias (mean signed distance), count, radiusError } in px, where
+  // radiusError = √(bias² + rms²/count) is the standard error of the radius.
+  // Returns null when too few edges are found.
+  circleResidual: function (gray, circle) {
+    const cv = this.getCv();
+    const r = circle.radius;
+    const pad = Math.ceil(r * 1.3) + 2;
+    const x0 = Math.max(0, Math.round(circle.x - pad));
+    const y0 = Math.max(0, Math.round(circle.y - pad));
+    const x1 = Math.min(gray.cols, Math.round(circle.x + pad));
+    const y1 = Math.min(gray.rows, Math.round(circle.y + pad));
+    if (x1 - x0 < 3 || y1 - y0 < 3) return null;
+
+    let roi = gray.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+    let edges = new cv.Mat();
+    try {
+      cv.Canny(roi, edges, 50, 150);
+      let sum = 0;
+      let sumSq = 0;
+      let count = 0;
+      for (let y = 0; y < edges.rows; y++) {
+        for (let x = 0; x < edges.cols; x++) {
+          if (edges.ucharAt(y, x) === 0) continue;
+          const d = Math.hypot(x + x0 - circle.x, y + y0 - circle.y) - r;
+          if (Math.abs(d) <= Math.max(2, r * 0.15)) {
+            sum += d;
+            sumSq += d * d;
+            count++;
+          }
+        }
+      }
+      if (count < 10) return null;
+      const rms = Math.sqrt(sumSq / count);
+      const bias = sum / count;
+      return {
+        rms: rms,
+        bias: bias,
+        count: count,
+        radiusError: Math.sqrt(bias * bias + (rms * rms) / count),
+      };
+    } finally {
+      roi.delete();
+      edges.delete();
+    }
+  },
+
+  // Drape % for a shadow mask with a given disk circle and scale
+  drapePercentFor: function (shadowMask, diskCircle, scaleFactor, cfg) {
+    const cv = this.getCv();
+    const fabricRadiusPx = (cfg.fabricDiameter / 2) * scaleFactor;
+    let ring = this.buildRingMask(shadowMask.rows, shadowMask.cols, diskCircle, fabricRadiusPx);
+    let inRing = new cv.Mat();
+    try {
+      cv.bitwise_and(shadowMask, ring, inRing);
+      return this.computeDrape(
+        cv.countNonZero(inRing),
+        cv.countNonZero(ring),
+        scaleFactor,
+        cfg.diskDiameter,
+        cfg.fabricDiameter
+      ).percent;
+    } finally {
+      ring.delete();
+      inRing.delete();
+    }
+  },
+
+  /**
+   * Standard uncertainty of a drape result, in drape % points.
+   *
+   * Three sources are propagated by re-running the measurement:
+   *  - scale: the reference error (coin radius error from its rim fit, or
+   *    the relative error of a given scale/target) moves px/cm by ±σ;
+   *  - disk: the support disk radius error from its rim fit, times the
+   *    drape change per pixel of disk radius (masks are pixel-quantised, so
+   *    the slope is taken over ±1 px);
+   *  - threshold: the segmentation threshold is moved by ±thresholdStep of
+   *    the gray range (0 for methods without a threshold, e.g. GrabCut).
+   * Each component is half the spread of its ± pair; they add in quadrature.
+   *
+   * Returns { percent, components: { scale, disk, threshold },
+   *           scaleRelative, coinResidualPx, diskResidualPx (radius errors),
+   *           thresholdStep }.
+   */
+  estimateUncertainty: function (m) {
+    const cfg = m.cfg;
+    const step = (cfg.uncertainty && cfg.uncertainty.thresholdStep) || 0.05;
+
+    // Scale: relative error of px/cm
+    let coinResidualPx = null;
+    let scaleRelative = 0;
+    if (m.coin) {
+      const fit = this.circleResidual(m.gray, m.coin);
+      // Without usable edges assume half a pixel on the radius
+      coinResidualPx = fit ? fit.radiusError : 0.5;
+      scaleRelative = coinResidualPx / m.coin.radius;
+    } else if (cfg.reference && cfg.reference.relativeError > 0) {
+      scaleRelative = cfg.reference.relativeError;
+    } else if (m.calibration) {
+      scaleRelative = m.calibration.scaleRelativeError || 0;
+    }
+    const sPlus = this.drapePercentFor(m.shadowMask, m.diskCircle, m.scaleFactor * (1 + scaleRelative), cfg);
+    const sMinus = this.drapePercentFor(m.shadowMask, m.diskCircle, m.scaleFactor * (1 - scaleRelative), cfg);
+
+    // Disk: drape slope per px of radius, times the radius error
+    const diskFit = this.circleResidual(m.gray, m.diskCircle);
+    const diskResidualPx = diskFit ? diskFit.radiusError : 1;
+    const withRadius = (dr) =>
+      Object.assign({}, m.diskCircle, { radius: m.diskCircle.radius + dr });
+    const dPlus = this.drapePercentFor(m.shadowMask, withRadius(1), m.scaleFactor, cfg);
+    const dMinus = this.drapePercentFor(m.shadowMask, withRadius(-1), m.scaleFactor, cfg);
+
+    // Threshold: re-run the chosen method with its threshold moved both ways
+    const segmentation = this.getSegmentation();
+    const tPercent = !m.segmentation.thresholded
+      ? [m.percent, m.percent]
+      : [step, -step].map((shift) => {
+          let seg = null;
+          try {
+            seg = segmentation.segment(
+              m.segmentation.method,
+              m.segmentContext,
+              this.segmentationOptions(cfg, { shift: shift })
+            );
+            return this.drapePercentFor(seg.mask, m.diskCircle, m.scaleFactor, cfg);
+          } catch (e) {
+            return m.percent; // threshold collapsed: no information
+          } finally {
+            if (seg) seg.mask.delete();
+          }
+        });
+
+    const components = {
+      scale: Math.abs(sPlus - sMinus) / 2,
+      disk: (Math.abs(dPlus - dMinus) / 2) * diskResidualPx,
+      threshold: Math.abs(tPercent[0] - tPercent[1]) / 2,
+    };
+
+    return {
+      percent: Math.sqrt(
+        components.scale * components.scale +
+          components.disk * components.disk +
+          components.threshold * components.threshold
+      ),
+      components: components,
+      scaleRelative: scaleRelative,
+      coinResidualPx: coinResidualPx,
+      diskResidualPx: diskResidualPx,
+      thresholdStep: step,
+    };
+  },
+
+  // Options passed to ShadowSegmentation.segment from an analyze config
+  segmentationOptions: function (cfg, extra) {
+    return Object.assign({ band: cfg.band || this.defaults.band }, extra);
+  },
+
+  // Drape from the shadow pixel count inside the ring.
+  // The ring area is the true geometric annulus from the tester diameters; the
+  // measured ring pixels are only used if the geometry is unusable.
+  computeDrape: function (shadowPx, ringPx, scaleFactor, diskDiameter, fabricDiameter) {
+    let shadowAreaCm2 = 0;
+    let ringAreaCm2 = 0;
+
+    if (scaleFactor && scaleFactor > 0) {
+      shadowAreaCm2 = shadowPx / (scaleFactor * scaleFactor);
+      const diskRadiusCm = diskDiameter / 2;
+      const fabricRadiusCm = fabricDiameter / 2;
+      ringAreaCm2 = Math.PI * (fabricRadiusCm * fabricRadiusCm - diskRadiusCm * diskRadiusCm);
+
+      // Fallback: if geometry yields zero (unexpected), use measured pixels
+      if (!(ringAreaCm2 > 0) && ringPx > 0) {
+        ringAreaCm2 = ringPx / (scaleFactor * scaleFactor);
+      }
+    } else {
+      // Without a scale, fall back to the pixel ratio
+      shadowAreaCm2 = shadowPx;
+      ringAreaCm2 = ringPx;
+    }
+
+    const fraction = ringAreaCm2 > 0 ? shadowAreaCm2 / ringAreaCm2 : 0;
+
+    return {
+      fraction: fraction,
+      percent: fraction * 100,
+      shadowAreaCm2: shadowAreaCm2,
+      ringAreaCm2: ringAreaCm2,
+    };
+  },
+
+  // Resolve px/cm from the reference spec and the detected coin
+  resolveScale: function (src, cfg) {
+    const reference = cfg.reference || {};
+
+    if (reference.type === 'scale') {
+      if (!(reference.pxPerCm > 0)) throw new Error('Reference scale must be positive');
+      return { coin: null, scaleFactor: reference.pxPerCm };
+    }
+
+    if (reference.type === 'target') {
+      const calibration = this.getTarget().detect(src, reference.spec);
+      return { coin: null, scaleFactor: calibration.pxPerCm, calibration: calibration };
+    }
+
+    if (!(reference.diameter > 0)) {
+      throw new Error('Reference diameter must be positive');
+    }
+
+    let coin = cfg.coin;
+    if (!coin) {
+      if (!cfg.click) throw new Error('A click point or coin circle is required');
+      coin = this.detectCoin(src, cfg.click.x, cfg.click.y);
+      if (!coin) throw new Error('Coin not detected');
+    }
+
+    return { coin: coin, scaleFactor: (coin.radius * 2) / reference.diameter };
+  },
+
+  /**
+   * Run the full drape analysis on one image.
+   *
+   * config: { diskDiameter, fabricDiameter (cm),
+   *           reference: { type: 'coin', diameter }
+   *                    | { type: 'scale', pxPerCm, relativeError (optional) }
+   *                    | { type: 'target', spec } (printed grid, see target.js),
+   *           click: { x, y } (image px, used to find the coin) or coin: { x, y, radius },
+   *           segmentation: 'auto' | 'band' | 'otsu' | 'kmeans' | 'background'
+   *                       | 'grabcut' (see segmentation.js),
+   *           band: { lower, upper } (shadow threshold band),
+   *           background: empty-tester image (Mat or RGBA) for 'background',
+   *                       aligned to the capture by alignBackground(),
+   *           uncertainty: { thresholdStep } or false to skip the estimate,
+   *           disk: { x, y, radius } and fabricRadiusPx (px): set by hand
+   *                 instead of detected / derived from the scale }
+   *
+   * Returns { coin, scaleFactor, calibration (target detection or null),
+   * diskCircle, fabricRadiusPx, manual: { disk, fabric } (set by hand),
+   * shadowPx, ringPx,
+   * shadowAreaCm2, ringAreaCm2, drapeFraction, drapePercent,
+   * uncertainty (see estimateUncertainty, or null), classification,
+   * segmentation: { method, score, candidates (auto only),
+   * backgroundAlignment ({ shift, scale, diskFound } or null) }, thresholds, outline (shadow boundary points), profile (radial r(θ), px),
+   * nodes (see DrapeProfile.analyzeNodes, cm), harmonics (see
+   * DrapeProfile.harmonics, cm), warnings,
+   * masks: { shadow, ring, shadowInRing } }.
+   * The masks are cv.Mats owned by the caller — free them with release().
+   */
+  analyze: function (image, config) {
+    const cv = this.getCv();
+    const cfg = Object.assign({}, this.defaults, config);
+
+    let src = this.toMat(image);
+    let gray = new cv.Mat();
+    let blurred = new cv.Mat();
+    let shadowMask = null;
+    let ringMask = null;
+    let shadowInRing = null;
+    let background = null;
+
+    try {
+      const { coin, scaleFactor, calibration } = this.resolveScale(src, cfg);
+
+      cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+      cv.GaussianBlur(gray, blurred, new cv.Size(5, 5), 1.5, 1.5);
+
+      // Detect disk (unless placed by hand)
+      const expectedDiskRadiusPx = (cfg.diskDiameter / 2) * scaleFactor;
+      const diskCircle = cfg.disk || this.detectSupportDisk(blurred, expectedDiskRadiusPx);
+      if (!diskCircle) {
+        throw new Error('Disk not detected');
+      }
+
+      // Ring mask = fabric − disk
+      const fabricRadiusPx =
+        cfg.fabricRadiusPx || Math.round((cfg.fabricDiameter / 2) * scaleFactor);
+      ringMask = this.buildRingMask(src.rows, src.cols, diskCircle, fabricRadiusPx);
+
+      // An empty-tester shot is aligned on the disk before any differencing
+      let backgroundAlignment = null;
+      if (cfg.background) {
+        const aligned = this.alignBackground(cfg.background, src, diskCircle, expectedDiskRadiusPx);
+        background = aligned.image;
+        backgroundAlignment = {
+          shift: aligned.shift,
+          scale: aligned.scale,
+          diskFound: aligned.diskFound,
+        };
+      }
+
+      // Shadow mask from the chosen strategy; the ring tells it where to look
+      const segmentContext = {
+        src: src,
+        gray: gray,
+        blurred: blurred,
+        disk: diskCircle,
+        fabricRadiusPx: fabricRadiusPx,
+        ring: ringMask,
+        background: background,
+      };
+      const segmentation = this.getSegmentation().segment(
+        cfg.segmentation,
+        segmentContext,
+        this.segmentationOptions(cfg)
+      );
+      shadowMask = segmentation.mask;
+
+      const measured = this.measureShadow(shadowMask, ringMask, diskCircle, scaleFactor, cfg);
+      shadowInRing = measured.shadowInRing;
+      const drape = measured.drape;
+      const warnings = measured.warnings;
+
+      let uncertainty = null;
+      if (cfg.uncertainty) {
+        try {
+          uncertainty = this.estimateUncertainty({
+            cfg: cfg,
+            gray: gray,
+            blurred: blurred,
+            shadowMask: shadowMask,
+            diskCircle: diskCircle,
+            coin: coin,
+            calibration: calibration,
+            scaleFactor: scaleFactor,
+            percent: drape.percent,
+            segmentation: segmentation,
+            segmentContext: segmentContext,
+          });
+        } catch (e) {
+          warnings.push('Uncertainty estimate unavailable: ' + e.message);
+        }
+      }
+
+      return {
+        coin: coin,
+        scaleFactor: scaleFactor,
+        calibration: calibration || null,
+        diskCircle: diskCircle,
+        fabricRadiusPx: fabricRadiusPx,
+        manual: { disk: !!cfg.disk, fabric: !!cfg.fabricRadiusPx },
+        shadowPx: measured.shadowPx,
+        ringPx: measured.ringPx,
+        shadowAreaCm2: drape.shadowAreaCm2,
+        ringAreaCm2: drape.ringAreaCm2,
+        drapeFraction: drape.fraction,
+        drapePercent: drape.percent,
+        uncertainty: uncertainty,
+        classification: this.classify(drape.percent),
+        segmentation: {
+          method: segmentation.method,
+          score: segmentation.score,
+          candidates: segmentation.candidates || null,
+          backgroundAlignment: backgroundAlignment,
+        },
+        thresholds: segmentation.thresholds,
+        outline: measured.outline,
+        profile: measured.profile,
+        nodes: measured.nodes,
+        harmonics: measured.harmonics,
+        warnings: warnings,
+        masks: { shadow: shadowMask, ring: ringMask, shadowInRing: shadowInRing },
+      };
+    } catch (error) {
+      [shadowMask, ringMask, shadowInRing].forEach((m) => {
+        if (m) m.delete();
+      });
+      throw error;
+    } finally {
+      src.delete();
+      gray.delete();
+      blurred.delete();
+      if (background) background.delete();
+    }
+  },
+
+  // Ring-bounded measurement of a shadow mask: shadow inside the ring, drape
+  // and the fold geometry of the outline around the disk centre. Shared by
+  // analyze() and applyShadowMask(); shadowInRing is owned by the caller.
+  measureShadow: function (shadowMask, ringMask, diskCircle, scaleFactor, cfg) {
+    const cv = this.getCv();
+    const shadowInRing = new cv.Mat();
+
+    try {
+      cv.bitwise_and(shadowMask, ringMask, shadowInRing);
+
+      const shadowPx = cv.countNonZero(shadowInRing);
+      const ringPx = cv.countNonZero(ringMask);
+      if (ringPx === 0) {
+        throw new Error('Ring area zero');
+      }
+
+      const drape = this.computeDrape(
+        shadowPx,
+        ringPx,
+        scaleFactor,
+        cfg.diskDiameter,
+        cfg.fabricDiameter
+      );
+
+      const warnings = [];
+      if (drape.fraction > 1) {
+        warnings.push('Computed drape >100%. Check disk detection and scale factor.');
+      }
+
+      const outline = this.extractOutline(shadowMask);
+      let profile = null;
+      let nodes = null;
+      let harmonics = null;
+      try {
+        const Profile = this.getProfile();
+        profile = Profile.radialProfile(outline, diskCircle.x, diskCircle.y);
+        nodes = Profile.analyzeNodes(profile, scaleFactor);
+        harmonics = Profile.harmonics(profile, scaleFactor);
+      } catch (e) {
+        warnings.push('Profile analysis unavailable: ' + e.message);
+      }
+
+      return {
+        shadowInRing: shadowInRing,
+        shadowPx: shadowPx,
+        ringPx: ringPx,
+        drape: drape,
+        outline: outline,
+        profile: profile,
+        nodes: nodes,
+        harmonics: harmonics,
+        warnings: warnings,
+      };
+    } catch (error) {
+      shadowInRing.delete();
+      throw error;
+    }
+  },
+
+  /**
+   * Re-measure a result after its shadow mask (result.masks.shadow) was
+   * edited in place. Counts, drape, classification and outline geometry are
+   * updated; the uncertainty is cleared, as its estimate belongs to the
+   * automatic mask.
+   * config: the analyze() config (tester diameters). Returns the result.
+   */
+  applyShadowMask: function (result, config) {
+    const cfg = Object.assign({}, this.defaults, config);
+    const measured = this.measureShadow(
+      result.masks.shadow,
+      result.masks.ring,
+      result.diskCircle,
+      result.scaleFactor,
+      cfg
+    );
+
+    if (result.masks.shadowInRing) result.masks.shadowInRing.delete();
+    result.masks.shadowInRing = measured.shadowInRing;
+    Object.assign(result, {
+      shadowPx: measured.shadowPx,
+      ringPx: measured.ringPx,
+      shadowAreaCm2: measured.drape.shadowAreaCm2,
+      ringAreaCm2: measured.drape.ringAreaCm2,
+      drapeFraction: measured.drape.fraction,
+      drapePercent: measured.drape.percent,
+      classification: this.classify(measured.drape.percent),
+      outline: measured.outline,
+      profile: measured.profile,
+      nodes: measured.nodes,
+      harmonics: measured.harmonics,
+      warnings: measured.warnings,
+      uncertainty: null,
+    });
+    return result;
+  },
+
+  // Move the disk and/or fabric circle of a result (hand adjustment): the
+  // ring mask is rebuilt and the shadow re-measured with the same mask.
+  // The uncertainty is cleared; it was estimated on the detected circles.
+  // circles: { disk: { x, y, radius }, fabricRadiusPx } (either optional).
+  applyCircles: function (result, circles, config) {
+    const disk = circles.disk || result.diskCircle;
+    const fabricRadiusPx = circles.fabricRadiusPx || result.fabricRadiusPx;
+    const ring = this.buildRingMask(
+      result.masks.shadow.rows,
+      result.masks.shadow.cols,
+      disk,
+      fabricRadiusPx
+    );
+
+    if (result.masks.ring) result.masks.ring.delete();
+    result.masks.ring = ring;
+    result.diskCircle = disk;
+    result.fabricRadiusPx = fabricRadiusPx;
+    result.manual = {
+      disk: (result.manual && result.manual.disk) || !!circles.disk,
+      fabric: (result.manual && result.manual.fabric) || !!circles.fabricRadiusPx,
+    };
+    result.uncertainty = null;
+    return this.applyShadowMask(result, config);
+  },
+
+  // Free the masks held by an analyze() result
+  release: function (result) {
+    if (!result || !result.masks) return;
+    Object.keys(result.masks).forEach((key) => {
+      const mat = result.masks[key];
+      try {
+        if (mat && !mat.isDeleted()) mat.delete();
+      } catch (e) {
+        /* ignore */
+      }
+    });
+    result.masks = {};
+  },
+};
+
+// Export analyzer (CommonJS under Node, global in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DrapeAnalyzer;
+} else {
+  window.DrapeAnalyzer = DrapeAnalyzer;
+}
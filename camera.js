@@ -0,0 +1,136 @@
+// Camera selection and capture controls for the Drape Calculator
+// Browsers expose exposure, white balance, focus and torch through the
+// MediaStreamTrack capabilities only on some devices, so every control is
+// looked up first and left out when the track does not offer it.
+//
+//   const stream = await navigator.mediaDevices.getUserMedia(
+//     CameraControls.buildConstraints({ deviceId, resolution: '1920x1080' })
+//   );
+//   const track = stream.getVideoTracks()[0];
+//   CameraControls.supportedLocks(track);  // ['exposure', 'focus', ...]
+//   await CameraControls.applyLocks(track, { exposure: true, torch: false });
+const CameraControls = {
+  // Resolutions offered in the settings panel, largest first
+  RESOLUTIONS: [
+    { id: '3840x2160', label: '4K (3840×2160)', width: 3840, height: 2160 },
+    { id: '2560x1440', label: 'QHD (2560×1440)', width: 2560, height: 1440 },
+    { id: '1920x1080', label: 'Full HD (1920×1080)', width: 1920, height: 1080 },
+    { id: '1280x720', label: 'HD (1280×720)', width: 1280, height: 720 },
+    { id: '640x480', label: 'VGA (640×480)', width: 640, height: 480 },
+  ],
+
+  // Each lock: the capability that must offer the mode, and the setting
+  // that holds the current value to freeze
+  LOCKS: {
+    exposure: { mode: 'exposureMode', value: 'exposureTime' },
+    whiteBalance: { mode: 'whiteBalanceMode', value: 'colorTemperature' },
+    focus: { mode: 'focusMode', value: 'focusDistance' },
+  },
+
+  // Video inputs as [{ deviceId, label }]; labels are empty until the page
+  // has been granted camera access once
+  listDevices: async function () {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((device) => device.kind === 'videoinput')
+      .map((device, i) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Camera ${i + 1}`,
+      }));
+  },
+
+  // getUserMedia constraints for stored settings ({ deviceId, resolution })
+  buildConstraints: function (settings = {}) {
+    const video = settings.deviceId
+      ? { deviceId: { exact: settings.deviceId } }
+      : { facingMode: 'environment' };
+    const resolution = this.RESOLUTIONS.find((r) => r.id === settings.resolution);
+    if (resolution) {
+      video.width = { ideal: resolution.width };
+      video.height = { ideal: resolution.height };
+    }
+    return { video: video };
+  },
+
+  capabilities: function (track) {
+    return track && track.getCapabilities ? track.getCapabilities() : {};
+  },
+
+  // Resolutions the track can deliver (all of them when it does not say)
+  supportedResolutions: function (track) {
+    const caps = this.capabilities(track);
+    if (!caps.width || !caps.height) return this.RESOLUTIONS.slice();
+    return this.RESOLUTIONS.filter(
+      (r) =>
+        Math.max(r.width, r.height) <= Math.max(caps.width.max, caps.height.max) &&
+        Math.min(r.width, r.height) <= Math.min(caps.width.max, caps.height.max)
+    );
+  },
+
+  // Names of the locks (and 'torch') this track supports
+  supportedLocks: function (track) {
+    const caps = this.capabilities(track);
+    const locks = Object.keys(this.LOCKS).filter((name) => {
+      const modes = caps[this.LOCKS[name].mode];
+      return Array.isArray(modes) && modes.includes('manual');
+    });
+    if (caps.torch) locks.push('torch');
+    return locks;
+  },
+
+  // Lock (manual mode at the current value) or release (continuous) each
+  // supported control; torch is switched on or off. Unsupported entries in
+  // `locks` are ignored. Resolves with the names actually locked.
+  applyLocks: async function (track, locks = {}) {
+    const caps = this.capabilities(track);
+    const current = track.getSettings ? track.getSettings() : {};
+    const advanced = [];
+    const locked = [];
+
+    Object.keys(this.LOCKS).forEach((name) => {
+      const spec = this.LOCKS[name];
+      const modes = caps[spec.mode];
+      if (!Array.isArray(modes) || !modes.includes('manual')) return;
+
+      if (locks[name]) {
+        const constraint = { [spec.mode]: 'manual' };
+        if (current[spec.value] !== undefined) constraint[spec.value] = current[spec.value];
+        advanced.push(constraint);
+        locked.push(name);
+      } else if (modes.includes('continuous')) {
+        advanced.push({ [spec.mode]: 'continuous' });
+      }
+    });
+
+    if (caps.torch) {
+      advanced.push({ torch: !!locks.torch });
+      if (locks.torch) locked.push('torch');
+    }
+
+    if (advanced.length > 0) {
+      await track.applyConstraints({ advanced: advanced });
+    }
+    return locked;
+  },
+
+  // What a measurement records about the camera that took it
+  describe: function (track, locked = []) {
+    if (!track) return null;
+    const settings = track.getSettings ? track.getSettings() : {};
+    return {
+      label: track.label || null,
+      deviceId: settings.deviceId || null,
+      width: settings.width || null,
+      height: settings.height || null,
+      frameRate: settings.frameRate || null,
+      locks: locked.slice(),
+      exposureTime: settings.exposureTime !== undefined ? settings.exposureTime : null,
+      colorTemperature: settings.colorTemperature !== undefined ? settings.colorTemperature : null,
+      focusDistance: settings.focusDistance !== undefined ? settings.focusDistance : null,
+    };
+  },
+};
+
+// Export camera controls
+window.CameraControls = CameraControls;
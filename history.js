@@ -0,0 +1,131 @@
+// History table queries for the Drape Calculator
+// Search, filters, sorting and paging of measurement records. No DOM, so
+// the rules run in the page or under Node.
+//
+//   const page = HistoryQuery.run(records, {
+//     search: 'twill', classification: 'Medium drape', from: '2026-10-01',
+//     sort: 'coefficient', direction: 'desc', page: 1, pageSize: 25,
+//   });
+//   page.rows; // records on the page; page.total, page.pages, page.page
+const HistoryQuery = {
+  // Sortable columns and the value each sorts by (null sorts last)
+  SORT_KEYS: {
+    time: (r) => new Date(r.time).getTime(),
+    file: (r) => (r.filename ? r.filename.toLowerCase() : null),
+    sample: (r) => (r.sampleId ? r.sampleId.toLowerCase() : null),
+    area: (r) => r.area,
+    coefficient: (r) => r.coefficient,
+    nodes: (r) => (r.nodes ? r.nodes.count : null),
+    property: (r) => r.property || null,
+  },
+
+  PAGE_SIZES: [10, 25, 50, 100],
+
+  // Lower-case text the search box matches against
+  searchText: function (record) {
+    const metadata = record.metadata || {};
+    return [
+      record.filename,
+      record.sampleId,
+      record.side,
+      record.property,
+      metadata.fabricType,
+      metadata.composition,
+      metadata.gsm,
+      metadata.construction,
+      metadata.operator,
+      metadata.notes,
+    ]
+      .filter((v) => v !== null && v !== undefined && v !== '')
+      .join(' ')
+      .toLowerCase();
+  },
+
+  // Local midnight of a 'YYYY-MM-DD' date field; endOfDay for the last instant
+  _day: function (value, endOfDay = false) {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return endOfDay
+      ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime()
+      : new Date(year, month - 1, day).getTime();
+  },
+
+  /**
+   * Whether a record passes the filters: search (every word must appear),
+   * fabric (fabric type), classification (record.property), from and to
+   * ('YYYY-MM-DD', inclusive, local time). Empty filters pass everything.
+   */
+  matches: function (record, filters = {}) {
+    if (filters.fabric && (!record.metadata || record.metadata.fabricType !== filters.fabric)) {
+      return false;
+    }
+    if (filters.classification && record.property !== filters.classification) return false;
+
+    const time = new Date(record.time).getTime();
+    const from = this._day(filters.from);
+    const to = this._day(filters.to, true);
+    if ((from !== null && time < from) || (to !== null && time > to)) return false;
+
+    const query = (filters.search || '').trim().toLowerCase();
+    if (!query) return true;
+    const text = this.searchText(record);
+    return query.split(/\s+/).every((term) => text.includes(term));
+  },
+
+  // Sorted copy; ties keep the newest first so pages are stable
+  sort: function (records, key = 'time', direction = 'desc') {
+    const value = this.SORT_KEYS[key] || this.SORT_KEYS.time;
+    const sign = direction === 'asc' ? 1 : -1;
+    const newest = this.SORT_KEYS.time;
+    return records.slice().sort((a, b) => {
+      const va = value(a);
+      const vb = value(b);
+      const aMissing = va === null || va === undefined;
+      const bMissing = vb === null || vb === undefined;
+      if (aMissing || bMissing) {
+        if (!(aMissing && bMissing)) return aMissing ? 1 : -1;
+      } else if (va !== vb) {
+        if (typeof va === 'string') return sign * va.localeCompare(vb);
+        return sign * (va < vb ? -1 : 1);
+      }
+      return newest(b) - newest(a);
+    });
+  },
+
+  // Filter, sort and cut out one page. Returns { rows, matching (all
+  // filtered records, sorted), total, page (clamped), pages }.
+  run: function (records, options = {}) {
+    const matching = this.sort(
+      records.filter((r) => this.matches(r, options)),
+      options.sort,
+      options.direction
+    );
+    const pageSize = options.pageSize || 25;
+    const pages = Math.max(1, Math.ceil(matching.length / pageSize));
+    const page = Math.min(Math.max(1, options.page || 1), pages);
+    return {
+      rows: matching.slice((page - 1) * pageSize, page * pageSize),
+      matching: matching,
+      total: matching.length,
+      page: page,
+      pages: pages,
+    };
+  },
+
+  // Distinct, sorted values of a record field (for the filter choices)
+  distinct: function (records, pick) {
+    const values = [];
+    records.forEach((record) => {
+      const value = pick(record);
+      if (value && !values.includes(value)) values.push(value);
+    });
+    return values.sort();
+  },
+};
+
+// Export the queries (CommonJS under Node, global in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryQuery;
+} else {
+  window.HistoryQuery = HistoryQuery;
+}
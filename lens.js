@@ -0,0 +1,356 @@
+// Lens distortion calibration for the Drape Calculator
+// Several views of the printed calibration target (target.html) give the
+// camera intrinsics and distortion coefficients of one device. The profile
+// uses OpenCV's pinhole model (camera matrix K, distCoeffs [k1, k2, p1, p2,
+// k3]) so it can be stored and applied to every later image from that
+// device before anything is detected in it.
+//
+//   LensCalibration.setCv(cv);
+//   const views = mats.map((m) => CalibrationTarget.detect(m, spec));
+//   const profile = LensCalibration.calibrate(views, { width, height });
+//   const { image } = LensCalibration.undistort(mat, profile);
+const LensCalibration = {
+  // OpenCV module; falls back to the global `cv` loaded by the page
+  cv: null,
+
+  // Views needed before calibrating; more views at different tilts and
+  // positions in the frame constrain the edges better
+  MIN_VIEWS: 4,
+
+  // Undistortion maps of the last profile and size, reused between images
+  mapCache: null,
+
+  setCv: function (cvModule) {
+    this.cv = cvModule;
+  },
+
+  getCv: function () {
+    const cvModule =
+      this.cv || (typeof globalThis !== 'undefined' ? globalThis.cv : undefined);
+    if (!cvModule || !cvModule.Mat) {
+      throw new Error('OpenCV not loaded');
+    }
+    return cvModule;
+  },
+
+  getTarget: function () {
+    if (typeof CalibrationTarget !== 'undefined') return CalibrationTarget;
+    if (typeof require === 'function') return require('./target.js');
+    throw new Error('target.js not loaded');
+  },
+
+  // OpenCV distortion of a normalised (undistorted) image point
+  distortNormalized: function (x, y, d) {
+    const [k1, k2, p1, p2, k3] = d;
+    const r2 = x * x + y * y;
+    const radial = 1 + k1 * r2 + k2 * r2 * r2 + k3 * r2 * r2 * r2;
+    return {
+      x: x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+      y: y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y,
+    };
+  },
+
+  // Inverse of distortNormalized by fixed-point iteration (as cv.undistortPoints)
+  undistortNormalized: function (xd, yd, d) {
+    let x = xd;
+    let y = yd;
+    for (let i = 0; i < 10; i++) {
+      const p = this.distortNormalized(x, y, d);
+      x += xd - p.x;
+      y += yd - p.y;
+    }
+    return { x: x, y: y };
+  },
+
+  // Camera matrix [fx, 0, cx, 0, fy, cy, 0, 0, 1] of a profile for another
+  // image size of the same aspect ratio; null when the aspect differs
+  scaledMatrix: function (profile, width, height) {
+    const sx = width / profile.width;
+    const sy = height / profile.height;
+    if (Math.abs(sx / sy - 1) > 0.01) return null;
+    const K = profile.cameraMatrix;
+    return [K[0] * sx, 0, K[2] * sx, 0, K[4] * sy, K[5] * sy, 0, 0, 1];
+  },
+
+  // Undistorted pixel position of a distorted image point
+  undistortPoint: function (p, profile, width, height) {
+    const K = this.scaledMatrix(profile, width, height);
+    if (!K) return { x: p.x, y: p.y };
+    const u = this.undistortNormalized((p.x - K[2]) / K[0], (p.y - K[5]) / K[4], profile.distCoeffs);
+    return { x: u.x * K[0] + K[2], y: u.y * K[4] + K[5] };
+  },
+
+  // Radial displacement at the image corner the profile corrects, as a
+  // percentage of the corner radius (negative: barrel distortion)
+  edgeShiftPercent: function (profile) {
+    const K = profile.cameraMatrix;
+    const corner = { x: (0 - K[2]) / K[0], y: (0 - K[5]) / K[4] };
+    const u = this.undistortNormalized(corner.x, corner.y, profile.distCoeffs);
+    return (Math.hypot(corner.x, corner.y) / Math.hypot(u.x, u.y) - 1) * 100;
+  },
+
+  // RMS (px) of straight-grid fits: each view's undistorted points must map
+  // onto the flat target through a pure homography
+  viewsRms: function (views, profile) {
+    const target = this.getTarget();
+    let sum = 0;
+    let count = 0;
+    try {
+      views.forEach((view) => {
+        const points = view.imagePoints.map((p) =>
+          this.undistortPoint(p, profile, profile.width, profile.height)
+        );
+        const H = target.fitHomography(view.objectPoints, points);
+        const rms = target.reprojectionRms(H, view.objectPoints, points);
+        sum += rms * rms * points.length;
+        count += points.length;
+      });
+    } catch (e) {
+      return Infinity; // coefficients so extreme that the grid folds over
+    }
+    return count ? Math.sqrt(sum / count) : 0;
+  },
+
+  /**
+   * Compute a lens profile from views of the printed calibration target.
+   *
+   * views: [{ objectPoints (cm), imagePoints (px) }] as returned by
+   * CalibrationTarget.detect. size: { width, height } of the images.
+   * Uses cv.calibrateCamera(Extended) when the opencv.js build has it
+   * (tangential terms and k3 held at zero, which few views cannot pin
+   * down); other builds get a radial k1/k2 fit about the image centre from
+   * grid straightness alone.
+   *
+   * Returns { width, height, cameraMatrix (9, row-major), distCoeffs (5),
+   * rms (px, straight-grid residual after correction), rmsBefore, views,
+   * method ('opencv' | 'radial'), edgeShiftPercent, created (ISO time) }.
+   */
+  calibrate: function (views, size) {
+    if (views.length < this.MIN_VIEWS) {
+      throw new Error(`At least ${this.MIN_VIEWS} target views are needed`);
+    }
+
+    const cv = this.getCv();
+    let profile = null;
+    if (cv.calibrateCameraExtended || cv.calibrateCamera) {
+      try {
+        profile = this.calibrateOpenCv(views, size);
+      } catch (e) {
+        console.warn('OpenCV calibration failed, fitting radial distortion only:', e);
+      }
+    }
+    if (!profile) profile = this.calibrateRadial(views, size);
+
+    const identity = Object.assign({}, profile, { distCoeffs: [0, 0, 0, 0, 0] });
+    profile.rmsBefore = this.viewsRms(views, identity);
+    profile.rms = this.viewsRms(views, profile);
+    profile.views = views.length;
+    profile.edgeShiftPercent = this.edgeShiftPercent(profile);
+    profile.created = new Date().toISOString();
+    return profile;
+  },
+
+  calibrateOpenCv: function (views, size) {
+    const cv = this.getCv();
+    const objectPoints = new cv.MatVector();
+    const imagePoints = new cv.MatVector();
+    const mats = [];
+    let cameraMatrix = new cv.Mat();
+    let distCoeffs = new cv.Mat();
+    let rvecs = new cv.MatVector();
+    let tvecs = new cv.MatVector();
+
+    try {
+      views.forEach((view) => {
+        const obj = cv.matFromArray(
+          view.objectPoints.length,
+          1,
+          cv.CV_32FC3,
+          [].concat(...view.objectPoints.map((p) => [p.x, p.y, 0]))
+        );
+        const img = cv.matFromArray(
+          view.imagePoints.length,
+          1,
+          cv.CV_32FC2,
+          [].concat(...view.imagePoints.map((p) => [p.x, p.y]))
+        );
+        objectPoints.push_back(obj);
+        imagePoints.push_back(img);
+        mats.push(obj, img);
+      });
+
+      const imageSize = new cv.Size(size.width, size.height);
+      // Pinhole CALIB_ZERO_TANGENT_DIST | CALIB_FIX_K3. Spelled out because
+      // some opencv.js builds export the fisheye values under these names.
+      const flags = 0x8 | 0x80;
+      const criteria = new cv.TermCriteria(
+        cv.TermCriteria_COUNT + cv.TermCriteria_EPS,
+        100,
+        1e-9
+      );
+      if (cv.calibrateCameraExtended) {
+        let stdDevInt = new cv.Mat();
+        let stdDevExt = new cv.Mat();
+        let perView = new cv.Mat();
+        try {
+          cv.calibrateCameraExtended(
+            objectPoints,
+            imagePoints,
+            imageSize,
+            cameraMatrix,
+            distCoeffs,
+            rvecs,
+            tvecs,
+            stdDevInt,
+            stdDevExt,
+            perView,
+            flags,
+            criteria
+          );
+        } finally {
+          stdDevInt.delete();
+          stdDevExt.delete();
+          perView.delete();
+        }
+      } else {
+        cv.calibrateCamera(
+          objectPoints,
+          imagePoints,
+          imageSize,
+          cameraMatrix,
+          distCoeffs,
+          rvecs,
+          tvecs,
+          flags,
+          criteria
+        );
+      }
+
+      const K = Array.from(cameraMatrix.data64F);
+      const d = Array.from(distCoeffs.data64F).slice(0, 5);
+      while (d.length < 5) d.push(0);
+      if (!K.every(isFinite) || !d.every(isFinite) || !(K[0] > 0) || !(K[4] > 0)) {
+        throw new Error('Calibration did not converge');
+      }
+      return {
+        width: size.width,
+        height: size.height,
+        cameraMatrix: K,
+        distCoeffs: d,
+        method: 'opencv',
+      };
+    } finally {
+      mats.forEach((mat) => mat.delete());
+      objectPoints.delete();
+      imagePoints.delete();
+      cameraMatrix.delete();
+      distCoeffs.delete();
+      rvecs.delete();
+      tvecs.delete();
+    }
+  },
+
+  // Radial-only fallback: principal point at the centre and the half
+  // diagonal as focal length (any scale works for a radial model); k1 and
+  // k2 are found by alternating golden-section searches on grid straightness
+  calibrateRadial: function (views, size) {
+    const f = Math.hypot(size.width, size.height) / 2;
+    const profile = {
+      width: size.width,
+      height: size.height,
+      cameraMatrix: [f, 0, size.width / 2, 0, f, size.height / 2, 0, 0, 1],
+      distCoeffs: [0, 0, 0, 0, 0],
+      method: 'radial',
+    };
+
+    const search = (index, lo, hi) => {
+      const rmsFor = (value) => {
+        profile.distCoeffs[index] = value;
+        return this.viewsRms(views, profile);
+      };
+      const g = (Math.sqrt(5) - 1) / 2;
+      let a = hi - g * (hi - lo);
+      let b = lo + g * (hi - lo);
+      let fa = rmsFor(a);
+      let fb = rmsFor(b);
+      for (let i = 0; i < 30; i++) {
+        if (fa < fb) {
+          hi = b;
+          b = a;
+          fb = fa;
+          a = hi - g * (hi - lo);
+          fa = rmsFor(a);
+        } else {
+          lo = a;
+          a = b;
+          fa = fb;
+          b = lo + g * (hi - lo);
+          fb = rmsFor(b);
+        }
+      }
+      profile.distCoeffs[index] = (lo + hi) / 2;
+    };
+
+    for (let round = 0; round < 3; round++) {
+      search(0, -0.6, 0.6);
+      search(1, -0.4, 0.4);
+    }
+    return profile;
+  },
+
+  /**
+   * Undistort an image with a lens profile. The profile is scaled to the
+   * image size; images of another aspect ratio are returned unchanged.
+   * Returns { image (new cv.Mat, owned by the caller), applied }.
+   */
+  undistort: function (image, profile) {
+    const cv = this.getCv();
+    const K = this.scaledMatrix(profile, image.cols, image.rows);
+    if (!K) return { image: image.clone(), applied: false };
+
+    const key = JSON.stringify([image.cols, image.rows, profile.cameraMatrix, profile.distCoeffs]);
+    if (!this.mapCache || this.mapCache.key !== key) {
+      this.releaseMaps();
+      // For every output (undistorted) pixel, where it lies in the photo
+      const mapX = new cv.Mat(image.rows, image.cols, cv.CV_32FC1);
+      const mapY = new cv.Mat(image.rows, image.cols, cv.CV_32FC1);
+      const xs = mapX.data32F;
+      const ys = mapY.data32F;
+      for (let y = 0; y < image.rows; y++) {
+        const ny = (y - K[5]) / K[4];
+        for (let x = 0; x < image.cols; x++) {
+          const p = this.distortNormalized((x - K[2]) / K[0], ny, profile.distCoeffs);
+          xs[y * image.cols + x] = p.x * K[0] + K[2];
+          ys[y * image.cols + x] = p.y * K[4] + K[5];
+        }
+      }
+      this.mapCache = { key: key, mapX: mapX, mapY: mapY };
+    }
+
+    const out = new cv.Mat();
+    cv.remap(
+      image,
+      out,
+      this.mapCache.mapX,
+      this.mapCache.mapY,
+      cv.INTER_LINEAR,
+      cv.BORDER_REPLICATE,
+      new cv.Scalar()
+    );
+    return { image: out, applied: true };
+  },
+
+  releaseMaps: function () {
+    if (!this.mapCache) return;
+    this.mapCache.mapX.delete();
+    this.mapCache.mapY.delete();
+    this.mapCache = null;
+  },
+};
+
+// Export lens calibration (CommonJS under Node, global in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LensCalibration;
+} else {
+  window.LensCalibration = LensCalibration;
+}
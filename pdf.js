@@ -0,0 +1,231 @@
+// Minimal PDF writer for the Drape Calculator
+// Enough of PDF 1.4 for printable targets and reports: pages of any size,
+// filled rectangles, lines, Helvetica text and JPEG images. Coordinates are in points
+// (1/72 in) from the top-left corner of the page; use PdfWriter.CM to
+// convert. No dependencies, so it runs in the page or under Node.
+//
+//   const doc = PdfWriter.createDocument();
+//   PdfWriter.addPage(doc, ...PdfWriter.PAGE_SIZES.a4);
+//   PdfWriter.fillRect(doc, 2 * PdfWriter.CM, 2 * PdfWriter.CM, PdfWriter.CM, PdfWriter.CM);
+//   PdfWriter.text(doc, 72, 72, 'Hello');
+//   const bytes = PdfWriter.build(doc); // Uint8Array
+const PdfWriter = {
+  // Points per centimetre and per millimetre
+  CM: 72 / 2.54,
+  MM: 72 / 25.4,
+
+  // [width, height] in points
+  PAGE_SIZES: {
+    a4: [595.28, 841.89],
+    letter: [612, 792],
+  },
+
+  // Characters outside Latin-1 that WinAnsiEncoding can still print
+  WIN_ANSI: {
+    0x20ac: 0x80, 0x2026: 0x85, 0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93,
+    0x201d: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97,
+  },
+
+  createDocument: function () {
+    return { pages: [], current: null, images: [] };
+  },
+
+  // Start a new page; later drawing calls go to it
+  addPage: function (doc, width, height) {
+    const page = { width: width, height: height, ops: [], images: [] };
+    doc.pages.push(page);
+    doc.current = page;
+    return page;
+  },
+
+  _page: function (doc) {
+    if (!doc.current) throw new Error('Add a page before drawing');
+    return doc.current;
+  },
+
+  _num: function (value) {
+    return (Math.round(value * 1000) / 1000).toString();
+  },
+
+  // Filled rectangle; gray 0 = black, 1 = white
+  fillRect: function (doc, x, y, width, height, gray = 0) {
+    const page = this._page(doc);
+    const n = this._num;
+    page.ops.push(
+      `${n(gray)} g ${n(x)} ${n(page.height - y - height)} ${n(width)} ${n(height)} re f`
+    );
+  },
+
+  // Stroked rectangle outline
+  strokeRect: function (doc, x, y, width, height, lineWidth = 0.5, gray = 0) {
+    const page = this._page(doc);
+    const n = this._num;
+    page.ops.push(
+      `${n(gray)} G ${n(lineWidth)} w ${n(x)} ${n(page.height - y - height)} ${n(width)} ${n(height)} re S`
+    );
+  },
+
+  line: function (doc, x1, y1, x2, y2, lineWidth = 0.5, gray = 0) {
+    const page = this._page(doc);
+    const n = this._num;
+    page.ops.push(
+      `${n(gray)} G ${n(lineWidth)} w ${n(x1)} ${n(page.height - y1)} m ${n(x2)} ${n(page.height - y2)} l S`
+    );
+  },
+
+  // Text with its baseline at y. Characters WinAnsiEncoding lacks print as '?'.
+  text: function (doc, x, y, str, size = 10, options = {}) {
+    const page = this._page(doc);
+    const n = this._num;
+    const font = options.bold ? '/F2' : '/F1';
+    page.ops.push(
+      `BT ${font} ${n(size)} Tf ${n(options.gray || 0)} g ${n(x)} ${n(page.height - y)} Td (${this._escape(str)}) Tj ET`
+    );
+  },
+
+  // Approximate Helvetica text width (average glyph width 0.5 em)
+  textWidth: function (str, size = 10) {
+    return String(str).length * size * 0.5;
+  },
+
+  // Split text into lines that fit maxWidth (by textWidth); explicit line
+  // breaks are kept and words longer than a line are cut
+  wrapText: function (str, maxWidth, size = 10) {
+    const maxChars = Math.max(1, Math.floor(maxWidth / (size * 0.5)));
+    const lines = [];
+    String(str)
+      .split(/\r?\n/)
+      .forEach((paragraph) => {
+        let line = '';
+        paragraph.split(/\s+/).forEach((word) => {
+          while (word.length > maxChars) {
+            if (line) lines.push(line);
+            lines.push(word.slice(0, maxChars));
+            word = word.slice(maxChars);
+            line = '';
+          }
+          if (!word) return;
+          if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+          } else {
+            line = line ? line + ' ' + word : word;
+          }
+        });
+        lines.push(line);
+      });
+    return lines;
+  },
+
+  // Register a baseline JPEG (Uint8Array or binary string) of width × height
+  // pixels; draw it with image(). One image can be drawn on several pages.
+  addImage: function (doc, jpeg, width, height) {
+    let data = jpeg;
+    if (typeof jpeg !== 'string') {
+      data = '';
+      for (let i = 0; i < jpeg.length; i += 8192) {
+        data += String.fromCharCode.apply(null, jpeg.subarray(i, i + 8192));
+      }
+    }
+    const image = { name: `Im${doc.images.length + 1}`, data: data, width: width, height: height };
+    doc.images.push(image);
+    return image;
+  },
+
+  // Draw a registered image stretched into the box
+  image: function (doc, image, x, y, width, height) {
+    const page = this._page(doc);
+    const n = this._num;
+    if (!page.images.includes(image)) page.images.push(image);
+    page.ops.push(
+      `q ${n(width)} 0 0 ${n(height)} ${n(x)} ${n(page.height - y - height)} cm /${image.name} Do Q`
+    );
+  },
+
+  _escape: function (str) {
+    let out = '';
+    for (const ch of String(str)) {
+      const code = ch.codePointAt(0);
+      if (ch === '(' || ch === ')' || ch === '\\') {
+        out += '\\' + ch;
+      } else if (code >= 32 && code < 127) {
+        out += ch;
+      } else if (code >= 160 && code < 256) {
+        out += '\\' + code.toString(8).padStart(3, '0');
+      } else if (this.WIN_ANSI[code]) {
+        out += '\\' + this.WIN_ANSI[code].toString(8);
+      } else if ((code >= 0x2000 && code <= 0x200a) || code === 0x202f) {
+        out += ' '; // thin and narrow spaces used by date formatting
+      } else {
+        out += '?';
+      }
+    }
+    return out;
+  },
+
+  // Serialise the document to PDF bytes
+  build: function (doc) {
+    if (doc.pages.length === 0) throw new Error('PDF has no pages');
+
+    // Object numbers: 1 catalog, 2 page tree, 3–4 fonts, then page/content
+    // pairs, then images
+    const objects = [];
+    const pageIds = doc.pages.map((_, i) => 5 + i * 2);
+    const imageIds = new Map();
+    (doc.images || []).forEach((image, i) => {
+      const id = 5 + doc.pages.length * 2 + i;
+      imageIds.set(image, id);
+      objects[id] =
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\n` +
+        `stream\n${image.data}\nendstream`;
+    });
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${doc.pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    doc.pages.forEach((page, i) => {
+      const pageId = pageIds[i];
+      const content = page.ops.join('\n');
+      const xObjects = (page.images || [])
+        .map((image) => `/${image.name} ${imageIds.get(image)} 0 R`)
+        .join(' ');
+      objects[pageId] =
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this._num(page.width)} ${this._num(page.height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+        `/Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    // Every character is one byte (Latin-1, JPEG data as a binary string),
+    // so string offsets are byte offsets
+    let out = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = out.length;
+      out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xref = out.length;
+    out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(out.length);
+    for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i) & 0xff;
+    return bytes;
+  },
+
+  toBlob: function (doc) {
+    return new Blob([this.build(doc)], { type: 'application/pdf' });
+  },
+};
+
+// Export the writer (CommonJS under Node, global in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PdfWriter;
+} else {
+  window.PdfWriter = PdfWriter;
+}
@@ -0,0 +1,248 @@
+// Drape profile geometry for the Drape Calculator
+// Pure math on the shadow outline (no OpenCV, no DOM): the boundary is turned
+// into a polar radius r(θ) around the support disk centre, its folds (nodes)
+// are found as peaks of that profile and its shape is summarised by harmonics.
+const DrapeProfile = {
+  // Number of angular bins in a profile (1° each)
+  SAMPLES: 360,
+
+  // Polar radius of a closed outline around (cx, cy).
+  // points: [{ x, y }]. Each bin keeps the outermost point; empty bins are
+  // interpolated from their neighbours. Returns { angles (deg), radii (px) }.
+  radialProfile: function (points, cx, cy, samples = this.SAMPLES) {
+    const radii = new Array(samples).fill(NaN);
+
+    points.forEach((p) => {
+      let theta = Math.atan2(p.y - cy, p.x - cx);
+      if (theta < 0) theta += Math.PI * 2;
+      const bin = Math.floor((theta / (Math.PI * 2)) * samples) % samples;
+      const r = Math.hypot(p.x - cx, p.y - cy);
+      if (!(radii[bin] >= r)) radii[bin] = r;
+    });
+
+    const known = [];
+    radii.forEach((r, i) => {
+      if (!isNaN(r)) known.push(i);
+    });
+    if (known.length < 3) {
+      throw new Error('Outline too small for a radial profile');
+    }
+
+    // Fill gaps by circular linear interpolation
+    for (let k = 0; k < known.length; k++) {
+      const i0 = known[k];
+      const i1 = known[(k + 1) % known.length];
+      const gap = (i1 - i0 + samples) % samples || samples;
+      for (let step = 1; step < gap; step++) {
+        const t = step / gap;
+        radii[(i0 + step) % samples] = radii[i0] * (1 - t) + radii[i1] * t;
+      }
+    }
+
+    const angles = radii.map((_, i) => ((i + 0.5) * 360) / samples);
+    return { angles: angles, radii: radii };
+  },
+
+  // Circular moving average (window in bins, odd)
+  smooth: function (values, window = 5) {
+    const n = values.length;
+    const half = Math.floor(window / 2);
+    return values.map((_, i) => {
+      let sum = 0;
+      for (let k = -half; k <= half; k++) {
+        sum += values[(i + k + n) % n];
+      }
+      return sum / (2 * half + 1);
+    });
+  },
+
+  // Peaks of a circular profile. A peak must rise at least minProminence
+  // above the higher of the two troughs around it; peaks closer than
+  // minSeparation bins keep only the taller one.
+  findPeaks: function (values, minProminence, minSeparation) {
+    const n = values.length;
+    let peaks = [];
+
+    for (let i = 0; i < n; i++) {
+      const v = values[i];
+      if (!(v >= values[(i - 1 + n) % n] && v > values[(i + 1) % n])) continue;
+
+      // Lowest point on each side before reaching a higher value
+      let leftMin = v;
+      let rightMin = v;
+      for (let k = 1; k < n; k++) {
+        const w = values[(i - k + n) % n];
+        if (w > v) break;
+        leftMin = Math.min(leftMin, w);
+      }
+      for (let k = 1; k < n; k++) {
+        const w = values[(i + k) % n];
+        if (w > v) break;
+        rightMin = Math.min(rightMin, w);
+      }
+
+      const prominence = v - Math.max(leftMin, rightMin);
+      if (prominence >= minProminence) {
+        peaks.push({ index: i, value: v, prominence: prominence });
+      }
+    }
+
+    // Enforce the minimum separation, tallest peaks first
+    peaks.sort((a, b) => b.value - a.value);
+    const kept = [];
+    peaks.forEach((peak) => {
+      const tooClose = kept.some((k) => {
+        const d = Math.abs(k.index - peak.index);
+        return Math.min(d, n - d) < minSeparation;
+      });
+      if (!tooClose) kept.push(peak);
+    });
+
+    return kept.sort((a, b) => a.index - b.index);
+  },
+
+  /**
+   * Node (fold) analysis of a radial profile.
+   *
+   * Amplitude of a node is its radius minus the mean of the troughs on either
+   * side. Spacing uniformity is 1 − CV of the angular gaps between nodes
+   * (1 = perfectly even). Lengths are in cm when scaleFactor (px/cm) is
+   * given, otherwise in px.
+   *
+   * Returns { count, nodes: [{ angle, radius, amplitude }],
+   *           amplitude: { mean, min, max }, spacing: { mean, sd, uniformity } }.
+   */
+  analyzeNodes: function (profile, scaleFactor, options = {}) {
+    const radii = this.smooth(profile.radii, options.window || 5);
+    const n = radii.length;
+    const meanRadius = radii.reduce((sum, r) => sum + r, 0) / n;
+    const unit = scaleFactor > 0 ? scaleFactor : 1;
+
+    const peaks = this.findPeaks(
+      radii,
+      options.minProminence || meanRadius * 0.02,
+      options.minSeparation || Math.round(n / 36)
+    );
+
+    // Trough between consecutive peaks (wrapping around)
+    const troughAfter = peaks.map((peak, k) => {
+      const next = peaks[(k + 1) % peaks.length];
+      const span = (next.index - peak.index + n) % n || n;
+      let min = Infinity;
+      for (let step = 1; step < span; step++) {
+        min = Math.min(min, radii[(peak.index + step) % n]);
+      }
+      return isFinite(min) ? min : peak.value;
+    });
+
+    const nodes = peaks.map((peak, k) => {
+      const before = troughAfter[(k - 1 + peaks.length) % peaks.length];
+      const after = troughAfter[k];
+      return {
+        angle: profile.angles[peak.index],
+        radius: peak.value / unit,
+        amplitude: (peak.value - (before + after) / 2) / unit,
+      };
+    });
+
+    const amplitudes = nodes.map((node) => node.amplitude);
+    const gaps = peaks.map((peak, k) => {
+      const next = peaks[(k + 1) % peaks.length];
+      return (((next.index - peak.index + n) % n || n) * 360) / n;
+    });
+    const gapMean = gaps.length ? gaps.reduce((s, g) => s + g, 0) / gaps.length : NaN;
+    const gapSd =
+      gaps.length > 1
+        ? Math.sqrt(gaps.reduce((s, g) => s + (g - gapMean) * (g - gapMean), 0) / (gaps.length - 1))
+        : NaN;
+
+    return {
+      count: nodes.length,
+      nodes: nodes,
+      amplitude: {
+        mean: amplitudes.length ? amplitudes.reduce((s, a) => s + a, 0) / amplitudes.length : NaN,
+        min: amplitudes.length ? Math.min.apply(null, amplitudes) : NaN,
+        max: amplitudes.length ? Math.max.apply(null, amplitudes) : NaN,
+      },
+      spacing: {
+        mean: gapMean,
+        sd: gapSd,
+        uniformity: nodes.length >= 2 ? Math.max(0, 1 - gapSd / gapMean) : NaN,
+      },
+    };
+  },
+
+  // Discrete Fourier transform of a real sequence: { re, im } for bins 0..maxK
+  dft: function (values, maxK) {
+    const n = values.length;
+    const re = [];
+    const im = [];
+    for (let k = 0; k <= maxK; k++) {
+      let sumRe = 0;
+      let sumIm = 0;
+      for (let i = 0; i < n; i++) {
+        const phi = (-2 * Math.PI * k * i) / n;
+        sumRe += values[i] * Math.cos(phi);
+        sumIm += values[i] * Math.sin(phi);
+      }
+      re.push(sumRe);
+      im.push(sumIm);
+    }
+    return { re: re, im: im };
+  },
+
+  /**
+   * Fourier shape descriptors of a radial profile.
+   *
+   * r(θ) = r0 + Σ A_k cos(kθ − φ_k). Harmonic 1 only reflects an off-centre
+   * disk, so the dominant harmonic is taken from k ≥ 2; for a regular drape
+   * it equals the node count. The irregularity index is the share of the
+   * k ≥ 2 energy outside the dominant harmonic (0 = one clean harmonic).
+   * Lengths are in cm when scaleFactor (px/cm) is given, otherwise in px.
+   *
+   * Returns { meanRadius, amplitudes: [A_1..A_max], phases (deg),
+   *           normalized: [A_k / r0], dominant: { harmonic, amplitude },
+   *           irregularity }.
+   */
+  harmonics: function (profile, scaleFactor, maxHarmonic = 12) {
+    const radii = profile.radii;
+    const n = radii.length;
+    const unit = scaleFactor > 0 ? scaleFactor : 1;
+    const spectrum = this.dft(radii, maxHarmonic);
+
+    const meanRadius = spectrum.re[0] / n / unit;
+    const amplitudes = [];
+    const phases = [];
+    for (let k = 1; k <= maxHarmonic; k++) {
+      amplitudes.push(((2 / n) * Math.hypot(spectrum.re[k], spectrum.im[k])) / unit);
+      phases.push((Math.atan2(-spectrum.im[k], spectrum.re[k]) * 180) / Math.PI);
+    }
+
+    let dominant = 2;
+    for (let k = 3; k <= maxHarmonic; k++) {
+      if (amplitudes[k - 1] > amplitudes[dominant - 1]) dominant = k;
+    }
+
+    let energy = 0;
+    for (let k = 2; k <= maxHarmonic; k++) {
+      energy += amplitudes[k - 1] * amplitudes[k - 1];
+    }
+    const dominantAmplitude = amplitudes[dominant - 1];
+
+    return {
+      meanRadius: meanRadius,
+      amplitudes: amplitudes,
+      phases: phases,
+      normalized: amplitudes.map((a) => a / meanRadius),
+      dominant: { harmonic: dominant, amplitude: dominantAmplitude },
+      irregularity: energy > 0 ? 1 - (dominantAmplitude * dominantAmplitude) / energy : 0,
+    };
+  },
+};
+
+// Export profile helpers (CommonJS under Node, global in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DrapeProfile;
+} else {
+  window.DrapeProfile = DrapeProfile;
+}
@@ -0,0 +1,361 @@
+// Printable drape test report
+// Lays out a multi-page A4/Letter report with PdfWriter: a configurable
+// header with logo, sample details, test method and parameters, the results
+// table, summary statistics, specimen images and a signature block. The
+// caller collects and formats nothing but the values; layout lives here.
+//
+//   const doc = TestReport.build({
+//     header: { title, labName, labAddress, logo: { data, width, height } },
+//     sample: [['Sample ID', 'S-12'], ...],
+//     method: 'Drape coefficient by image analysis...',
+//     parameters: [['Support disk', '18.0 cm'], ...],
+//     specimens: [{ number, time, file, side, drape, uncertainty, nodes, area,
+//                   classification, image: { data, width, height } }],
+//     summary: { n, mean, sd, cv, ciLow, ciHigh }, classification,
+//     signatures: [{ role: 'Tested by', name }], appVersion, generatedAt,
+//   });
+//   FileUtils.saveBlob(PdfWriter.toBlob(doc), 'report.pdf');
+const TestReport = {
+  // Page geometry in cm
+  MARGIN: 2,
+  FOOTER: 1.2,
+
+  // Results table: [heading, width (share of the content width), align]
+  COLUMNS: [
+    ['No.', 0.06, 'left'],
+    ['Time', 0.18, 'left'],
+    ['File', 0.18, 'left'],
+    ['Side', 0.08, 'left'],
+    ['Drape %', 0.1, 'right'],
+    ['± u', 0.09, 'right'],
+    ['Nodes', 0.08, 'right'],
+    ['Shadow cm²', 0.11, 'right'],
+    ['Class', 0.12, 'left'],
+  ],
+
+  IMAGES_PER_ROW: 3,
+
+  getWriter: function () {
+    if (typeof PdfWriter !== 'undefined') return PdfWriter;
+    return require('./pdf.js');
+  },
+
+  /**
+   * Build the report document (see the header comment for the fields).
+   * Missing sections are left out; specimens without an image are listed
+   * in the table only. Returns a PdfWriter document.
+   */
+  build: function (report) {
+    const pdf = this.getWriter();
+    const size = pdf.PAGE_SIZES[report.pageSize] || pdf.PAGE_SIZES.a4;
+    const doc = pdf.createDocument();
+    const ctx = {
+      pdf: pdf,
+      doc: doc,
+      report: report,
+      width: size[0],
+      height: size[1],
+      left: this.MARGIN * pdf.CM,
+      right: size[0] - this.MARGIN * pdf.CM,
+      bottom: size[1] - (this.MARGIN + this.FOOTER) * pdf.CM,
+      y: 0,
+    };
+    ctx.contentWidth = ctx.right - ctx.left;
+
+    this._newPage(ctx, true);
+    if (report.sample && report.sample.length) {
+      this._section(ctx, 'Sample');
+      this._fields(ctx, report.sample);
+    }
+    if (report.method || (report.parameters && report.parameters.length)) {
+      this._section(ctx, 'Test method and parameters');
+      if (report.method) this._paragraph(ctx, report.method);
+      if (report.parameters) this._fields(ctx, report.parameters);
+    }
+    this._section(ctx, 'Results');
+    this._resultsTable(ctx, report.specimens || []);
+    if (report.summary) this._summary(ctx, report.summary, report.classification);
+    const withImages = (report.specimens || []).filter((s) => s.image);
+    if (withImages.length) {
+      this._section(ctx, 'Specimen images');
+      this._images(ctx, report.specimens);
+    }
+    this._signatures(ctx, report.signatures || []);
+    this._footers(ctx);
+    return doc;
+  },
+
+  // Start a page; the first carries the full header, later ones a short title line
+  _newPage: function (ctx, first = false) {
+    const pdf = ctx.pdf;
+    pdf.addPage(ctx.doc, ctx.width, ctx.height);
+    ctx.y = this.MARGIN * pdf.CM;
+    const header = ctx.report.header || {};
+    const title = header.title || 'Drape Test Report';
+
+    if (!first) {
+      pdf.text(ctx.doc, ctx.left, ctx.y, title, 9, { gray: 0.4 });
+      if (header.labName) {
+        pdf.text(ctx.doc, ctx.right - pdf.textWidth(header.labName, 9), ctx.y, header.labName, 9, { gray: 0.4 });
+      }
+      ctx.y += 6;
+      pdf.line(ctx.doc, ctx.left, ctx.y, ctx.right, ctx.y, 0.5, 0.6);
+      ctx.y += 18;
+      return;
+    }
+
+    // Logo at most 3 × 2 cm, keeping its aspect ratio
+    let textLeft = ctx.left;
+    let headerHeight = 36;
+    if (header.logo) {
+      const box = { w: 3 * pdf.CM, h: 2 * pdf.CM };
+      const scale = Math.min(box.w / header.logo.width, box.h / header.logo.height);
+      const w = header.logo.width * scale;
+      const h = header.logo.height * scale;
+      const image = pdf.addImage(ctx.doc, header.logo.data, header.logo.width, header.logo.height);
+      pdf.image(ctx.doc, image, ctx.left, ctx.y, w, h);
+      textLeft = ctx.left + w + 12;
+      headerHeight = Math.max(headerHeight, h);
+    }
+
+    let ty = ctx.y + 12;
+    if (header.labName) {
+      pdf.text(ctx.doc, textLeft, ty, header.labName, 13, { bold: true });
+      ty += 14;
+    }
+    (header.labAddress ? String(header.labAddress).split(/\r?\n/) : []).forEach((line) => {
+      pdf.text(ctx.doc, textLeft, ty, line, 8.5, { gray: 0.3 });
+      ty += 10.5;
+    });
+    headerHeight = Math.max(headerHeight, ty - ctx.y);
+
+    pdf.text(ctx.doc, ctx.right - pdf.textWidth(title, 15), ctx.y + 12, title, 15, { bold: true });
+    if (ctx.report.generatedAt) {
+      const dated = 'Issued ' + this._date(ctx.report.generatedAt);
+      pdf.text(ctx.doc, ctx.right - pdf.textWidth(dated, 9), ctx.y + 26, dated, 9, { gray: 0.3 });
+    }
+
+    ctx.y += headerHeight + 8;
+    pdf.line(ctx.doc, ctx.left, ctx.y, ctx.right, ctx.y, 1);
+    ctx.y += 20;
+  },
+
+  // Break to a new page when `height` points do not fit
+  _ensure: function (ctx, height) {
+    if (ctx.y + height > ctx.bottom) this._newPage(ctx);
+  },
+
+  _section: function (ctx, title) {
+    this._ensure(ctx, 48);
+    ctx.y += 6;
+    ctx.pdf.text(ctx.doc, ctx.left, ctx.y, title, 11, { bold: true });
+    ctx.y += 5;
+    ctx.pdf.line(ctx.doc, ctx.left, ctx.y, ctx.right, ctx.y, 0.5, 0.6);
+    ctx.y += 14;
+  },
+
+  _paragraph: function (ctx, text) {
+    ctx.pdf.wrapText(text, ctx.contentWidth, 9).forEach((line) => {
+      this._ensure(ctx, 12);
+      ctx.pdf.text(ctx.doc, ctx.left, ctx.y, line, 9);
+      ctx.y += 12;
+    });
+    ctx.y += 4;
+  },
+
+  // Label/value pairs in two columns
+  _fields: function (ctx, fields) {
+    const pdf = ctx.pdf;
+    const columnWidth = ctx.contentWidth / 2;
+    const labelWidth = 3.2 * pdf.CM;
+    for (let i = 0; i < fields.length; i += 2) {
+      const pair = fields.slice(i, i + 2);
+      const wrapped = pair.map(([, value]) =>
+        pdf.wrapText(value === null || value === undefined || value === '' ? '--' : value, columnWidth - labelWidth - 8, 9)
+      );
+      const lines = Math.max(...wrapped.map((w) => w.length));
+      this._ensure(ctx, lines * 11 + 2);
+      pair.forEach(([label], k) => {
+        const x = ctx.left + k * columnWidth;
+        pdf.text(ctx.doc, x, ctx.y, label, 9, { gray: 0.35 });
+        wrapped[k].forEach((line, j) => pdf.text(ctx.doc, x + labelWidth, ctx.y + j * 11, line, 9));
+      });
+      ctx.y += lines * 11 + 2;
+    }
+    ctx.y += 4;
+  },
+
+  _resultsTable: function (ctx, specimens) {
+    const pdf = ctx.pdf;
+    const columns = this.COLUMNS.map(([heading, share, align]) => ({
+      heading: heading,
+      width: share * ctx.contentWidth,
+      align: align,
+    }));
+    const rowHeight = 14;
+
+    const header = () => {
+      pdf.fillRect(ctx.doc, ctx.left, ctx.y - 10, ctx.contentWidth, rowHeight, 0.9);
+      this._row(ctx, columns, columns.map((c) => c.heading), true);
+      ctx.y += rowHeight;
+    };
+
+    this._ensure(ctx, rowHeight * 2);
+    header();
+    if (specimens.length === 0) {
+      pdf.text(ctx.doc, ctx.left + 3, ctx.y, 'No measurements', 9, { gray: 0.4 });
+      ctx.y += rowHeight;
+    }
+    specimens.forEach((s, i) => {
+      if (ctx.y + rowHeight > ctx.bottom) {
+        this._newPage(ctx);
+        header();
+      }
+      this._row(ctx, columns, [
+        String(s.number || i + 1),
+        s.time ? this._date(s.time, true) : '--',
+        s.file || '--',
+        s.side || '--',
+        this._fixed(s.drape, 2),
+        this._fixed(s.uncertainty, 2),
+        s.nodes === null || s.nodes === undefined ? '--' : String(s.nodes),
+        this._fixed(s.area, 2),
+        s.classification || '--',
+      ]);
+      pdf.line(ctx.doc, ctx.left, ctx.y + 4, ctx.right, ctx.y + 4, 0.25, 0.8);
+      ctx.y += rowHeight;
+    });
+    ctx.y += 6;
+  },
+
+  // One table row with its baseline at ctx.y; cell text is cut to the column
+  _row: function (ctx, columns, cells, bold = false) {
+    const pdf = ctx.pdf;
+    let x = ctx.left;
+    columns.forEach((column, k) => {
+      const text = this._fit(cells[k], column.width - 6, 8.5);
+      const tx = column.align === 'right' ? x + column.width - 3 - pdf.textWidth(text, 8.5) : x + 3;
+      pdf.text(ctx.doc, tx, ctx.y, text, 8.5, { bold: bold });
+      x += column.width;
+    });
+  },
+
+  _summary: function (ctx, summary, classification) {
+    const fields = [
+      ['Specimens', String(summary.n)],
+      ['Mean drape', this._fixed(summary.mean, 2) + ' %'],
+      ['SD', this._fixed(summary.sd, 2) + ' %'],
+      ['CV', this._fixed(summary.cv, 1) + ' %'],
+      [
+        '95% CI of mean',
+        Number.isFinite(summary.ciLow) && Number.isFinite(summary.ciHigh)
+          ? `${summary.ciLow.toFixed(2)} to ${summary.ciHigh.toFixed(2)} %`
+          : '--',
+      ],
+    ];
+    if (classification) fields.push(['Classification', classification]);
+    this._section(ctx, 'Summary');
+    this._fields(ctx, fields);
+  },
+
+  // Specimen images in a grid, numbered like the results table
+  _images: function (ctx, specimens) {
+    const pdf = ctx.pdf;
+    const gap = 10;
+    const cell = (ctx.contentWidth - gap * (this.IMAGES_PER_ROW - 1)) / this.IMAGES_PER_ROW;
+    let column = 0;
+    let rowHeight = 0;
+
+    specimens.forEach((s, i) => {
+      if (!s.image) return;
+      const scale = Math.min(cell / s.image.width, cell / s.image.height);
+      const w = s.image.width * scale;
+      const h = s.image.height * scale;
+      if (column === 0) {
+        this._ensure(ctx, cell + 16);
+        rowHeight = 0;
+      }
+      const x = ctx.left + column * (cell + gap);
+      const image = pdf.addImage(ctx.doc, s.image.data, s.image.width, s.image.height);
+      pdf.image(ctx.doc, image, x + (cell - w) / 2, ctx.y, w, h);
+      pdf.strokeRect(ctx.doc, x + (cell - w) / 2, ctx.y, w, h, 0.25, 0.7);
+      const caption = this._fit(`${s.number || i + 1}. ${this._fixed(s.drape, 2)} %  ${s.file || ''}`, cell, 8);
+      pdf.text(ctx.doc, x, ctx.y + h + 10, caption, 8);
+      rowHeight = Math.max(rowHeight, h + 16);
+
+      column++;
+      if (column === this.IMAGES_PER_ROW) {
+        ctx.y += rowHeight + 4;
+        column = 0;
+      }
+    });
+    if (column > 0) ctx.y += rowHeight + 4;
+  },
+
+  // Name, signature and date lines side by side, kept on one page
+  _signatures: function (ctx, signatures) {
+    if (signatures.length === 0) return;
+    const pdf = ctx.pdf;
+    const gap = 20;
+    const width = (ctx.contentWidth - gap * (signatures.length - 1)) / signatures.length;
+    this._ensure(ctx, 110);
+    ctx.y += 16;
+    const top = ctx.y;
+
+    signatures.forEach((signature, k) => {
+      const x = ctx.left + k * (width + gap);
+      let y = top;
+      pdf.text(ctx.doc, x, y, signature.role, 10, { bold: true });
+      y += 22;
+      ['Name', 'Signature', 'Date'].forEach((label) => {
+        pdf.text(ctx.doc, x, y, label, 8.5, { gray: 0.35 });
+        pdf.line(ctx.doc, x + 50, y + 2, x + width, y + 2, 0.5);
+        if (label === 'Name' && signature.name) pdf.text(ctx.doc, x + 54, y - 1, signature.name, 9.5);
+        y += 24;
+      });
+    });
+    ctx.y = top + 94;
+  },
+
+  // Page numbers and the generator line on every page
+  _footers: function (ctx) {
+    const pdf = ctx.pdf;
+    const doc = ctx.doc;
+    const y = ctx.height - this.MARGIN * pdf.CM;
+    const generator =
+      `Drape Calculator${ctx.report.appVersion ? ' ' + ctx.report.appVersion : ''}` +
+      (ctx.report.generatedAt ? `, generated ${this._date(ctx.report.generatedAt, true)}` : '');
+    doc.pages.forEach((page, i) => {
+      doc.current = page;
+      const label = `Page ${i + 1} of ${doc.pages.length}`;
+      pdf.line(doc, ctx.left, y - 12, ctx.right, y - 12, 0.25, 0.7);
+      pdf.text(doc, ctx.left, y, generator, 7.5, { gray: 0.4 });
+      pdf.text(doc, ctx.right - pdf.textWidth(label, 7.5), y, label, 7.5, { gray: 0.4 });
+    });
+  },
+
+  // Cut text that would overflow width, marking the cut with an ellipsis
+  _fit: function (text, width, size) {
+    const str = String(text);
+    const maxChars = Math.floor(width / (size * 0.5));
+    return str.length > maxChars ? str.slice(0, Math.max(1, maxChars - 1)) + '…' : str;
+  },
+
+  _fixed: function (value, digits) {
+    return typeof value === 'number' && isFinite(value) ? value.toFixed(digits) : '--';
+  },
+
+  _date: function (value, withTime = false) {
+    const date = new Date(value);
+    return withTime
+      ? date.toLocaleString([], { year: '2-digit', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString([], { year: 'numeric', month: 'long', day: 'numeric' });
+  },
+};
+
+// Export the report builder (CommonJS under Node, global in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TestReport;
+} else {
+  window.TestReport = TestReport;
+}
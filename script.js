@@ -1,3 +1,6 @@
+// Version written into measurement records and exported sessions
+const APP_VERSION = '1.0.0';
+
 const AppState = {
   video: null,
   mainCanvas: null,
@@ -9,6 +12,7 @@ const AppState = {
   isCameraActive: false,
   capturedImage: null,
   originalImage: null,
+  currentFileName: null, // name of the uploaded file (null for camera captures)
   isProcessing: false,
   scaleFactor: null,
   // Track whether the last processing attempt completed successfully
@@ -17,13 +21,113 @@ const AppState = {
   // Reference detection
   detectedCoin: null,
   coinCircleElement: null,
+  proposedCoin: null, // automatic proposal awaiting accept/override
+  proposedCoinElement: null,
+
+  // Latest DrapeAnalyzer result (owns the shadow/ring masks)
+  analysisResult: null,
+
+  // Perspective correction: 'off' | 'ellipse' (fit disk rim) | 'markers'
+  perspectiveMode: 'ellipse',
+  perspectiveMarkers: [], // image points clicked while picking markers
+  perspectiveMarkerElements: [],
+  pickingMarkers: false,
+  rectification: null, // correction applied to the working image
+  captureInfo: null, // { camera, burst } of a camera capture
+  lensCorrection: null, // lens profile applied to the working image
+  lensWizard: null, // { views, size } while calibrating the lens
+  burstFrames: 1, // frames median-combined per capture
+  reportSettings: null, // header, method and signatories of the PDF report
+
+  // Shadow segmentation strategy (see segmentation.js); 'auto' tries them all
+  segmentationMethod: 'auto',
+
+  // Empty-tester shot for background subtraction, kept for the whole session
+  backgroundImage: null, // cv.Mat (perspective-corrected like the captures)
+  backgroundInfo: null, // { source: 'camera' | 'upload', name, time, width, height }
+
+  // Shadow mask editing on the processed image (brush in image px)
+  maskEdit: {
+    active: false,
+    tool: 'add', // 'add' | 'erase'
+    brushSize: 20,
+    undo: [], // mask snapshots (Uint8Array) taken before each stroke
+    redo: [],
+    strokes: 0,
+    automaticMask: null, // mask as segmented, before any edit
+    automaticCoefficient: null,
+    painting: false,
+    lastPoint: null,
+  },
+  currentRecord: null, // history record of the result on screen
+  history: {
+    search: '',
+    fabric: '',
+    classification: '',
+    from: '', // 'YYYY-MM-DD'
+    to: '',
+    sort: 'time',
+    direction: 'desc',
+    page: 1,
+    pageSize: 25,
+    selected: new Set(), // record ids
+  },
+  reopenedRecord: null, // stored record being re-analysed (not saved again)
+
+  // Disk and fabric circles set by hand on the main canvas (image px);
+  // null = detected / derived from the scale
+  manualDisk: null,
+  manualFabricRadiusPx: null,
+  automaticCircles: null, // { disk, fabricRadiusPx } before any adjustment
+  circleHandleElements: { disk: null, fabric: null },
+  circleFrame: null, // pending live re-measure (requestAnimationFrame id)
 
   // Zoom state
   zoomLevel: 1.0,
   panOffset: { x: 0, y: 0 },
+  viewGesture: {
+    pointers: new Map(), // pointerId -> { x, y } in canvas px
+    moved: false, // drag or pinch happened since the first pointer went down
+    suppressClick: false, // swallow the click that ends a drag
+    pinch: null, // { distance, midX, midY } of the previous pinch frame
+  },
+  viewFrame: null, // pending view redraw (requestAnimationFrame id)
+
+  // Live detection on camera preview frames
+  preview: {
+    timer: null,
+    canvas: null, // downscaled frame
+    history: [], // last detections, newest last
+    disk: null, // latest circles in video pixels
+    coin: null,
+    locked: false,
+    message: null, // last status shown, to avoid repeating it
+  },
+  autoCapture: {
+    enabled: false,
+    levelFrames: 0, // consecutive orientation readings within tolerance
+    stillFrames: 0, // consecutive video frames below the motion threshold
+    canvas: null, // tiny frame for motion estimation
+    lastLuma: null,
+  },
+  loupe: {
+    timer: null, // press-and-hold timeout
+    active: false,
+    element: null, // magnifier canvas above the finger
+    source: null, // capturedImage drawn once per hold
+    point: null, // crosshair position in canvas px
+  },
+
+  // Camera choice and locks; settings are saved per device
+  camera: {
+    track: null, // running video track
+    settings: { deviceId: null, resolution: null, locks: {} },
+    locked: [], // locks the running track accepted
+  },
 
   // Level indicator state
   levelIndicatorActive: false,
+  levelStatus: null, // 'level' | 'near' | 'tilted'; null without a sensor
   levelUpdateInterval: null,
 
   // Image display info
@@ -57,6 +161,28 @@ const AppState = {
   // UI selection: what to show area for in the reference panel
   refTarget: 'coin',
 
+  // Printed calibration target (see target.js) and its last detection
+  targetSpec: { rows: 5, cols: 7, squareSize: 1.5, pitch: 2.5 },
+  calibration: null,
+
+  // Batch run (see handleBatchUpload)
+  batch: null,
+
+  // Sample being measured: new measurements are grouped under its id and
+  // side, and everything else goes into record.metadata
+  currentSample: {
+    id: '',
+    side: 'face',
+    fabricType: '',
+    composition: '',
+    gsm: null,
+    construction: '',
+    specimen: null,
+    operator: '',
+    notes: '',
+  },
+  cvThreshold: 10, // % - replicates above this coefficient of variation are flagged
+
   // Settings
   referenceDiameter: 2.5,
   diskDiameter: 18.0,
@@ -115,6 +241,29 @@ function initializeEventListeners() {
 
   // Camera controls
   document.getElementById('startCamera').addEventListener('click', startCamera);
+  document.getElementById('cameraDevice').addEventListener('change', (e) => {
+    selectCameraDevice(e.target.value || null);
+  });
+  document.getElementById('cameraResolution').addEventListener('change', (e) => {
+    AppState.camera.settings.resolution = e.target.value || null;
+    saveCameraSettings();
+    restartCameraIfActive();
+  });
+  document.querySelectorAll('.camera-locks input[data-lock]').forEach((input) => {
+    input.addEventListener('change', () => {
+      AppState.camera.settings.locks[input.dataset.lock] = input.checked;
+      saveCameraSettings();
+      applyCameraLocks();
+    });
+  });
+  initCameraSettings();
+
+  // Lens calibration wizard
+  document.getElementById('lensStart').addEventListener('click', startLensCalibration);
+  document.getElementById('lensAddView').addEventListener('click', addLensView);
+  document.getElementById('lensCompute').addEventListener('click', computeLensProfile);
+  document.getElementById('lensCancel').addEventListener('click', cancelLensCalibration);
+  document.getElementById('lensClear').addEventListener('click', removeLensProfile);
 
   // Upload button - trigger file input click
   document
@@ -131,17 +280,59 @@ function initializeEventListeners() {
     .getElementById('imageUpload')
     .addEventListener('change', handleImageUpload);
 
+  // Empty-tester background: camera frame or upload
+  document.getElementById('captureBackground').addEventListener('click', captureBackground);
+  document.getElementById('backgroundUploadBtn').addEventListener('click', function (e) {
+    e.preventDefault();
+    document.getElementById('backgroundUpload').click();
+  });
+  document
+    .getElementById('backgroundUpload')
+    .addEventListener('change', handleBackgroundUpload);
+  document.getElementById('clearBackground').addEventListener('click', clearBackground);
+
+  // Batch upload - many files processed automatically
+  document.getElementById('batchUploadBtn').addEventListener('click', function (e) {
+    e.preventDefault();
+    document.getElementById('batchUpload').click();
+  });
+  document
+    .getElementById('batchUpload')
+    .addEventListener('change', handleBatchUpload);
+  document.getElementById('batchNext').addEventListener('click', loadNextQueuedBatchItem);
+  document.getElementById('batchSkip').addEventListener('click', skipBatchItem);
+  document.getElementById('batchExport').addEventListener('click', exportBatchCSV);
+
   // Reset button
   document.getElementById('reset').addEventListener('click', resetApp);
 
   // Capture button
   document.getElementById('capture').addEventListener('click', captureImage);
+  document.getElementById('burstFrames').addEventListener('change', (e) => {
+    AppState.burstFrames = parseInt(e.target.value, 10) || 1;
+  });
+  document.getElementById('autoCapture').addEventListener('change', (e) => {
+    AppState.autoCapture.enabled = e.target.checked;
+    resetAutoCapture();
+    AppState.preview.message = null;
+    updateCaptureGate();
+  });
 
   // Canvas click for coin detection
   AppState.mainCanvas.addEventListener('click', handleCanvasClick);
-  AppState.mainCanvas.addEventListener('touchstart', handleCanvasTouch, {
+
+  // Drag to pan, wheel and pinch to zoom
+  AppState.mainCanvas.addEventListener('pointerdown', handleViewPointerDown);
+  AppState.mainCanvas.addEventListener('pointermove', handleViewPointerMove);
+  AppState.mainCanvas.addEventListener('pointerup', handleViewPointerUp);
+  AppState.mainCanvas.addEventListener('pointercancel', handleViewPointerUp);
+  AppState.mainCanvas.addEventListener('wheel', handleViewWheel, {
     passive: false,
   });
+  // A long press opens the loupe, not the browser's context menu
+  AppState.mainCanvas.addEventListener('contextmenu', (event) => {
+    if (AppState.loupe.active || AppState.loupe.timer) event.preventDefault();
+  });
 
   // Zoom controls
   document.getElementById('zoomIn').addEventListener('click', function () {
@@ -161,6 +352,14 @@ function initializeEventListeners() {
     });
   }
 
+  // Calibration target grid
+  ['targetRows', 'targetCols', 'targetSquare', 'targetPitch'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', updateTargetSpec);
+  });
+  document
+    .getElementById('detectTargetBtn')
+    .addEventListener('click', detectCalibrationTarget);
+
   // Reference coin type dropdown
   document.getElementById('refType').addEventListener('change', function () {
     const refType = this.value;
@@ -210,11 +409,96 @@ function initializeEventListeners() {
     .getElementById('clearReference')
     .addEventListener('click', clearReference);
 
+  // Automatic coin detection (propose, then accept or click to override)
+  document
+    .getElementById('autoDetectBtn')
+    .addEventListener('click', autoDetectCoin);
+  document
+    .getElementById('acceptCoin')
+    .addEventListener('click', acceptProposedCoin);
+
   // Export and save buttons
   document.getElementById('exportData').addEventListener('click', exportToCSV);
+  document.getElementById('exportSession').addEventListener('click', exportSession);
+  document.getElementById('importSessionBtn').addEventListener('click', function (e) {
+    e.preventDefault();
+    document.getElementById('importSession').click();
+  });
+  document.getElementById('importSession').addEventListener('change', importSession);
   document
     .getElementById('saveImage')
     .addEventListener('click', saveResultImage);
+  initReportSettings();
+  document.getElementById('generateReport').addEventListener('click', generateReport);
+
+  // Sample (replicate group) fields
+  document.getElementById('sampleId').addEventListener('change', function () {
+    AppState.currentSample.id = this.value.trim();
+    continueSample(AppState.currentSample.id);
+  });
+  document.getElementById('sampleSide').addEventListener('change', function () {
+    AppState.currentSample.side = this.value;
+  });
+  Object.keys(SAMPLE_METADATA_FIELDS).forEach((id) => {
+    document.getElementById(id).addEventListener('change', function () {
+      const key = SAMPLE_METADATA_FIELDS[id];
+      AppState.currentSample[key] = readMetadataField(key, this.value);
+    });
+  });
+  initHistoryView();
+  document.getElementById('cvThreshold').addEventListener('change', function () {
+    const threshold = parseFloat(this.value);
+    AppState.cvThreshold = threshold > 0 ? threshold : 10;
+    renderSampleStatistics();
+  });
+
+  // Perspective correction
+  document.getElementById('perspectiveMode').addEventListener('change', function () {
+    AppState.perspectiveMode = this.value;
+    cancelMarkerPicking();
+    document.getElementById('pickMarkers').disabled =
+      this.value !== 'markers' || !AppState.originalImage;
+    if (AppState.originalImage && this.value !== 'markers') {
+      rectifyWorkingImage();
+      showWorkingImage();
+    }
+  });
+  document.getElementById('pickMarkers').addEventListener('click', startMarkerPicking);
+
+  // Shadow mask editing brush on the processed image
+  document.getElementById('editMask').addEventListener('click', toggleMaskEdit);
+  document.getElementById('brushTool').addEventListener('change', function () {
+    AppState.maskEdit.tool = this.value;
+  });
+  document.getElementById('brushSize').addEventListener('input', function () {
+    AppState.maskEdit.brushSize = parseInt(this.value, 10) || 20;
+  });
+  document.getElementById('maskUndo').addEventListener('click', undoMaskEdit);
+  document.getElementById('maskRedo').addEventListener('click', redoMaskEdit);
+  const processed = AppState.processedCanvas;
+  processed.addEventListener('pointerdown', startMaskStroke);
+  processed.addEventListener('pointermove', continueMaskStroke);
+  processed.addEventListener('pointerup', endMaskStroke);
+  processed.addEventListener('pointercancel', endMaskStroke);
+  document.addEventListener('keydown', function (e) {
+    if (!AppState.maskEdit.active || !(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    e.preventDefault();
+    if (e.shiftKey) redoMaskEdit();
+    else undoMaskEdit();
+  });
+
+  // Shadow segmentation: re-measure the current image with the new strategy
+  document.getElementById('segmentationMethod').addEventListener('change', function () {
+    if (
+      AppState.maskEdit.strokes > 0 &&
+      !confirm('Re-segmenting the shadow discards your mask edits. Continue?')
+    ) {
+      this.value = AppState.segmentationMethod;
+      return;
+    }
+    AppState.segmentationMethod = this.value;
+    if (AppState.analysisResult) processDrapeArea(false);
+  });
 
   // Drape tester settings
   document
@@ -275,16 +559,27 @@ async function startCamera() {
       throw new Error('Camera API not supported in this browser');
     }
 
-    // Use simpler constraints for faster initialization on mobile
-    const constraints = {
-      video: {
-        facingMode: 'environment',
-      },
-    };
+    // Chosen device and resolution; rear camera at its default otherwise
+    const constraints = CameraControls.buildConstraints(AppState.camera.settings);
 
     console.log('Requesting camera with constraints:', constraints);
-    const stream = await navigator.mediaDevices.getUserMedia(constraints);
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia(constraints);
+    } catch (error) {
+      // The saved camera may be gone (unplugged, other phone)
+      if (!AppState.camera.settings.deviceId) throw error;
+      console.warn('Saved camera unavailable, using the default:', error);
+      AppState.camera.settings = Object.assign(
+        { deviceId: null },
+        CameraSettingsStore.load(null)
+      );
+      stream = await navigator.mediaDevices.getUserMedia(
+        CameraControls.buildConstraints(AppState.camera.settings)
+      );
+    }
     console.log('Camera access granted');
+    await onCameraStream(stream.getVideoTracks()[0]);
 
     AppState.video.srcObject = stream;
     AppState.isCameraActive = true;
@@ -300,7 +595,10 @@ async function startCamera() {
     // Enable/disable buttons
     document.getElementById('startCamera').disabled = true;
     document.getElementById('uploadImage').disabled = true;
-    document.getElementById('capture').disabled = false;
+    document.getElementById('batchUploadBtn').disabled = true;
+    // Capture waits for the preview to lock on the coin and disk
+    document.getElementById('capture').disabled = true;
+    document.getElementById('captureBackground').disabled = false;
     document.getElementById('reset').disabled = false;
 
     // Play video and wait for it to be ready
@@ -346,6 +644,7 @@ async function startCamera() {
 
           // Show circular guide and level indicator
           showCameraOverlays();
+          startPreviewDetection();
 
           // Hide loading spinner
           UIUtils.showLoading(false);
@@ -368,6 +667,12 @@ async function startCamera() {
         AppState.video.addEventListener('playing', onReady);
       }
     });
+
+    // Let auto exposure and focus settle before freezing them
+    const track = AppState.camera.track;
+    setTimeout(() => {
+      if (AppState.camera.track === track) applyCameraLocks();
+    }, CAMERA_SETTLE_MS);
   } catch (error) {
     console.error('Error accessing camera:', error);
     updateStatus('Error: Could not access camera');
@@ -434,61 +739,12 @@ async function handleImageUpload(event) {
       stopCamera();
     }
 
-    // Load image using FileUtils
-    const img = await FileUtils.loadImage(file);
-    console.log('Image loaded:', img.width, 'x', img.height);
-
-    // Create temporary canvas
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = img.width;
-    tempCanvas.height = img.height;
-    const tempCtx = tempCanvas.getContext('2d');
-    tempCtx.drawImage(img, 0, 0);
-
-    // Get image data
-    const imageData = tempCtx.getImageData(
-      0,
-      0,
-      tempCanvas.width,
-      tempCanvas.height
-    );
-
-    // Check if OpenCV is ready
-    if (typeof cv === 'undefined') {
-      throw new Error('OpenCV not loaded');
-    }
-
-    // Create OpenCV Mat from image data
-    AppState.originalImage = cv.matFromImageData(imageData);
-    AppState.capturedImage = AppState.originalImage.clone();
-
-    // Store image dimensions
-    AppState.imageDisplayInfo.imgWidth = img.width;
-    AppState.imageDisplayInfo.imgHeight = img.height;
-
-    console.log(
-      'Image converted to OpenCV Mat:',
-      AppState.capturedImage.cols,
-      'x',
-      AppState.capturedImage.rows
-    );
-
-    // Display image
-    displayImageOnMainCanvas(AppState.capturedImage);
-
-    // Show output canvas
-    cv.imshow(AppState.outputCanvas, AppState.capturedImage);
-
-    // Enable controls
-    document.getElementById('capture').disabled = false;
-    document.getElementById('reset').disabled = false;
+    const mat = await fileToMat(file);
+    setWorkingImage(mat, file.name);
 
     updateStatus('Image loaded. Click precisely on the coin in the image.');
     UIUtils.showToast('Image loaded successfully', 'success');
-
-    // Reset zoom and clear any previous reference
-    resetZoom();
-    clearReference();
+    maybeAutoDetectCoin();
   } catch (error) {
     console.error('Error loading image:', error);
     updateStatus('Error loading image');
@@ -501,6 +757,225 @@ async function handleImageUpload(event) {
   }
 }
 
+// Decode an image file into an RGBA OpenCV Mat
+async function fileToMat(file) {
+  // Load image using FileUtils
+  const img = await FileUtils.loadImage(file);
+  console.log('Image loaded:', img.width, 'x', img.height);
+
+  // Create temporary canvas
+  const tempCanvas = document.createElement('canvas');
+  tempCanvas.width = img.width;
+  tempCanvas.height = img.height;
+  const tempCtx = tempCanvas.getContext('2d');
+  tempCtx.drawImage(img, 0, 0);
+
+  // Get image data
+  const imageData = tempCtx.getImageData(
+    0,
+    0,
+    tempCanvas.width,
+    tempCanvas.height
+  );
+
+  // Check if OpenCV is ready
+  if (typeof cv === 'undefined') {
+    throw new Error('OpenCV not loaded');
+  }
+
+  return cv.matFromImageData(imageData);
+}
+
+// Make a decoded image the working image and display it. The lens profile
+// of the camera is applied first (to files only when opted in), so every
+// detection sees straight edges.
+// options.corrected marks an image stored after correction (a reopened
+// measurement): its lens and rectification summaries are taken as given.
+function setWorkingImage(mat, fileName = null, options = {}) {
+  const lens = options.corrected
+    ? { image: mat, correction: options.lens || null }
+    : undistortWithLensProfile(mat, !!options.fromCamera);
+  mat = lens.image;
+
+  // Free the previous image mats
+  if (AppState.capturedImage && AppState.capturedImage !== AppState.originalImage) {
+    AppState.capturedImage.delete();
+  }
+  if (AppState.originalImage) {
+    AppState.originalImage.delete();
+  }
+
+  AppState.originalImage = mat;
+  AppState.capturedImage = null; // rebuilt by rectifyWorkingImage
+  AppState.currentFileName = fileName;
+  AppState.captureInfo = null; // set again by captureImage for camera shots
+  AppState.lensCorrection = lens.correction;
+
+  // Store image dimensions
+  AppState.imageDisplayInfo.imgWidth = mat.cols;
+  AppState.imageDisplayInfo.imgHeight = mat.rows;
+
+  console.log('Image converted to OpenCV Mat:', mat.cols, 'x', mat.rows);
+
+  cancelMarkerPicking();
+  document.getElementById('pickMarkers').disabled = AppState.perspectiveMode !== 'markers';
+  if (options.corrected) {
+    AppState.capturedImage = mat.clone();
+    AppState.rectification = options.rectification || null;
+    updatePerspectiveDisplay();
+  } else {
+    rectifyWorkingImage();
+  }
+  showWorkingImage();
+}
+
+// Display the working image and drop references measured on an older view
+function showWorkingImage() {
+  // Display image
+  displayImageOnMainCanvas(AppState.capturedImage);
+
+  // Show output canvas
+  cv.imshow(AppState.outputCanvas, AppState.capturedImage);
+
+  // Enable controls
+  document.getElementById('capture').disabled = false;
+  document.getElementById('reset').disabled = false;
+
+  // Reset zoom and clear any previous reference
+  resetZoom();
+  clearReference();
+}
+
+// What a record keeps of a perspective correction
+function summarizeRectification(rectification) {
+  return {
+    method: rectification.method,
+    homography: rectification.homography,
+    ellipticityBefore: rectification.ellipticityBefore,
+    residualEllipticity: rectification.residualEllipticity,
+  };
+}
+
+// Rebuild capturedImage from originalImage with the selected perspective
+// correction. Falls back to the uncorrected image when it cannot be applied.
+function rectifyWorkingImage(options = null) {
+  if (!AppState.originalImage) return;
+
+  if (AppState.capturedImage && AppState.capturedImage !== AppState.originalImage) {
+    AppState.capturedImage.delete();
+  }
+  AppState.capturedImage = AppState.originalImage.clone();
+  AppState.rectification = null;
+
+  const mode = options ? options.method : AppState.perspectiveMode;
+  if (mode === 'ellipse' || (mode === 'markers' && options)) {
+    try {
+      const result = DrapeAnalyzer.rectify(
+        AppState.originalImage,
+        options || { method: 'ellipse' }
+      );
+      AppState.capturedImage.delete();
+      AppState.capturedImage = result.image;
+      AppState.rectification = summarizeRectification(result);
+      console.log('Perspective corrected:', AppState.rectification);
+
+      if (result.residualEllipticity > 0.02) {
+        UIUtils.showToast(
+          `Disk still ${(result.residualEllipticity * 100).toFixed(1)}% elliptical after correction`,
+          'warning'
+        );
+      }
+    } catch (error) {
+      console.warn('Perspective correction skipped:', error);
+      UIUtils.showToast('Perspective not corrected: ' + error.message, 'warning');
+    }
+  }
+
+  updatePerspectiveDisplay();
+}
+
+// Segmentation strategy used for the current result (auto names its pick)
+function updateSegmentationDisplay(segmentation) {
+  const el = document.getElementById('segmentationInfo');
+  if (!el) return;
+  if (!segmentation) {
+    el.textContent = '--';
+    return;
+  }
+  const label = ShadowSegmentation.LABELS[segmentation.method] || segmentation.method;
+  const alignment = segmentation.backgroundAlignment;
+  el.textContent =
+    (segmentation.candidates ? `Auto → ${label}` : label) +
+    ` (plausibility ${segmentation.score.toFixed(2)})` +
+    (segmentation.method === 'background' && alignment
+      ? alignment.diskFound
+        ? `, background shifted ${Math.hypot(alignment.shift.x, alignment.shift.y).toFixed(1)} px`
+        : ', background not aligned'
+      : '');
+}
+
+// Show the applied correction and residual ellipticity in the Results panel
+function updatePerspectiveDisplay() {
+  const el = document.getElementById('perspectiveInfo');
+  if (!el) return;
+
+  const r = AppState.rectification;
+  if (!r) {
+    el.textContent = AppState.originalImage ? 'None' : '--';
+    return;
+  }
+  const pct = (v) => (v === null || v === undefined ? '?' : (v * 100).toFixed(1) + '%');
+  const label = r.method === 'markers' ? 'Markers' : 'Disk ellipse';
+  el.textContent = `${label}: ellipticity ${pct(r.ellipticityBefore)} → ${pct(r.residualEllipticity)}`;
+}
+
+// Collect four marker clicks (corners of a square, clockwise from top-left)
+// on the uncorrected image
+function startMarkerPicking() {
+  if (!AppState.originalImage) return;
+
+  rectifyWorkingImage({ method: 'none' });
+  showWorkingImage();
+
+  AppState.perspectiveMarkers = [];
+  AppState.pickingMarkers = true;
+  updateStatus('Click the 4 square markers: top-left, top-right, bottom-right, bottom-left');
+}
+
+function addPerspectiveMarker(screenX, screenY) {
+  const point = screenToImageCoordinates(screenX, screenY);
+  AppState.perspectiveMarkers.push(point);
+  drawPerspectiveMarkers();
+
+  if (AppState.perspectiveMarkers.length < 4) {
+    updateStatus(`Marker ${AppState.perspectiveMarkers.length} of 4 set`);
+    return;
+  }
+
+  const markers = AppState.perspectiveMarkers.slice();
+  cancelMarkerPicking();
+  rectifyWorkingImage({ method: 'markers', markers: markers });
+  showWorkingImage();
+  updateStatus('Perspective corrected. Click precisely on the coin in the image.');
+}
+
+function drawPerspectiveMarkers() {
+  AppState.perspectiveMarkerElements.forEach((el) => el.remove());
+  AppState.perspectiveMarkerElements = [];
+  if (!AppState.pickingMarkers) return;
+
+  const radius = 6 / (AppState.imageDisplayInfo.scale * AppState.zoomLevel);
+  AppState.perspectiveMarkerElements = AppState.perspectiveMarkers.map((p, i) =>
+    createCircleOverlay({ x: p.x, y: p.y, radius: radius }, '#8e44ad', `M${i + 1}`)
+  );
+}
+
+function cancelMarkerPicking() {
+  AppState.pickingMarkers = false;
+  AppState.perspectiveMarkers = [];
+  drawPerspectiveMarkers();
+}
+
 // Render video to canvas
 function renderVideo() {
   if (!AppState.isCameraActive) return;
@@ -558,10 +1033,228 @@ function renderVideo() {
   // Clear and draw
   ctx.clearRect(0, 0, canvas.width, canvas.height);
   ctx.drawImage(video, scaledOffsetX, scaledOffsetY, scaledWidth, scaledHeight);
+  drawPreviewCircles(ctx);
+
+  if (AppState.autoCapture.enabled) {
+    measureFrameMotion();
+    if (autoCaptureReady()) {
+      console.log('Auto-capture: level, steady and locked');
+      captureImage(); // stops the camera, so this loop ends
+      return;
+    }
+  }
 
   requestAnimationFrame(renderVideo);
 }
 
+// Live preview detection: a downscaled frame is searched for the support
+// disk and coin a few times per second. Capture unlocks once both have
+// stayed put for a few detections and the device is level.
+const PREVIEW_INTERVAL_MS = 400;
+const PREVIEW_MAX_SIDE = 640; // px; below this the coin is too small for Hough
+const PREVIEW_LOCK_FRAMES = 3;
+
+function startPreviewDetection() {
+  stopPreviewDetection();
+  AppState.preview.timer = setTimeout(runPreviewDetection, PREVIEW_INTERVAL_MS);
+}
+
+function stopPreviewDetection() {
+  const preview = AppState.preview;
+  if (preview.timer) {
+    clearTimeout(preview.timer);
+    preview.timer = null;
+  }
+  preview.history = [];
+  preview.disk = null;
+  preview.coin = null;
+  preview.locked = false;
+  preview.message = null;
+  resetAutoCapture();
+}
+
+// The coin only matters when it is the scale reference
+function previewNeedsCoin() {
+  return AppState.refTarget === 'coin' && !AppState.calibration;
+}
+
+function runPreviewDetection() {
+  const preview = AppState.preview;
+  preview.timer = null;
+  const video = AppState.video;
+  if (!AppState.isCameraActive) return;
+
+  if (typeof cv !== 'undefined' && cv.Mat && video.videoWidth > 0) {
+    const factor = Math.min(
+      1,
+      PREVIEW_MAX_SIDE / Math.max(video.videoWidth, video.videoHeight)
+    );
+    if (!preview.canvas) preview.canvas = document.createElement('canvas');
+    const canvas = preview.canvas;
+    canvas.width = Math.round(video.videoWidth * factor);
+    canvas.height = Math.round(video.videoHeight * factor);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    const frame = cv.matFromImageData(
+      ctx.getImageData(0, 0, canvas.width, canvas.height)
+    );
+    try {
+      const found = DrapeAnalyzer.detectPreview(frame, getAnalyzerConfig());
+      const toVideo = (circle) =>
+        circle && {
+          x: circle.x / factor,
+          y: circle.y / factor,
+          radius: circle.radius / factor,
+        };
+      preview.history.push({ disk: toVideo(found.disk), coin: toVideo(found.coin) });
+      if (preview.history.length > PREVIEW_LOCK_FRAMES) preview.history.shift();
+      updatePreviewLock();
+    } catch (error) {
+      console.error('Preview detection error:', error);
+    } finally {
+      frame.delete();
+    }
+  }
+
+  preview.timer = setTimeout(runPreviewDetection, PREVIEW_INTERVAL_MS);
+}
+
+// Locked: the last few detections all found the circles in the same place
+function updatePreviewLock() {
+  const preview = AppState.preview;
+  const latest = preview.history[preview.history.length - 1] || {};
+  preview.disk = latest.disk || null;
+  preview.coin = latest.coin || null;
+
+  const steady = (key, tolerance) =>
+    preview.history.every(
+      (entry) =>
+        entry[key] &&
+        Math.hypot(entry[key].x - latest[key].x, entry[key].y - latest[key].y) <=
+          latest[key].radius * tolerance
+    );
+  preview.locked =
+    preview.history.length >= PREVIEW_LOCK_FRAMES &&
+    steady('disk', 0.05) &&
+    (!previewNeedsCoin() || steady('coin', 0.5));
+
+  updateCaptureGate();
+}
+
+// Enable capture when the preview is locked and the level is green.
+// Without an orientation sensor the level cannot be checked and is not
+// required.
+function updateCaptureGate() {
+  if (!AppState.isCameraActive) return;
+  const preview = AppState.preview;
+  const levelOk = AppState.levelStatus === null || AppState.levelStatus === 'level';
+  document.getElementById('capture').disabled = !(preview.locked && levelOk);
+
+  let message;
+  if (!preview.disk) {
+    message = 'Looking for the support disk...';
+  } else if (previewNeedsCoin() && !preview.coin) {
+    message = 'Support disk found. Looking for the coin...';
+  } else if (!preview.locked) {
+    message = 'Hold still while the coin and disk lock...';
+  } else if (!levelOk) {
+    message = 'Coin and disk locked. Level the camera to capture.';
+  } else if (AppState.autoCapture.enabled) {
+    message = 'Coin and disk locked. Hold steady to capture automatically...';
+  } else {
+    message = 'Coin and disk locked. Click "Capture Image".';
+  }
+  if (message !== preview.message) {
+    preview.message = message;
+    updateStatus(message);
+  }
+}
+
+// Auto-capture fires once the device has been level within
+// AUTO_CAPTURE_LEVEL_DEG for a run of orientation readings, the image has
+// barely changed for a run of video frames and the preview is locked.
+const AUTO_CAPTURE_LEVEL_DEG = 3;
+const AUTO_CAPTURE_LEVEL_FRAMES = 15;
+const AUTO_CAPTURE_MOTION = 2.5; // mean grey-level change between frames
+const AUTO_CAPTURE_STILL_FRAMES = 15;
+const MOTION_SAMPLE_WIDTH = 64; // px
+
+function resetAutoCapture() {
+  AppState.autoCapture.levelFrames = 0;
+  AppState.autoCapture.stillFrames = 0;
+  AppState.autoCapture.lastLuma = null;
+}
+
+// Mean absolute grey-level change against the previous video frame, on a
+// tiny copy so it can run every frame
+function measureFrameMotion() {
+  const auto = AppState.autoCapture;
+  const video = AppState.video;
+  if (!auto.canvas) auto.canvas = document.createElement('canvas');
+  const canvas = auto.canvas;
+  canvas.width = MOTION_SAMPLE_WIDTH;
+  canvas.height = Math.max(
+    1,
+    Math.round((MOTION_SAMPLE_WIDTH * video.videoHeight) / video.videoWidth)
+  );
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  const rgba = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+
+  const luma = new Float32Array(rgba.length / 4);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+
+  if (auto.lastLuma && auto.lastLuma.length === luma.length) {
+    let change = 0;
+    for (let i = 0; i < luma.length; i++) {
+      change += Math.abs(luma[i] - auto.lastLuma[i]);
+    }
+    const motion = change / luma.length;
+    auto.stillFrames = motion < AUTO_CAPTURE_MOTION ? auto.stillFrames + 1 : 0;
+  }
+  auto.lastLuma = luma;
+}
+
+function autoCaptureReady() {
+  const auto = AppState.autoCapture;
+  // Without an orientation sensor the level cannot be checked
+  const levelOk =
+    AppState.levelStatus === null ||
+    auto.levelFrames >= AUTO_CAPTURE_LEVEL_FRAMES;
+  return (
+    AppState.preview.locked &&
+    levelOk &&
+    auto.stillFrames >= AUTO_CAPTURE_STILL_FRAMES
+  );
+}
+
+// Draw the preview circles over the video frame (canvas coordinates follow
+// zoom and pan through imageToScreenCoordinates)
+function drawPreviewCircles(ctx) {
+  const preview = AppState.preview;
+  const pxScale = mainCanvasScale();
+  const circles = [
+    { circle: preview.disk, color: '#3498db' },
+    { circle: previewNeedsCoin() ? preview.coin : null, color: '#e74c3c' },
+  ];
+
+  ctx.save();
+  ctx.lineWidth = 3;
+  ctx.setLineDash(preview.locked ? [] : [8, 6]);
+  circles.forEach(({ circle, color }) => {
+    if (!circle) return;
+    const center = imageToScreenCoordinates(circle.x, circle.y);
+    ctx.strokeStyle = preview.locked ? '#2ecc71' : color;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, circle.radius * pxScale, 0, 2 * Math.PI);
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
 // Show camera overlays (circular guide and level indicator)
 function showCameraOverlays() {
   const circularGuide = document.getElementById('circularGuide');
@@ -627,6 +1320,7 @@ function stopLevelIndicator() {
   if (!AppState.levelIndicatorActive) return;
   
   AppState.levelIndicatorActive = false;
+  AppState.levelStatus = null;
   window.removeEventListener('deviceorientation', handleDeviceOrientation);
   
   if (AppState.levelUpdateInterval) {
@@ -678,15 +1372,28 @@ function updateLevelIndicator(beta, gamma) {
   
   // Change color based on how level it is
   const distance = Math.sqrt(xOffset * xOffset + yOffset * yOffset);
+  let status;
   if (distance < 5) {
     // Very level - green
     levelDot.style.background = '#2ecc71';
+    status = 'level';
   } else if (distance < 15) {
     // Getting close - orange
     levelDot.style.background = '#f39c12';
+    status = 'near';
   } else {
     // Not level - red
     levelDot.style.background = '#e74c3c';
+    status = 'tilted';
+  }
+
+  const tilt = Math.hypot(beta, gamma);
+  AppState.autoCapture.levelFrames =
+    tilt <= AUTO_CAPTURE_LEVEL_DEG ? AppState.autoCapture.levelFrames + 1 : 0;
+
+  if (status !== AppState.levelStatus) {
+    AppState.levelStatus = status;
+    updateCaptureGate();
   }
 }
 
@@ -786,25 +1493,31 @@ function displayImageOnMainCanvas(mat) {
 
 // Handle canvas click for reference detection (coin or shape)
 function handleCanvasClick(event) {
+  // The click that ends a pan or pinch is not a tap
+  if (AppState.viewGesture.suppressClick) {
+    AppState.viewGesture.suppressClick = false;
+    return;
+  }
+
   if (!AppState.capturedImage || AppState.isProcessing) {
     UIUtils.showToast('Please load an image first', 'error');
     return;
   }
 
-  // Get click coordinates relative to canvas
-  const rect = AppState.mainCanvas.getBoundingClientRect();
-  const clickX = event.clientX - rect.left;
-  const clickY = event.clientY - rect.top;
-
-  // Scale click coordinates to match canvas internal resolution
+  // Click coordinates in canvas internal resolution
   // (CSS may display canvas at different size than internal resolution)
-  const scaleX = AppState.mainCanvas.width / rect.width;
-  const scaleY = AppState.mainCanvas.height / rect.height;
+  const point = canvasPointFromEvent(event);
+  console.log('Canvas clicked at:', point.x, point.y);
 
-  const x = clickX * scaleX;
-  const y = clickY * scaleY;
+  handleCanvasPoint(point.x, point.y);
+}
 
-  console.log('Canvas clicked at:', clickX, clickY, '-> scaled:', x, y);
+// Pick a marker or detect the reference at canvas point (x, y)
+function handleCanvasPoint(x, y) {
+  if (AppState.pickingMarkers) {
+    addPerspectiveMarker(x, y);
+    return;
+  }
 
   // Decide which reference to detect based on Measure selection
   const targetSelect = document.getElementById('refTarget');
@@ -813,26 +1526,14 @@ function handleCanvasClick(event) {
 
   if (target === 'shape') {
     detectReferenceShape(x, y);
+  } else if (target === 'target') {
+    detectCalibrationTarget();
   } else {
     // Default behaviour: coin detection
     detectCoin(x, y);
   }
 }
 
-// Handle canvas touch for mobile
-function handleCanvasTouch(event) {
-  event.preventDefault();
-  if (event.touches.length === 1) {
-    const touch = event.touches[0];
-    const clickEvent = new MouseEvent('click', {
-      clientX: touch.clientX,
-      clientY: touch.clientY,
-      bubbles: true,
-    });
-    AppState.mainCanvas.dispatchEvent(clickEvent);
-  }
-}
-
 // Convert screen coordinates to image coordinates
 function screenToImageCoordinates(screenX, screenY) {
   const info = AppState.imageDisplayInfo;
@@ -901,74 +1602,17 @@ function detectCoin(screenX, screenY) {
     // Create a copy of the image
     let src = AppState.capturedImage.clone();
 
-      // Predeclare masks and temporaries so cleanup can run safely regardless of which branch is used
-      let lowerMask = null;
-      let upperMask = null;
-      let drapeMask = null;
-      let kernel = null;
-      let shadowMask = null;
-      let diskMask = null;
-      let diskInShadow = null;
-      let diskMaskInv = null;
-      let fabricMask = null;
-      let fabricCircleMask = null;
-      let notDiskMask = null;
-      let ringMask = null;
-      let shadowInRing = null;
-      let ringShadowContours = null;
-      let ringShadowHierarchy = null;
-      let largestShadowMask = null;
-    let detectedCircle = detectCoinHough(src, imgCoords.x, imgCoords.y);
-
-    // Method 2: If Hough fails, try contour detection
-    if (!detectedCircle) {
-      detectedCircle = detectCoinContour(src, imgCoords.x, imgCoords.y);
-    }
+    const detectedCircle = DrapeAnalyzer.detectCoin(src, imgCoords.x, imgCoords.y);
 
     if (detectedCircle) {
       console.log('Coin detected:', detectedCircle);
-
-      // Store detected coin
-      AppState.detectedCoin = detectedCircle;
-
-      // Calculate coin pixel area and update physical area
-      AppState.coinPixelArea =
-        Math.PI * detectedCircle.radius * detectedCircle.radius;
-
-      // Update detection status
-      document.getElementById('detectionStatus').textContent = 'Detected';
-      document.getElementById('detectionStatus').className = 'detected';
-
-      // Update pixel diameter display
-      document.getElementById('pixelDistance').textContent = `${(
-        detectedCircle.radius * 2
-      ).toFixed(1)} px`;
-
-      // Calculate and update scale factor
-      updateScaleFactor();
-
-      // Update coin area in cm² based on current reference
-      updateCoinAreaDisplay();
-      // Refresh which area is visible depending on user selection
-      updateTargetAreaDisplays();
-
-      // Draw coin circle on image
-      drawCoinCircle();
-
-      // Highlight coin region on original/output canvas
-      drawCoinHighlightOnOutputCanvas();
-
-      // Process drape area
-      processDrapeArea();
-
-      // Enable clear reference button
-      document.getElementById('clearReference').disabled = false;
-
-      updateStatus('Coin detected! Processing drape area...');
+      applyDetectedCoin(detectedCircle);
       UIUtils.showToast('Coin detected successfully', 'success');
     } else {
       console.log('Coin not detected');
-      updateStatus('Could not detect coin. Click closer to coin center.');
+      updateStatus(
+        'Could not detect coin. Click closer to its center, or press and hold to aim with the magnifier.'
+      );
       UIUtils.showToast('Click closer to the center of the coin', 'error');
     }
 
@@ -983,8 +1627,53 @@ function detectCoin(screenX, screenY) {
   }
 }
 
-// Detect a square-shaped reference object at the clicked location
-function detectReferenceShape(screenX, screenY) {
+// Use a detected coin circle as the scale reference and process the drape
+function applyDetectedCoin(detectedCircle) {
+  // A clicked or accepted coin replaces any pending automatic proposal
+  clearProposedCoin();
+
+  // Store detected coin (it replaces a scale taken from the target)
+  AppState.detectedCoin = detectedCircle;
+  AppState.calibration = null;
+
+  // Calculate coin pixel area and update physical area
+  AppState.coinPixelArea =
+    Math.PI * detectedCircle.radius * detectedCircle.radius;
+
+  // Update detection status
+  document.getElementById('detectionStatus').textContent = 'Detected';
+  document.getElementById('detectionStatus').className = 'detected';
+
+  // Update pixel diameter display
+  document.getElementById('pixelDistance').textContent = `${(
+    detectedCircle.radius * 2
+  ).toFixed(1)} px`;
+
+  // Calculate and update scale factor
+  updateScaleFactor();
+
+  // Update coin area in cm² based on current reference
+  updateCoinAreaDisplay();
+  // Refresh which area is visible depending on user selection
+  updateTargetAreaDisplays();
+
+  // Draw coin circle on image
+  drawCoinCircle();
+
+  // Highlight coin region on original/output canvas
+  drawCoinHighlightOnOutputCanvas();
+
+  // Process drape area
+  processDrapeArea();
+
+  // Enable clear reference button
+  document.getElementById('clearReference').disabled = false;
+
+  updateStatus('Coin detected! Processing drape area...');
+}
+
+// Find the coin without a click and propose it for the user to accept
+function autoDetectCoin() {
   if (!AppState.capturedImage || AppState.isProcessing) {
     UIUtils.showToast('Please load an image first', 'error');
     return;
@@ -992,12 +1681,88 @@ function detectReferenceShape(screenX, screenY) {
 
   try {
     UIUtils.showLoading(true);
-    updateStatus('Detecting square reference object...');
-    console.log('Starting square reference detection...');
+    updateStatus('Searching for the coin automatically...');
 
-    // Ensure a square size has been selected
-    if (!AppState.shapeArea || AppState.shapeArea <= 0) {
-      UIUtils.showToast(
+    const found = DrapeAnalyzer.findCoinAuto(
+      AppState.capturedImage,
+      getAnalyzerConfig()
+    );
+
+    if (!found) {
+      clearProposedCoin();
+      updateStatus('No coin found automatically. Click on the coin in the image.');
+      UIUtils.showToast('Coin not found automatically - click on it instead', 'error');
+      return;
+    }
+
+    AppState.proposedCoin = found;
+    drawProposedCoin();
+
+    const confidencePct = (found.confidence * 100).toFixed(0);
+    document.getElementById('coinProposalText').textContent =
+      `Coin proposed with ${confidencePct}% confidence ` +
+      `(circularity ${(found.scores.circularity * 100).toFixed(0)}%, ` +
+      `size ${(found.scores.size * 100).toFixed(0)}%, ` +
+      `contrast ${(found.scores.contrast * 100).toFixed(0)}%).`;
+    document.getElementById('coinProposal').style.display = 'flex';
+
+    updateStatus(
+      `Coin proposed (${confidencePct}% confidence). Accept it or click on the coin to override.`
+    );
+  } catch (error) {
+    console.error('Automatic coin detection error:', error);
+    updateStatus('Error detecting coin automatically');
+    UIUtils.showToast('Error detecting coin: ' + error.message, 'error');
+  } finally {
+    UIUtils.showLoading(false);
+  }
+}
+
+function acceptProposedCoin() {
+  if (!AppState.proposedCoin) return;
+  const coin = AppState.proposedCoin.coin;
+  applyDetectedCoin(coin);
+  UIUtils.showToast('Coin accepted', 'success');
+}
+
+function clearProposedCoin() {
+  AppState.proposedCoin = null;
+  if (AppState.proposedCoinElement) {
+    AppState.proposedCoinElement.remove();
+    AppState.proposedCoinElement = null;
+  }
+  const proposal = document.getElementById('coinProposal');
+  if (proposal) proposal.style.display = 'none';
+}
+
+// Propose the coin straight after loading when auto-detect is switched on
+function maybeAutoDetectCoin() {
+  // The printed target needs no click, so it is always looked for
+  if (AppState.refTarget === 'target') {
+    detectCalibrationTarget();
+    return;
+  }
+  const autoDetect = document.getElementById('autoDetectCoin');
+  if (autoDetect && autoDetect.checked && AppState.refTarget !== 'shape') {
+    autoDetectCoin();
+  }
+}
+
+// Detect a square-shaped reference object at the clicked location
+function detectReferenceShape(screenX, screenY) {
+  if (!AppState.capturedImage || AppState.isProcessing) {
+    UIUtils.showToast('Please load an image first', 'error');
+    return;
+  }
+
+  try {
+    UIUtils.showLoading(true);
+    updateStatus('Detecting square reference object...');
+    console.log('Starting square reference detection...');
+
+    // Ensure a square size has been selected
+    if (!AppState.shapeArea || AppState.shapeArea <= 0) {
+      UIUtils.showToast(
         'Select a square size (1×1 to 5×5 cm) before clicking on the reference object.',
         'error'
       );
@@ -1155,310 +1920,45 @@ function detectReferenceShape(screenX, screenY) {
   }
 }
 
-// Detect coin using Hough Circle Transform
-function detectCoinHough(src, clickX, clickY) {
-  try {
-    // Convert to grayscale
-    let gray = new cv.Mat();
-    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
-
-    // Apply Gaussian blur
-    let blurred = new cv.Mat();
-    cv.GaussianBlur(gray, blurred, new cv.Size(9, 9), 2, 2);
-
-    // Calculate adaptive radius based on image size
-    // Assuming coin is about 2-5% of image width for typical drape test photos
-    const imgDiagonal = Math.sqrt(src.cols * src.cols + src.rows * src.rows);
-    const minRadius = Math.max(10, Math.floor(imgDiagonal * 0.01)); // At least 1% of diagonal
-    const maxRadius = Math.floor(imgDiagonal * 0.15); // At most 15% of diagonal
-    const minDist = Math.floor(minRadius * 2); // Minimum distance between circles
-
-    console.log(
-      'Hough params - minRadius:',
-      minRadius,
-      'maxRadius:',
-      maxRadius,
-      'minDist:',
-      minDist
-    );
-
-    // Apply Hough Circle Transform
-    let circles = new cv.Mat();
-    cv.HoughCircles(
-      blurred,
-      circles,
-      cv.HOUGH_GRADIENT,
-      1, // dp
-      minDist, // minDist (between circle centers)
-      100, // param1 (canny edge threshold)
-      30, // param2 (accumulator threshold)
-      minRadius, // minRadius (pixels) - adaptive
-      maxRadius // maxRadius (pixels) - adaptive
-    );
-
-    console.log('Hough circles found:', circles.cols);
-
-    let bestCircle = null;
-    let minDistance = Infinity;
-
-    // Find the circle closest to the click point
-    for (let i = 0; i < circles.cols; i++) {
-      let x = Math.round(circles.data32F[i * 3]);
-      let y = Math.round(circles.data32F[i * 3 + 1]);
-      let radius = Math.round(circles.data32F[i * 3 + 2]);
-
-      // Calculate distance from click point
-      let distance = Math.sqrt(
-        Math.pow(x - clickX, 2) + Math.pow(y - clickY, 2)
-      );
-
-      // Accept circle only if click is within the coin, with a precise but not overly strict radius
-      const acceptanceRadius = Math.max(radius * 0.9, 12);
-      const isInsideCircle = distance <= radius;
-      if (isInsideCircle && distance < acceptanceRadius && distance < minDistance) {
-        minDistance = distance;
-        bestCircle = { x, y, radius };
-        console.log(
-          'Found circle at:',
-          x,
-          y,
-          'radius:',
-          radius,
-          'distance:',
-          distance
-        );
-      }
-    }
-
-    // Clean up
-    gray.delete();
-    blurred.delete();
-    circles.delete();
-
-    return bestCircle;
-  } catch (error) {
-    console.error('Hough detection error:', error);
-    return null;
-  }
-}
-
-// Detect the support disk circle near the image center.
-// Uses HoughCircles with radius constrained around expectedDiskRadiusPx.
-function detectSupportDiskCircle(grayOrBlurred, expectedDiskRadiusPx) {
-  try {
-    if (!grayOrBlurred || grayOrBlurred.empty()) return null;
-
-    // Ensure grayscale
-    let gray = new cv.Mat();
-    if (grayOrBlurred.type() === cv.CV_8UC1) {
-      grayOrBlurred.copyTo(gray);
-    } else {
-      cv.cvtColor(grayOrBlurred, gray, cv.COLOR_RGBA2GRAY, 0);
-    }
-
-    // Blur for Hough stability
-    let blurred = new cv.Mat();
-    cv.GaussianBlur(gray, blurred, new cv.Size(9, 9), 2, 2);
-
-    const r = Math.max(10, Math.round(expectedDiskRadiusPx));
-    const minRadius = Math.max(10, Math.round(r * 0.75));
-    const maxRadius = Math.round(r * 1.25);
-
-    let circles = new cv.Mat();
-    cv.HoughCircles(
-      blurred,
-      circles,
-      cv.HOUGH_GRADIENT,
-      1, // dp
-      r, // minDist
-      120, // param1
-      35, // param2
-      minRadius,
-      maxRadius
-    );
-
-    if (!circles || circles.cols <= 0) {
-      gray.delete();
-      blurred.delete();
-      circles.delete();
-      return null;
-    }
-
-    const cx0 = gray.cols / 2;
-    const cy0 = gray.rows / 2;
-
-    let best = null;
-    let bestScore = Infinity;
-
-    for (let i = 0; i < circles.cols; i++) {
-      const x = circles.data32F[i * 3];
-      const y = circles.data32F[i * 3 + 1];
-      const rad = circles.data32F[i * 3 + 2];
-
-      const centerDist = Math.hypot(x - cx0, y - cy0);
-      const radiusDiff = Math.abs(rad - r);
-
-      // Prefer circles near center and near expected radius
-      const score = centerDist * 1.0 + radiusDiff * 2.0;
-      if (score < bestScore) {
-        bestScore = score;
-        best = { x: Math.round(x), y: Math.round(y), radius: rad };
-      }
-    }
-
-    gray.delete();
-    blurred.delete();
-    circles.delete();
-
-    return best;
-  } catch (e) {
-    console.error('Support disk circle detection error:', e);
-    return null;
-  }
-}
-
-// Detect coin using contour detection
-function detectCoinContour(src, clickX, clickY) {
-  try {
-    // Convert to grayscale
-    let gray = new cv.Mat();
-    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
-
-    // Apply binary threshold
-    let binary = new cv.Mat();
-    cv.threshold(gray, binary, 0, 255, cv.THRESH_BINARY + cv.THRESH_OTSU);
-
-    // Apply morphological operations to clean up
-    let kernel = cv.Mat.ones(5, 5, cv.CV_8U);
-    let morph = new cv.Mat();
-    cv.morphologyEx(binary, morph, cv.MORPH_CLOSE, kernel);
-
-    // Find contours
-    let contours = new cv.MatVector();
-    let hierarchy = new cv.Mat();
-    cv.findContours(
-      morph,
-      contours,
-      hierarchy,
-      cv.RETR_EXTERNAL,
-      cv.CHAIN_APPROX_SIMPLE
-    );
-
-    console.log('Contours found:', contours.size());
-
-    // Calculate adaptive area limits based on image size
-    const imgArea = src.cols * src.rows;
-    const minArea = imgArea * 0.0001; // 0.01% of image
-    const maxArea = imgArea * 0.05; // 5% of image
-
-    console.log('Contour area limits - min:', minArea, 'max:', maxArea);
-
-    let bestCircle = null;
-    let minDistance = Infinity;
-
-    // Find contour closest to click point
-    for (let i = 0; i < contours.size(); i++) {
-      let contour = contours.get(i);
-      let area = cv.contourArea(contour);
-
-      // Filter by area (adaptive based on image size)
-      if (area < minArea || area > maxArea) continue;
-
-      // Get bounding circle
-      let center = new cv.Point(0, 0);
-      let radius = 0;
-      cv.minEnclosingCircle(contour, center, radius);
-
-      let x = Math.round(center.x);
-      let y = Math.round(center.y);
-      radius = Math.round(radius);
-
-      // Calculate circularity
-      let perimeter = cv.arcLength(contour, true);
-      let circularity = (4 * Math.PI * area) / (perimeter * perimeter);
-
-      // Accept if it's reasonably circular and close to click (tighter than before)
-      if (circularity > 0.6) {
-        let distance = Math.sqrt(
-          Math.pow(x - clickX, 2) + Math.pow(y - clickY, 2)
-        );
-
-        // Precise click acceptance but not overly strict
-        const acceptanceRadius = Math.max(radius * 0.9, 12);
-        const isInsideCircle = distance <= radius;
-        if (isInsideCircle && distance < acceptanceRadius && distance < minDistance) {
-          minDistance = distance;
-          bestCircle = { x, y, radius };
-          console.log(
-            'Found contour circle at:',
-            x,
-            y,
-            'radius:',
-            radius,
-            'circularity:',
-            circularity
-          );
-        }
-      }
-    }
-
-    // Clean up
-    gray.delete();
-    binary.delete();
-    kernel.delete();
-    morph.delete();
-    contours.delete();
-    hierarchy.delete();
-
-    return bestCircle;
-  } catch (error) {
-    console.error('Contour detection error:', error);
-    return null;
-  }
-}
-
-// Draw detected coin circle on canvas
-function drawCoinCircle() {
-  if (!AppState.detectedCoin) return;
-
-  // Remove previous circle if exists
-  if (AppState.coinCircleElement) {
-    AppState.coinCircleElement.remove();
-  }
-
-  const coin = AppState.detectedCoin;
+// Convert image coordinates to screen (canvas) coordinates - inverse of screenToImageCoordinates
+function imageToScreenCoordinates(imgX, imgY) {
   const info = AppState.imageDisplayInfo;
+  const zoom = AppState.zoomLevel;
 
-  // Calculate screen coordinates
-  const screenX =
-    coin.x * info.scale * AppState.zoomLevel +
-    info.offsetX +
-    (info.canvasWidth - info.imgWidth * info.scale * AppState.zoomLevel) / 2 +
-    AppState.panOffset.x;
-
-  const screenY =
-    coin.y * info.scale * AppState.zoomLevel +
-    info.offsetY +
-    (info.canvasHeight - info.imgHeight * info.scale * AppState.zoomLevel) / 2 +
-    AppState.panOffset.y;
+  const drawWidth = info.imgWidth * info.scale;
+  const drawHeight = info.imgHeight * info.scale;
+  const scaledOffsetX =
+    info.offsetX + (drawWidth - drawWidth * zoom) / 2 + AppState.panOffset.x;
+  const scaledOffsetY =
+    info.offsetY + (drawHeight - drawHeight * zoom) / 2 + AppState.panOffset.y;
+
+  return {
+    x: imgX * info.scale * zoom + scaledOffsetX,
+    y: imgY * info.scale * zoom + scaledOffsetY,
+  };
+}
 
-  const screenRadius = coin.radius * info.scale * AppState.zoomLevel;
+// Create a circle overlay element over the main canvas for an image-space circle
+function createCircleOverlay(circle, color, label, dashed = false) {
+  const screen = imageToScreenCoordinates(circle.x, circle.y);
+  const screenRadius =
+    circle.radius * AppState.imageDisplayInfo.scale * AppState.zoomLevel;
 
   // Create circle element
-  AppState.coinCircleElement = document.createElement('div');
-  AppState.coinCircleElement.className = 'coin-circle';
-  AppState.coinCircleElement.style.cssText = `
+  const element = document.createElement('div');
+  element.className = 'coin-circle';
+  element.style.cssText = `
         position: absolute;
-        left: ${screenX - screenRadius}px;
-        top: ${screenY - screenRadius}px;
+        left: ${screen.x - screenRadius}px;
+        top: ${screen.y - screenRadius}px;
         width: ${screenRadius * 2}px;
         height: ${screenRadius * 2}px;
-        border: 2px solid #e74c3c;
+        border: 2px ${dashed ? 'dashed' : 'solid'} ${color};
         border-radius: 50%;
         background: transparent;
         pointer-events: none;
         z-index: 5;
-        box-shadow: 0 0 10px rgba(231, 76, 60, 0.3);
+        box-shadow: 0 0 10px rgba(0, 0, 0, 0.2);
     `;
 
   // Add center point
@@ -1470,11 +1970,11 @@ function drawCoinCircle() {
         transform: translate(-50%, -50%);
         width: 10px;
         height: 10px;
-        background: #e74c3c;
+        background: ${color};
         border-radius: 50%;
         border: 2px solid white;
     `;
-  AppState.coinCircleElement.appendChild(centerPoint);
+  element.appendChild(centerPoint);
 
   // Add measurement text
   const textElement = document.createElement('div');
@@ -1483,7 +1983,7 @@ function drawCoinCircle() {
         top: -25px;
         left: 50%;
         transform: translateX(-50%);
-        background: rgba(231, 76, 60, 0.9);
+        background: ${color};
         color: white;
         padding: 2px 8px;
         border-radius: 4px;
@@ -1491,11 +1991,202 @@ function drawCoinCircle() {
         font-weight: bold;
         white-space: nowrap;
     `;
-  textElement.textContent = `${(coin.radius * 2).toFixed(0)} px`;
-  AppState.coinCircleElement.appendChild(textElement);
+  textElement.textContent = label;
+  element.appendChild(textElement);
 
   // Add to canvas container
-  AppState.mainCanvas.parentElement.appendChild(AppState.coinCircleElement);
+  AppState.mainCanvas.parentElement.appendChild(element);
+  return element;
+}
+
+// Draw detected coin circle on canvas
+function drawCoinCircle() {
+  if (!AppState.detectedCoin) return;
+
+  // Remove previous circle if exists
+  if (AppState.coinCircleElement) {
+    AppState.coinCircleElement.remove();
+  }
+
+  const coin = AppState.detectedCoin;
+  AppState.coinCircleElement = createCircleOverlay(
+    coin,
+    '#e74c3c',
+    `${(coin.radius * 2).toFixed(0)} px`
+  );
+}
+
+// Draw the automatically proposed coin (dashed, awaiting accept/override)
+function drawProposedCoin() {
+  if (AppState.proposedCoinElement) {
+    AppState.proposedCoinElement.remove();
+    AppState.proposedCoinElement = null;
+  }
+  if (!AppState.proposedCoin) return;
+
+  const proposal = AppState.proposedCoin;
+  AppState.proposedCoinElement = createCircleOverlay(
+    proposal.coin,
+    '#f39c12',
+    `Auto ${(proposal.confidence * 100).toFixed(0)}%`,
+    true
+  );
+}
+
+// Redraw the circle overlays after the view changes
+function redrawOverlays() {
+  if (AppState.detectedCoin) {
+    drawCoinCircle();
+  }
+  drawProposedCoin();
+  drawPerspectiveMarkers();
+  drawCircleHandles();
+}
+
+// Adjustable disk and fabric circles of the current result on the main canvas
+function drawCircleHandles() {
+  drawFabricHandle();
+  drawDiskHandle();
+}
+
+function removeCircleHandles() {
+  ['disk', 'fabric'].forEach((key) => {
+    if (AppState.circleHandleElements[key]) {
+      AppState.circleHandleElements[key].remove();
+      AppState.circleHandleElements[key] = null;
+    }
+  });
+}
+
+// Screen px per image px on the main canvas
+function mainCanvasScale() {
+  return AppState.imageDisplayInfo.scale * AppState.zoomLevel;
+}
+
+function drawDiskHandle() {
+  if (AppState.circleHandleElements.disk) AppState.circleHandleElements.disk.remove();
+  AppState.circleHandleElements.disk = null;
+  const result = AppState.analysisResult;
+  if (!result || AppState.isCameraActive) return;
+
+  const k = mainCanvasScale();
+  const disk = result.diskCircle;
+  const c = imageToScreenCoordinates(disk.x, disk.y);
+  AppState.circleHandleElements.disk = UIUtils.createCropCircle(
+    AppState.mainCanvas,
+    c.x,
+    c.y,
+    2 * disk.radius * k,
+    {
+      color: '#c0392b',
+      label: AppState.manualDisk ? 'Disk (manual)' : 'Disk',
+      onChange: (circle, done) => {
+        const origin = imageToScreenCoordinates(0, 0);
+        adjustCircles(
+          {
+            disk: {
+              x: Math.round((circle.x - origin.x) / k),
+              y: Math.round((circle.y - origin.y) / k),
+              radius: circle.diameter / 2 / k,
+            },
+          },
+          done
+        );
+      },
+    }
+  );
+}
+
+// The fabric circle is concentric with the disk; only its size is adjusted
+function drawFabricHandle() {
+  if (AppState.circleHandleElements.fabric) AppState.circleHandleElements.fabric.remove();
+  AppState.circleHandleElements.fabric = null;
+  const result = AppState.analysisResult;
+  if (!result || AppState.isCameraActive) return;
+
+  const k = mainCanvasScale();
+  const disk = AppState.manualDisk || result.diskCircle;
+  const c = imageToScreenCoordinates(disk.x, disk.y);
+  AppState.circleHandleElements.fabric = UIUtils.createCropCircle(
+    AppState.mainCanvas,
+    c.x,
+    c.y,
+    2 * result.fabricRadiusPx * k,
+    {
+      color: '#e67e22',
+      label: AppState.manualFabricRadiusPx ? 'Fabric (manual)' : 'Fabric',
+      movable: false,
+      onChange: (circle, done) => {
+        adjustCircles({ fabricRadiusPx: Math.round(circle.diameter / 2 / k) }, done);
+      },
+    }
+  );
+}
+
+// A handle moved: keep the hand-set values and re-measure the ring live
+// (at most once per frame), with a full refresh when the handle is released
+function adjustCircles(change, done) {
+  if (!AppState.analysisResult) return;
+  if (change.disk) {
+    AppState.manualDisk = change.disk;
+    drawFabricHandle(); // follow the disk centre
+  }
+  if (change.fabricRadiusPx) AppState.manualFabricRadiusPx = change.fabricRadiusPx;
+
+  if (done) {
+    if (AppState.circleFrame) cancelAnimationFrame(AppState.circleFrame);
+    AppState.circleFrame = null;
+    remeasureCircles(true);
+    return;
+  }
+  if (AppState.circleFrame) return;
+  AppState.circleFrame = requestAnimationFrame(() => {
+    AppState.circleFrame = null;
+    remeasureCircles(false);
+  });
+}
+
+function remeasureCircles(final) {
+  const result = AppState.analysisResult;
+  if (!result) return;
+  try {
+    DrapeAnalyzer.applyCircles(
+      result,
+      { disk: AppState.manualDisk, fabricRadiusPx: AppState.manualFabricRadiusPx },
+      getAnalyzerConfig()
+    );
+  } catch (error) {
+    console.error('Error re-measuring adjusted circles:', error);
+    if (final) UIUtils.showToast('Could not measure with these circles: ' + error.message, 'error');
+    return;
+  }
+
+  storeResultValues(result);
+  calculateDrapeCoefficient(false);
+  if (!final) return;
+
+  document.getElementById('actualArea').textContent = result.shadowAreaCm2.toFixed(2);
+  updateNodeDisplay(result.nodes);
+  updateShapeAnalysis(result);
+  drawProcessedImage(AppState.capturedImage, result);
+  drawCircleHandles(); // labels now say "manual"
+  syncCurrentRecord();
+}
+
+// What a record keeps of hand-placed circles (null when all were detected)
+function summarizeCircles(result) {
+  if (!result || !result.manual || (!result.manual.disk && !result.manual.fabric)) return null;
+  return {
+    disk: {
+      x: result.diskCircle.x,
+      y: result.diskCircle.y,
+      radius: result.diskCircle.radius,
+    },
+    fabricRadiusPx: result.fabricRadiusPx,
+    manualDisk: result.manual.disk,
+    manualFabric: result.manual.fabric,
+    automatic: AppState.automaticCircles,
+  };
 }
 
 // Update coin area (cm²) based on current reference diameter
@@ -1546,10 +2237,14 @@ function updateTargetAreaDisplays() {
   // Toggle which specification fields are visible
   const coinSpec = document.getElementById('coinSpecFields');
   const shapeSpec = document.getElementById('shapeSpecFields');
+  const targetSpec = document.getElementById('targetSpecFields');
   if (coinSpec && shapeSpec) {
     coinSpec.style.display = target === 'coin' ? 'block' : 'none';
     shapeSpec.style.display = target === 'shape' ? 'block' : 'none';
   }
+  if (targetSpec) {
+    targetSpec.style.display = target === 'target' ? 'block' : 'none';
+  }
 
   // Update label text: Coin Area vs Shape Area
   const refAreaLabel = document.getElementById('refAreaLabel');
@@ -1672,169 +2367,213 @@ function updateScaleFactor() {
     AppState.scaleFactor.toFixed(2);
 }
 
-// Process drape area
-function processDrapeArea() {
-  if (!AppState.capturedImage || !AppState.detectedCoin || AppState.isProcessing) return;
-
-  AppState.isProcessing = true;
-  updateStatus('Processing drape area...');
-
-  setTimeout(() => {
-    try {
-      let src = AppState.capturedImage.clone();
-
-      // Convert to grayscale
-      let gray = new cv.Mat();
-      cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+// Read the target grid fields into AppState (and the print link)
+function updateTargetSpec() {
+  const read = (id, fallback) => parseFloat(document.getElementById(id).value) || fallback;
+  AppState.targetSpec = {
+    rows: Math.round(read('targetRows', 5)),
+    cols: Math.round(read('targetCols', 7)),
+    squareSize: read('targetSquare', 1.5),
+    pitch: read('targetPitch', 2.5),
+  };
+
+  const link = document.getElementById('targetPrintLink');
+  if (link) {
+    const s = AppState.targetSpec;
+    link.href = `target.html?rows=${s.rows}&cols=${s.cols}&square=${s.squareSize}&pitch=${s.pitch}`;
+  }
+}
 
-      // Blur
-      let blurred = new cv.Mat();
-      cv.GaussianBlur(gray, blurred, new cv.Size(5, 5), 1.5, 1.5);
+// What a record keeps of a target detection
+function summarizeCalibration(calibration) {
+  if (!calibration) return null;
+  return {
+    spec: calibration.spec,
+    pxPerCm: calibration.pxPerCm,
+    reprojectionError: calibration.reprojectionError,
+    scaleRelativeError: calibration.scaleRelativeError,
+    distortionK1: calibration.distortion.k1,
+    edgeShiftPercent: calibration.distortion.edgeShiftPercent,
+  };
+}
 
-      // Intensity range
-      let minMax = cv.minMaxLoc(gray);
-      let range = minMax.maxVal - minMax.minVal;
+// Find the printed target in the working image and take the scale from it
+function detectCalibrationTarget() {
+  if (!AppState.capturedImage || AppState.isProcessing) {
+    UIUtils.showToast('Please load an image first', 'error');
+    return;
+  }
 
-      // TIGHTER threshold for grey drape region
-     let lowerThresh = minMax.minVal + range * 0.35; // include lighter grey
-     let upperThresh = minMax.minVal + range * 0.58; // include darker grey
+  let calibration;
+  try {
+    UIUtils.showLoading(true);
+    updateStatus('Looking for the calibration target...');
+    calibration = CalibrationTarget.detect(AppState.capturedImage, AppState.targetSpec);
+  } catch (error) {
+    console.warn('Calibration target detection failed:', error);
+    updateStatus('Calibration target not found');
+    UIUtils.showToast(error.message, 'error');
+    return;
+  } finally {
+    UIUtils.showLoading(false);
+  }
 
+  AppState.calibration = summarizeCalibration(calibration);
+  AppState.scaleFactor = calibration.pxPerCm;
+  console.log('Calibration target detected:', AppState.calibration);
 
-lowerMask = new cv.Mat();
-        upperMask = new cv.Mat();
-        drapeMask = new cv.Mat();
+  document.getElementById('detectionStatus').textContent = 'Detected';
+  document.getElementById('detectionStatus').className = 'detected';
+  document.getElementById('scaleFactor').textContent = calibration.pxPerCm.toFixed(2);
+  document.getElementById('targetRms').textContent = calibration.reprojectionError.toFixed(2);
+  document.getElementById('targetDistortion').textContent =
+    `${calibration.distortion.k1.toFixed(3)} (${calibration.distortion.edgeShiftPercent.toFixed(1)}% at corners)`;
 
-      cv.threshold(blurred, lowerMask, lowerThresh, 255, cv.THRESH_BINARY);
-      cv.threshold(blurred, upperMask, upperThresh, 255, cv.THRESH_BINARY_INV);
-      cv.bitwise_and(lowerMask, upperMask, drapeMask);
+  drawTargetOnOutputCanvas(calibration);
+  document.getElementById('clearReference').disabled = false;
 
-      // Morphology clean
-      kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(7, 7));
-      cv.morphologyEx(drapeMask, drapeMask, cv.MORPH_CLOSE, kernel);
-      cv.morphologyEx(drapeMask, drapeMask, cv.MORPH_OPEN, kernel);
+  if (calibration.reprojectionError > 1) {
+    UIUtils.showToast(
+      `Target fit is poor (${calibration.reprojectionError.toFixed(2)} px). Is it lying flat?`,
+      'warning'
+    );
+  }
 
-      // Find contours of drape region
-      let contours = new cv.MatVector();
-      let hierarchy = new cv.Mat();
-      cv.findContours(drapeMask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+  updateStatus('Calibration target detected! Processing drape area...');
+  processDrapeArea();
+}
 
-      if (contours.size() === 0) {
-        updateStatus("No drape region detected");
-        throw new Error('No drape region detected');
+// Outline the detected target squares on the "Original" canvas
+function drawTargetOnOutputCanvas(calibration) {
+  try {
+    let src = AppState.capturedImage.clone();
+    const color = new cv.Scalar(0, 122, 255, 255);
+    calibration.squares.forEach((sq) => {
+      for (let k = 0; k < 4; k++) {
+        const p = sq.corners[k];
+        const q = sq.corners[(k + 1) % 4];
+        cv.line(src, new cv.Point(p.x, p.y), new cv.Point(q.x, q.y), color, 2);
       }
+      cv.circle(src, new cv.Point(Math.round(sq.center.x), Math.round(sq.center.y)), 3, color, -1);
+    });
+    cv.imshow(AppState.outputCanvas, src);
+    src.delete();
+  } catch (error) {
+    console.error('Error drawing calibration target:', error);
+  }
+}
 
-      // Select largest contour
-      let bestIdx = 0;
-      let bestArea = 0;
-      for (let i = 0; i < contours.size(); i++) {
-        let a = cv.contourArea(contours.get(i));
-        if (a > bestArea) {
-          bestArea = a;
-          bestIdx = i;
+// Build the analyzer config from the current settings and detected coin
+// (or the scale already taken from the calibration target)
+function getAnalyzerConfig() {
+  return {
+    diskDiameter: AppState.diskDiameter,
+    fabricDiameter: AppState.fabricDiameter,
+    reference: AppState.calibration
+      ? {
+          type: 'scale',
+          pxPerCm: AppState.calibration.pxPerCm,
+          relativeError: AppState.calibration.scaleRelativeError,
         }
-      }
-
-      // Build shadow mask
-      shadowMask = new cv.Mat.zeros(src.rows, src.cols, cv.CV_8UC1);
-      cv.drawContours(shadowMask, contours, bestIdx, new cv.Scalar(255), -1);
-
-      // Detect disk
-      const expectedDiskRadiusPx = (AppState.diskDiameter / 2) * AppState.scaleFactor;
-      const diskCircle = detectSupportDiskCircle(blurred, expectedDiskRadiusPx);
-
-      if (!diskCircle) {
-        // Clear any previously stored disk/ring values to avoid stale results
-        AppState.detectedDiskCircle = null;
-        AppState.shadowWithinFabricPx = 0;
-        AppState.ringWithinFabricPx = 0;
-        updateStatus("Disk not detected");
-        throw new Error('Disk not detected');
-      }
-
-      // Disk mask
-      diskMask = new cv.Mat.zeros(src.rows, src.cols, cv.CV_8UC1);
-      cv.circle(diskMask, new cv.Point(diskCircle.x, diskCircle.y),
-        Math.round(diskCircle.radius), new cv.Scalar(255), -1);
-
-      // Fabric circle mask
-      const fabricRadiusPx = Math.round((AppState.fabricDiameter / 2) * AppState.scaleFactor);
-      // Store fabric radius and detected disk for later UI and calculations
-      AppState.detectedDiskCircle = diskCircle;
-      AppState.fabricRadiusPx = fabricRadiusPx;
-
-      fabricMask = new cv.Mat.zeros(src.rows, src.cols, cv.CV_8UC1);
-      cv.circle(fabricMask, new cv.Point(diskCircle.x, diskCircle.y),
-        fabricRadiusPx, new cv.Scalar(255), -1);
-
-      // Ring mask = fabric − disk
-      notDiskMask = new cv.Mat();
-      cv.bitwise_not(diskMask, notDiskMask);
-
-      ringMask = new cv.Mat();
-      cv.bitwise_and(fabricMask, notDiskMask, ringMask);
-
-      // Shadow inside ring
-      shadowInRing = new cv.Mat();
-      cv.bitwise_and(shadowMask, ringMask, shadowInRing);
+      : { type: 'coin', diameter: AppState.referenceDiameter },
+    coin: AppState.detectedCoin,
+    disk: AppState.manualDisk,
+    fabricRadiusPx: AppState.manualFabricRadiusPx,
+    segmentation: AppState.segmentationMethod,
+    // Only differencing strategies look at the empty tester
+    background:
+      AppState.segmentationMethod === 'background' || AppState.segmentationMethod === 'auto'
+        ? AppState.backgroundImage
+        : null,
+  };
+}
 
-      // Pixel counts (CRITICAL FIX)
-      let shadowPx = cv.countNonZero(shadowInRing);
-      let ringPx = cv.countNonZero(ringMask);
+// Replace the stored analysis result, freeing the masks of the previous one.
+// Mask edits belong to the result they were made on.
+function setAnalysisResult(result) {
+  if (AppState.analysisResult !== result) {
+    if (AppState.analysisResult) DrapeAnalyzer.release(AppState.analysisResult);
+    resetMaskEdit();
+  }
+  AppState.analysisResult = result;
+  AppState.currentRecord = null;
+  document.getElementById('editMask').disabled = !result;
+  if (!result) removeCircleHandles();
+}
 
-      // Persist these counts so the ring-based calculation can run later
-      AppState.shadowWithinFabricPx = shadowPx;
-      AppState.ringWithinFabricPx = ringPx;
+// Copy the measured disk, ring and area values of a result into AppState
+function storeResultValues(result) {
+  AppState.detectedDiskCircle = result.diskCircle;
+  AppState.fabricRadiusPx = result.fabricRadiusPx;
+  AppState.shadowWithinFabricPx = result.shadowPx;
+  AppState.ringWithinFabricPx = result.ringPx;
+  AppState.drapeCoefficientFraction = result.drapeFraction;
+  AppState.drapePixelArea = result.shadowPx;
+  AppState.drapeArea = result.shadowAreaCm2;
+}
 
-      if (ringPx === 0) {
-        updateStatus("Ring area zero");
-        throw new Error('Ring area zero');
-      }
+// Process drape area; save = false re-measures the image on screen after a
+// setting change and updates its saved record instead of adding a new one
+function processDrapeArea(save = true) {
+  if (!AppState.capturedImage || AppState.isProcessing) return;
+  if (!AppState.detectedCoin && !AppState.calibration) return;
 
-      // DRAPE COEFFICIENT
-      let drapeCoeff = (shadowPx / ringPx) * 100;
-      AppState.drapeCoefficientFraction = shadowPx / ringPx;
+  AppState.isProcessing = true;
+  updateStatus('Processing drape area...');
 
-      console.log('Drape debug:', { shadowPx, ringPx, drapeCoeff });
+  // A reopened measurement is already in the history; its result replaces
+  // the stored one only when it is edited
+  const reopened = AppState.reopenedRecord;
+  AppState.reopenedRecord = null;
+  const current = save ? null : AppState.currentRecord;
 
-      // Convert to cm² (optional display)
-      let pxPerCm = AppState.scaleFactor;
-      let shadowCm2 = pxPerCm && pxPerCm > 0 ? shadowPx / (pxPerCm * pxPerCm) : 0;
-      // TRUE geometric ring area (independent of image)
-      const diskRadiusCm = AppState.diskDiameter / 2;
-      const fabricRadiusCm = AppState.fabricDiameter / 2;
-      const ringCm2 = Math.PI * (fabricRadiusCm*fabricRadiusCm - diskRadiusCm*diskRadiusCm);
+  setTimeout(() => {
+    try {
+      const result = DrapeAnalyzer.analyze(
+        AppState.capturedImage,
+        getAnalyzerConfig()
+      );
+      setAnalysisResult(result);
 
-      // Store drape area values for display/history
-      AppState.drapePixelArea = shadowPx;
-      AppState.drapeArea = shadowCm2;
+      // Store disk, ring and area values for later UI and calculations
+      storeResultValues(result);
 
-      // Update the main area displays (actualArea) safely
-      try {
-        const actualAreaEl = document.getElementById('actualArea');
-        if (actualAreaEl) actualAreaEl.textContent = shadowCm2.toFixed(2);
-      } catch (e) {
-        console.warn('Could not update main area displays:', e);
-      }
+      console.log('Drape debug:', {
+        shadowPx: result.shadowPx,
+        ringPx: result.ringPx,
+        drapePercent: result.drapePercent,
+      });
 
       // UI update and drawing protected in try/catch to avoid DOM or drawing errors stopping processing
       try {
-        const elDrape = document.getElementById('drapeCoefficient');
-        if (elDrape) elDrape.innerText = drapeCoeff.toFixed(2) + " %";
-        const elShadowCm = document.getElementById('shadowAreaCm2');
-        if (elShadowCm) elShadowCm.innerText = shadowCm2.toFixed(2);
-        const elRingCm = document.getElementById('ringAreaCm2');
-        if (elRingCm) elRingCm.innerText = ringCm2.toFixed(2);
+        const actualAreaEl = document.getElementById('actualArea');
+        if (actualAreaEl) actualAreaEl.textContent = result.shadowAreaCm2.toFixed(2);
+        updateNodeDisplay(result.nodes);
+        updateShapeAnalysis(result);
+        updateSegmentationDisplay(result.segmentation);
+        if (!result.manual.disk && !result.manual.fabric) {
+          AppState.automaticCircles = {
+            disk: Object.assign({}, result.diskCircle),
+            fabricRadiusPx: result.fabricRadiusPx,
+          };
+        }
+        drawCircleHandles();
 
         // Mark last process as successful (prevents stale 'support disk not detected' warnings)
         AppState.lastProcessAttemptSucceeded = true;
 
         // Draw processed image (highlight the largest shadow inside ring)
-        drawProcessedImage(src, contours, bestIdx, diskCircle, shadowInRing);
+        drawProcessedImage(AppState.capturedImage, result);
 
         // Calculate coefficient and fabric properties
-        try { calculateDrapeCoefficient(); } catch (e) { console.warn('calculateDrapeCoefficient error:', e); }
+        try { calculateDrapeCoefficient(save && !reopened); } catch (e) { console.warn('calculateDrapeCoefficient error:', e); }
+        if (reopened) AppState.currentRecord = reopened;
+        if (current) {
+          AppState.currentRecord = current;
+          syncCurrentRecord();
+        }
 
-        updateStatus("Drape processed successfully");
+        updateStatus(reopened ? 'Measurement reopened' : "Drape processed successfully");
         // Enable saving the result image now that processing succeeded
         try { document.getElementById('saveImage').disabled = false; } catch(e) {}
       } catch (uiErr) {
@@ -1843,22 +2582,13 @@ lowerMask = new cv.Mat();
         try { UIUtils.showToast('Note: UI update error after processing: ' + uiErr.message, 'warning'); } catch(e){}
         updateStatus('Drape processed (with UI warning)');
       }
-
-      // Cleanup local masks safely (ignore delete errors to avoid aborting processing)
-      const safeDeleteLocal = (m) => { try { if (m) m.delete(); } catch (e) { /* ignore */ } };
-      safeDeleteLocal(lowerMask);
-      safeDeleteLocal(upperMask);
-      safeDeleteLocal(drapeMask);
-      safeDeleteLocal(kernel);
-      safeDeleteLocal(shadowMask);
-      safeDeleteLocal(diskMask);
-      safeDeleteLocal(fabricMask);
-      safeDeleteLocal(notDiskMask);
-      safeDeleteLocal(ringMask);
-      safeDeleteLocal(shadowInRing);
-
     } catch (err) {
       console.error('Drape processing exception:', err);
+      // Clear any previously stored disk/ring values to avoid stale results
+      setAnalysisResult(null);
+      AppState.detectedDiskCircle = null;
+      AppState.shadowWithinFabricPx = 0;
+      AppState.ringWithinFabricPx = 0;
       AppState.lastProcessAttemptSucceeded = false;
       const msg = err && err.message ? err.message : String(err);
       updateStatus('Processing error: ' + msg);
@@ -1869,120 +2599,320 @@ lowerMask = new cv.Mat();
   }, 50);
 }
 
-// Draw processed image with drape contour and highlight selected largest shadow contour
-function drawProcessedImage(src, contours, contourIndex, diskCircle, largestMask) {
+// Draw processed image: fabric-only shadow in green, support disk in red,
+// fabric circle in orange and the shadow counted inside the ring outlined in blue
+function drawProcessedImage(src, result, canvas = AppState.processedCanvas) {
   try {
     // Create processed image with original colors
     let processed = src.clone();
+    const shadow = result.masks.shadow.data;
+    const diskCircle = result.diskCircle;
 
-    // Create a mask for the drape area (outer contour)
-    let mask = new cv.Mat.zeros(src.rows, src.cols, cv.CV_8UC1);
-    cv.drawContours(mask, contours, contourIndex, new cv.Scalar(255), -1);
-
-    // Optional: disk circle mask to exclude disk from green overlay
-    let diskMask = null;
-    if (diskCircle) {
-      diskMask = new cv.Mat.zeros(src.rows, src.cols, cv.CV_8UC1);
-      cv.circle(
-        diskMask,
-        new cv.Point(diskCircle.x, diskCircle.y),
-        Math.round(diskCircle.radius),
-        new cv.Scalar(255),
-        -1
-      );
+    // Disk circle mask to exclude disk from green overlay
+    let diskMask = cv.Mat.zeros(src.rows, src.cols, cv.CV_8UC1);
+    cv.circle(
+      diskMask,
+      new cv.Point(diskCircle.x, diskCircle.y),
+      Math.round(diskCircle.radius),
+      new cv.Scalar(255),
+      -1
+    );
+    const disk = diskMask.data;
+
+    for (let i = 0; i < shadow.length; i++) {
+      const idx = i * 4;
+      if (disk[i] === 255) {
+        // Fill disk area in red (so it is clearly excluded from green)
+        processed.data[idx] = Math.round(processed.data[idx] * 0.4 + 255 * 0.6); // R
+        processed.data[idx + 1] = Math.round(processed.data[idx + 1] * 0.4); // G
+        processed.data[idx + 2] = Math.round(processed.data[idx + 2] * 0.4); // B
+      } else if (shadow[i] === 255) {
+        // Blend green with original
+        processed.data[idx] = Math.round(processed.data[idx] * 0.5); // R
+        processed.data[idx + 1] = Math.round(processed.data[idx + 1] * 0.5 + 255 * 0.5); // G
+        processed.data[idx + 2] = Math.round(processed.data[idx + 2] * 0.5); // B
+      }
     }
 
-    // Apply green overlay to fabric-only shadow area using mask (excluding disk)
-    for (let y = 0; y < src.rows; y++) {
-      for (let x = 0; x < src.cols; x++) {
-        const inShadow = mask.ucharAt(y, x) === 255;
-        const inDisk = diskMask ? diskMask.ucharAt(y, x) === 255 : false;
-
-        if (inShadow && !inDisk) {
-          let idx = (y * src.cols + x) * 4;
-          // Blend green with original
-          processed.data[idx] = Math.round(processed.data[idx] * 0.5 + 0 * 0.5); // R
-          processed.data[idx + 1] = Math.round(
-            processed.data[idx + 1] * 0.5 + 255 * 0.5
-          ); // G
-          processed.data[idx + 2] = Math.round(
-            processed.data[idx + 2] * 0.5 + 0 * 0.5
-          ); // B
-        }
-      }
+    // Draw fabric outer ring outline for visual confirmation
+    if (result.fabricRadiusPx) {
+      cv.circle(
+        processed,
+        new cv.Point(diskCircle.x, diskCircle.y),
+        Math.round(result.fabricRadiusPx),
+        new cv.Scalar(255, 140, 0, 200),
+        3
+      );
     }
 
-    // Fill disk area in red (so it is clearly excluded from green)
-    if (diskMask) {
-      for (let y = 0; y < src.rows; y++) {
-        for (let x = 0; x < src.cols; x++) {
-          if (diskMask.ucharAt(y, x) === 255) {
-            let idx = (y * src.cols + x) * 4;
-            processed.data[idx] = Math.round(processed.data[idx] * 0.4 + 255 * 0.6); // R
-            processed.data[idx + 1] = Math.round(processed.data[idx + 1] * 0.4 + 0 * 0.6); // G
-            processed.data[idx + 2] = Math.round(processed.data[idx + 2] * 0.4 + 0 * 0.6); // B
-          }
-        }
+    // Outline the shadow region (green) and the shadow inside the ring (blue)
+    const outlines = [
+      { mask: result.masks.shadow, color: new cv.Scalar(0, 200, 0, 255) },
+      { mask: result.masks.shadowInRing, color: new cv.Scalar(0, 120, 255, 255) },
+    ];
+    outlines.forEach(({ mask, color }) => {
+      let contours = new cv.MatVector();
+      let hierarchy = new cv.Mat();
+      let work = mask.clone();
+      cv.findContours(work, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+      for (let i = 0; i < contours.size(); i++) {
+        cv.drawContours(processed, contours, i, color, 3);
       }
-    }
+      work.delete();
+      hierarchy.delete();
+      contours.delete();
+    });
 
-    // Draw fabric outer ring outline for visual confirmation (if available)
-    if (diskMask && AppState.fabricRadiusPx) {
-      try {
-        cv.circle(
+    // Mark each node: a spoke from the disk centre and a dot on the outline
+    if (result.nodes && result.scaleFactor) {
+      const center = new cv.Point(diskCircle.x, diskCircle.y);
+      result.nodes.nodes.forEach((node, i) => {
+        const theta = (node.angle * Math.PI) / 180;
+        const r = node.radius * result.scaleFactor;
+        const tip = new cv.Point(
+          Math.round(diskCircle.x + r * Math.cos(theta)),
+          Math.round(diskCircle.y + r * Math.sin(theta))
+        );
+        cv.line(processed, center, tip, new cv.Scalar(255, 0, 255, 255), 2);
+        cv.circle(processed, tip, 8, new cv.Scalar(255, 0, 255, 255), -1);
+        cv.putText(
           processed,
-          new cv.Point(diskCircle.x, diskCircle.y),
-          Math.round(AppState.fabricRadiusPx),
-          new cv.Scalar(255, 140, 0, 200),
-          3
+          String(i + 1),
+          new cv.Point(tip.x + 10, tip.y - 10),
+          cv.FONT_HERSHEY_SIMPLEX,
+          0.8,
+          new cv.Scalar(255, 0, 255, 255),
+          2
         );
-      } catch (e) {
-        // defensive: ignore if AppState.fabricRadiusPx is invalid
-      }
-    }
-
-    // Draw contour outline
-    cv.drawContours(
-      processed,
-      contours,
-      contourIndex,
-      new cv.Scalar(0, 200, 0, 255),
-      3
-    );
-
-    // Draw largest shadow contour (if provided) with blue outline for visual confirmation
-    if (largestMask) {
-      try {
-        let largestContours = new cv.MatVector();
-        let largestHierarchy = new cv.Mat();
-        cv.findContours(largestMask, largestContours, largestHierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-        if (largestContours.size() > 0) {
-          cv.drawContours(processed, largestContours, 0, new cv.Scalar(0, 120, 255, 255), 3);
-        }
-        largestHierarchy.delete();
-        largestContours.delete();
-      } finally {
-        // largestMask was created earlier; delete it here to avoid leaks
-        try { largestMask.delete(); } catch (e) {}
-      }
+      });
     }
 
     // Display processed image
-    cv.imshow(AppState.processedCanvas, processed);
+    cv.imshow(canvas, processed);
 
     // Clean up
-    mask.delete();
-    if (diskMask) {
-      diskMask.delete();
-    }
+    diskMask.delete();
     processed.delete();
   } catch (error) {
     console.error('Error drawing processed image:', error);
   }
 }
 
-// Calculate Drape Coefficient
-function calculateDrapeCoefficient() {
+// Undo/redo depth of the mask editor (each step is a full mask copy)
+const MASK_HISTORY_LIMIT = 20;
+
+// Forget all edits (new result or reset)
+function resetMaskEdit() {
+  const edit = AppState.maskEdit;
+  edit.active = false;
+  edit.undo = [];
+  edit.redo = [];
+  edit.strokes = 0;
+  edit.automaticMask = null;
+  edit.automaticCoefficient = null;
+  edit.painting = false;
+  edit.lastPoint = null;
+  updateMaskEditControls();
+}
+
+function updateMaskEditControls() {
+  const edit = AppState.maskEdit;
+  const button = document.getElementById('editMask');
+  button.innerHTML = edit.active
+    ? '<i class="fas fa-check"></i> Done'
+    : '<i class="fas fa-paint-brush"></i> Edit Mask';
+  document.getElementById('maskEditTools').classList.toggle('active', edit.active);
+  document.getElementById('maskUndo').disabled = edit.undo.length === 0;
+  document.getElementById('maskRedo').disabled = edit.redo.length === 0;
+  AppState.processedCanvas.classList.toggle('mask-editing', edit.active);
+}
+
+function toggleMaskEdit() {
+  const edit = AppState.maskEdit;
+  if (!AppState.analysisResult) return;
+
+  edit.active = !edit.active;
+  if (edit.active && !edit.automaticMask) {
+    edit.automaticMask = AppState.analysisResult.masks.shadow.data.slice();
+    edit.automaticCoefficient = AppState.analysisResult.drapePercent;
+  }
+  updateMaskEditControls();
+  updateStatus(
+    edit.active
+      ? 'Mask editing: paint to add or erase shadow, then press Done'
+      : 'Mask editing finished'
+  );
+}
+
+// Pointer position in image pixels (the canvas holds the image at full size)
+function processedCanvasPoint(event) {
+  const canvas = AppState.processedCanvas;
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((event.clientX - rect.left) * canvas.width) / rect.width,
+    y: ((event.clientY - rect.top) * canvas.height) / rect.height,
+  };
+}
+
+function startMaskStroke(event) {
+  const edit = AppState.maskEdit;
+  if (!edit.active || !AppState.analysisResult) return;
+  event.preventDefault();
+  AppState.processedCanvas.setPointerCapture(event.pointerId);
+
+  edit.undo.push(AppState.analysisResult.masks.shadow.data.slice());
+  if (edit.undo.length > MASK_HISTORY_LIMIT) edit.undo.shift();
+  edit.redo = [];
+  edit.painting = true;
+  edit.lastPoint = processedCanvasPoint(event);
+  paintMask(edit.lastPoint, edit.lastPoint);
+}
+
+function continueMaskStroke(event) {
+  const edit = AppState.maskEdit;
+  if (!edit.painting) return;
+  event.preventDefault();
+  const point = processedCanvasPoint(event);
+  paintMask(edit.lastPoint, point);
+  edit.lastPoint = point;
+}
+
+function endMaskStroke() {
+  const edit = AppState.maskEdit;
+  if (!edit.painting) return;
+  edit.painting = false;
+  edit.lastPoint = null;
+  edit.strokes++;
+  applyMaskEdits();
+}
+
+// Paint one brush segment into the shadow mask, with a quick preview on the
+// canvas; the full redraw waits for the end of the stroke
+function paintMask(from, to) {
+  const edit = AppState.maskEdit;
+  const value = edit.tool === 'erase' ? 0 : 255;
+  const p1 = new cv.Point(Math.round(from.x), Math.round(from.y));
+  const p2 = new cv.Point(Math.round(to.x), Math.round(to.y));
+  const mask = AppState.analysisResult.masks.shadow;
+  cv.line(mask, p1, p2, new cv.Scalar(value), edit.brushSize, cv.LINE_8);
+  cv.circle(mask, p2, Math.round(edit.brushSize / 2), new cv.Scalar(value), -1);
+
+  const ctx = AppState.processedCanvas.getContext('2d');
+  ctx.save();
+  ctx.strokeStyle = edit.tool === 'erase' ? 'rgba(255, 80, 80, 0.6)' : 'rgba(0, 200, 0, 0.6)';
+  ctx.lineWidth = edit.brushSize;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.stroke();
+  ctx.restore();
+}
+
+function undoMaskEdit() {
+  const edit = AppState.maskEdit;
+  if (edit.undo.length === 0 || !AppState.analysisResult) return;
+  const mask = AppState.analysisResult.masks.shadow;
+  edit.redo.push(mask.data.slice());
+  mask.data.set(edit.undo.pop());
+  edit.strokes = Math.max(0, edit.strokes - 1);
+  applyMaskEdits();
+}
+
+function redoMaskEdit() {
+  const edit = AppState.maskEdit;
+  if (edit.redo.length === 0 || !AppState.analysisResult) return;
+  const mask = AppState.analysisResult.masks.shadow;
+  edit.undo.push(mask.data.slice());
+  mask.data.set(edit.redo.pop());
+  edit.strokes++;
+  applyMaskEdits();
+}
+
+// What a record keeps of the manual edits: counts against the automatic
+// mask, the automatic result and the edited mask itself (PNG) for audit
+function summarizeMaskEdit() {
+  const edit = AppState.maskEdit;
+  const mask = AppState.analysisResult.masks.shadow;
+  if (!edit.automaticMask) return null;
+  let addedPx = 0;
+  let erasedPx = 0;
+  for (let i = 0; i < mask.data.length; i++) {
+    const before = edit.automaticMask[i] > 0;
+    const after = mask.data[i] > 0;
+    if (after && !before) addedPx++;
+    else if (before && !after) erasedPx++;
+  }
+  if (addedPx === 0 && erasedPx === 0) return null;
+
+  return {
+    strokes: edit.strokes,
+    addedPx: addedPx,
+    erasedPx: erasedPx,
+    automaticCoefficient: edit.automaticCoefficient,
+    mask: ImageUtils.maskDataURL(mask),
+  };
+}
+
+// Re-measure after an edit, refresh the results and update the saved record
+function applyMaskEdits() {
+  const result = AppState.analysisResult;
+  try {
+    DrapeAnalyzer.applyShadowMask(result, getAnalyzerConfig());
+  } catch (error) {
+    console.error('Error re-measuring edited mask:', error);
+    UIUtils.showToast('Could not measure the edited mask: ' + error.message, 'error');
+    return;
+  }
+
+  storeResultValues(result);
+  document.getElementById('actualArea').textContent = result.shadowAreaCm2.toFixed(2);
+  updateNodeDisplay(result.nodes);
+  updateShapeAnalysis(result);
+  drawProcessedImage(AppState.capturedImage, result);
+  calculateDrapeCoefficient(false);
+  updateMaskEditControls();
+  syncCurrentRecord();
+}
+
+// Bring the saved record of the result on screen up to date after a hand
+// correction (mask edit or circle adjustment) or a re-measure
+function syncCurrentRecord() {
+  const result = AppState.analysisResult;
+  const record = AppState.currentRecord;
+  if (!record || !result) return;
+  Object.assign(record, {
+    area: result.shadowAreaCm2,
+    coefficient: result.drapePercent,
+    property: result.classification,
+    nodes: summarizeNodes(result.nodes),
+    harmonics: summarizeHarmonics(result.harmonics),
+    uncertainty: summarizeUncertainty(result.uncertainty),
+    segmentation: summarizeSegmentation(result.segmentation),
+    maskEdit: summarizeMaskEdit(),
+    circles: summarizeCircles(result),
+    detection: summarizeDetection(result),
+    thumbnail: ImageUtils.canvasThumbnail(AppState.processedCanvas),
+  });
+  record.pixels.shadowPx = result.shadowPx;
+  record.pixels.ringPx = result.ringPx;
+  refreshHistory();
+
+  // A record still being added gets its id first; the put then overwrites
+  // the add with the edited values
+  const stored = record.id !== undefined ? Promise.resolve(record) : pendingSaves.get(record);
+  if (!stored) return;
+  stored
+    .then((saved) => (saved.id !== undefined ? HistoryStore.put(saved) : null))
+    .catch((error) => {
+      console.error('Error saving edited measurement:', error);
+      UIUtils.showToast('Edited measurement not saved: ' + error.message, 'error');
+    });
+}
+
+// Calculate Drape Coefficient; save = false only refreshes the display
+// (used while the shadow mask is being edited)
+function calculateDrapeCoefficient(save = true) {
   if (!AppState.scaleFactor) {
     updateStatus('Need coin reference and drape area first');
     return;
@@ -1998,30 +2928,17 @@ function calculateDrapeCoefficient() {
   ) {
     const shadowPx = AppState.shadowWithinFabricPx;
     const ringPx = AppState.ringWithinFabricPx;
-    const pxPerCm = AppState.scaleFactor;
-
-    // Convert to cm² where possible (prefer geometric ring area from diameters)
-    let shadowCm2 = 0;
-    let ringCm2 = 0;
-
-    if (pxPerCm && pxPerCm > 0) {
-      shadowCm2 = shadowPx / (pxPerCm * pxPerCm);
-      const diskRadiusCm = AppState.diskDiameter / 2;
-      const fabricRadiusCm = AppState.fabricDiameter / 2;
-      ringCm2 = Math.PI * (fabricRadiusCm * fabricRadiusCm - diskRadiusCm * diskRadiusCm);
 
-      // Fallback: if geometry yields zero (unexpected), use measured pixels
-      if (!(ringCm2 > 0) && ringPx > 0) {
-        ringCm2 = ringPx / (pxPerCm * pxPerCm);
-      }
-    } else {
-      // As a safety fallback (shouldn't happen because scale is required), use pixels
-      shadowCm2 = shadowPx;
-      ringCm2 = ringPx;
-    }
-
-    // Compute drape fraction using cm²
-    const drapeFraction = ringCm2 > 0 ? shadowCm2 / ringCm2 : 0;
+    const drape = DrapeAnalyzer.computeDrape(
+      shadowPx,
+      ringPx,
+      AppState.scaleFactor,
+      AppState.diskDiameter,
+      AppState.fabricDiameter
+    );
+    const shadowCm2 = drape.shadowAreaCm2;
+    const ringCm2 = drape.ringAreaCm2;
+    const drapeFraction = drape.fraction;
     AppState.drapeCoefficientFraction = drapeFraction;
 
     // If fraction is > 1, warn user (indicates detection/scale problem)
@@ -2031,15 +2948,18 @@ function calculateDrapeCoefficient() {
     }
 
     // Prepare percentage for display and for fabric classification
-    const drapePercentage = drapeFraction * 100;
+    const drapePercentage = drape.percent;
 
     // Get fabric properties (expects percentage)
-    const fabricProps = DrapeFormulas.fabricProperties(drapePercentage);
+    const fabricProps = DrapeAnalyzer.classify(drapePercentage);
 
     console.log('Drape coefficient (ring-based, cm²):', drapePercentage.toFixed(2) + '%', 'Fabric:', fabricProps, { shadowPx, ringPx, shadowCm2, ringCm2 });
 
     // Update UI (display as percentage)
-    document.getElementById('drapeCoefficient').textContent = drapePercentage.toFixed(2) + ' %';
+    const uncertainty = summarizeUncertainty(
+      AppState.analysisResult && AppState.analysisResult.uncertainty
+    );
+    document.getElementById('drapeCoefficient').textContent = formatDrape(drapePercentage, uncertainty, ' ');
     document.getElementById('fabricProperty').textContent = fabricProps;
 
     // Update area displays to reflect cm² conversion
@@ -2048,12 +2968,14 @@ function calculateDrapeCoefficient() {
     if (elShadowCm) elShadowCm.innerText = shadowCm2.toFixed(2);
     if (elRingCm) elRingCm.innerText = ringCm2.toFixed(2);
 
+    updateStatus(`Drape: ${formatDrape(drapePercentage, uncertainty)} - ${fabricProps}`);
+    if (!save) return drapeFraction;
+
     // Add to history (store percentage value for readability)
     addToHistory(AppState.drapeArea, drapePercentage, fabricProps);
 
-    updateStatus(`Drape: ${drapePercentage.toFixed(2)}% - ${fabricProps}`);
     UIUtils.showToast(
-      `Drape coefficient: ${drapePercentage.toFixed(2)}% (${fabricProps})`,
+      `Drape coefficient: ${formatDrape(drapePercentage, uncertainty)} (${fabricProps})`,
       'success'
     );
 
@@ -2077,80 +2999,534 @@ function calculateDrapeCoefficient() {
 }
 
 // Capture Image Function
-function captureImage() {
+async function captureImage() {
   if (!AppState.isCameraActive) {
     UIUtils.showToast('Start camera first', 'error');
     return;
   }
 
   console.log('Capturing image from camera...');
+  const frameCount = AppState.burstFrames;
+  let frames = [];
+
+  // One capture at a time: the button stays off until the burst is done
+  const captureButton = document.getElementById('capture');
+  captureButton.disabled = true;
 
   try {
     UIUtils.showLoading(true);
-    updateStatus('Capturing image...');
-
-    // Create temporary canvas
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = AppState.video.videoWidth;
-    tempCanvas.height = AppState.video.videoHeight;
-    const tempCtx = tempCanvas.getContext('2d');
-
-    // Draw current video frame to canvas
-    tempCtx.drawImage(AppState.video, 0, 0);
-
-    // Get image data
-    const imageData = tempCtx.getImageData(
-      0,
-      0,
-      tempCanvas.width,
-      tempCanvas.height
+    updateStatus(
+      frameCount > 1 ? `Capturing ${frameCount} frames...` : 'Capturing image...'
     );
+    // No gate updates or auto-capture while the burst is taken
+    stopPreviewDetection();
 
-    // Convert to OpenCV Mat
-    AppState.originalImage = cv.matFromImageData(imageData);
-    AppState.capturedImage = AppState.originalImage.clone();
-
-    // Update image dimensions
-    AppState.imageDisplayInfo.imgWidth = tempCanvas.width;
-    AppState.imageDisplayInfo.imgHeight = tempCanvas.height;
-
-    console.log('Image captured:', tempCanvas.width, 'x', tempCanvas.height);
+    frames = await grabVideoFrames(frameCount);
+    console.log('Image captured:', frames[0].cols, 'x', frames[0].rows, 'frames:', frames.length);
+    const camera = CameraControls.describe(AppState.camera.track, AppState.camera.locked);
 
     // Stop camera
     stopCamera();
 
-    // Process and display
-    displayImageOnMainCanvas(AppState.capturedImage);
+    let mat;
+    let burst = null;
+    if (frames.length > 1) {
+      updateStatus(`Aligning and combining ${frames.length} frames...`);
+      burst = DrapeAnalyzer.combineFrames(frames);
+      mat = burst.image;
+    } else {
+      mat = frames.pop();
+    }
 
-    // Show output canvas
-    cv.imshow(AppState.outputCanvas, AppState.capturedImage);
+    // Correct lens and perspective, and display
+    setWorkingImage(mat, null, { fromCamera: true });
+    AppState.captureInfo = {
+      camera: camera,
+      burst: burst ? summarizeBurst(burst) : null,
+    };
+    updateBurstInfo();
 
     updateStatus('Image captured. Click precisely on the coin in the image.');
-    UIUtils.showToast('Image captured successfully', 'success');
-
-    // Clear any previous reference
-    clearReference();
+    UIUtils.showToast(
+      burst
+        ? `Image captured from ${burst.used} of ${burst.total} frames (noise ÷${burst.noiseReduction.toFixed(1)})`
+        : 'Image captured successfully',
+      'success'
+    );
+    maybeAutoDetectCoin();
   } catch (error) {
     console.error('Error capturing image:', error);
     updateStatus('Error capturing image');
     UIUtils.showToast('Error capturing image: ' + error.message, 'error');
+    // Still previewing: let the gate decide when capture is allowed again
+    if (AppState.isCameraActive) {
+      startPreviewDetection();
+      updateCaptureGate();
+    } else {
+      captureButton.disabled = !AppState.capturedImage;
+    }
+  } finally {
+    frames.forEach((frame) => frame.delete());
+    UIUtils.showLoading(false);
+  }
+}
+
+// Grab `count` successive camera frames as RGBA Mats
+const BURST_FRAME_GAP_MS = 50; // fallback without requestVideoFrameCallback
+
+async function grabVideoFrames(count) {
+  const video = AppState.video;
+  const frames = [];
+  while (frames.length < count) {
+    if (frames.length > 0) {
+      // Wait for a new frame so the sensor noise differs
+      await new Promise((resolve) => {
+        if (video.requestVideoFrameCallback) {
+          video.requestVideoFrameCallback(() => resolve());
+        } else {
+          setTimeout(resolve, BURST_FRAME_GAP_MS);
+        }
+      });
+    }
+    frames.push(cv.matFromImageData(grabVideoFrame()));
+  }
+  return frames;
+}
+
+// What a record keeps of a burst capture
+function summarizeBurst(burst) {
+  return {
+    frames: burst.total,
+    used: burst.used,
+    noiseBefore: burst.noiseBefore,
+    noiseAfter: burst.noiseAfter,
+    noiseReduction: burst.noiseReduction,
+    maxShiftPx: Math.max(
+      ...burst.shifts.filter((s) => s.used).map((s) => Math.hypot(s.x, s.y))
+    ),
+  };
+}
+
+function updateBurstInfo() {
+  const element = document.getElementById('burstInfo');
+  if (!element) return;
+  const info = AppState.captureInfo && AppState.captureInfo.burst;
+  element.textContent = info
+    ? `Last capture: ${info.used}/${info.frames} frames combined, ` +
+      `noise ${info.noiseBefore.toFixed(1)} → ${info.noiseAfter.toFixed(1)} ` +
+      `(÷${info.noiseReduction.toFixed(1)})`
+    : '';
+}
+
+// Current camera frame as ImageData
+function grabVideoFrame() {
+  const tempCanvas = document.createElement('canvas');
+  tempCanvas.width = AppState.video.videoWidth;
+  tempCanvas.height = AppState.video.videoHeight;
+  const tempCtx = tempCanvas.getContext('2d');
+  tempCtx.drawImage(AppState.video, 0, 0);
+  return tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
+}
+
+// Camera settings panel: device list, resolutions the device offers and
+// the locks its track supports. Choices are saved per device.
+async function initCameraSettings() {
+  const deviceId = CameraSettingsStore.lastDevice();
+  AppState.camera.settings = Object.assign(
+    { deviceId: deviceId },
+    CameraSettingsStore.load(deviceId)
+  );
+  await refreshCameraDevices();
+  updateCameraSettingsForm();
+}
+
+async function refreshCameraDevices() {
+  const select = document.getElementById('cameraDevice');
+  let devices = [];
+  try {
+    devices = await CameraControls.listDevices();
+  } catch (error) {
+    console.warn('Could not list cameras:', error);
+  }
+
+  select.innerHTML = '<option value="">Rear camera (default)</option>';
+  devices.forEach((device) => {
+    const option = document.createElement('option');
+    option.value = device.deviceId;
+    option.textContent = device.label;
+    select.appendChild(option);
+  });
+  select.value = AppState.camera.settings.deviceId || '';
+}
+
+// Show the stored settings; resolutions and locks follow the running track
+function updateCameraSettingsForm() {
+  const settings = AppState.camera.settings;
+  const track = AppState.camera.track;
+
+  const resolutionSelect = document.getElementById('cameraResolution');
+  resolutionSelect.innerHTML = '<option value="">Browser default</option>';
+  CameraControls.supportedResolutions(track).forEach((resolution) => {
+    const option = document.createElement('option');
+    option.value = resolution.id;
+    option.textContent = resolution.label;
+    resolutionSelect.appendChild(option);
+  });
+  resolutionSelect.value = settings.resolution || '';
+
+  const supported = track ? CameraControls.supportedLocks(track) : [];
+  document.querySelectorAll('.camera-locks input[data-lock]').forEach((input) => {
+    input.disabled = !supported.includes(input.dataset.lock);
+    input.checked = !!settings.locks[input.dataset.lock];
+  });
+
+  updateLensControls();
+
+  const info = document.getElementById('cameraSettingsInfo');
+  if (!track) {
+    info.textContent =
+      'Locks become available once the camera is running, if the device supports them.';
+  } else {
+    const current = track.getSettings ? track.getSettings() : {};
+    const size = current.width ? `${current.width}×${current.height}` : 'unknown size';
+    info.textContent =
+      `${track.label || 'Camera'}: ${size}. ` +
+      (supported.length
+        ? `Supports: ${supported.join(', ')}.`
+        : 'This camera offers no exposure, white balance, focus or torch control.');
+  }
+}
+
+function saveCameraSettings() {
+  const settings = AppState.camera.settings;
+  CameraSettingsStore.save(settings.deviceId, settings);
+}
+
+function selectCameraDevice(deviceId) {
+  AppState.camera.settings = Object.assign(
+    { deviceId: deviceId },
+    CameraSettingsStore.load(deviceId)
+  );
+  CameraSettingsStore.setLastDevice(deviceId);
+  updateCameraSettingsForm();
+  restartCameraIfActive();
+}
+
+function restartCameraIfActive() {
+  if (!AppState.isCameraActive) return;
+  stopCamera();
+  startCamera();
+}
+
+const CAMERA_SETTLE_MS = 1000;
+
+// Undistort an image with the lens profile of the selected camera. Camera
+// shots take it at any size of the calibrated aspect ratio. Files are left
+// alone unless "Correct uploaded files" is ticked, and then only at the
+// calibrated size, as a matching size does not prove the photo came from
+// this camera. correction is null without a profile, otherwise the profile
+// summary with applied: whether the image was undistorted. Consumes `mat`
+// when a corrected copy is returned.
+function undistortWithLensProfile(mat, fromCamera) {
+  const profile = CameraSettingsStore.loadLensProfile(AppState.camera.settings.deviceId);
+  if (!profile) return { image: mat, correction: null };
+  const unchanged = { image: mat, correction: summarizeLensProfile(profile, false) };
+  if (
+    !fromCamera &&
+    (!document.getElementById('lensForFiles').checked ||
+      mat.cols !== profile.width ||
+      mat.rows !== profile.height)
+  ) {
+    return unchanged;
+  }
+
+  try {
+    const undistorted = LensCalibration.undistort(mat, profile);
+    if (!undistorted.applied) {
+      undistorted.image.delete();
+      return unchanged;
+    }
+    mat.delete();
+    console.log('Lens profile applied:', profile.method, profile.edgeShiftPercent);
+    return { image: undistorted.image, correction: summarizeLensProfile(profile, true) };
+  } catch (error) {
+    console.warn('Lens correction skipped:', error);
+    return unchanged;
+  }
+}
+
+// What a record keeps of the lens profile of its camera, and whether it
+// was applied to the image
+function summarizeLensProfile(profile, applied) {
+  return {
+    applied: applied,
+    method: profile.method,
+    cameraMatrix: profile.cameraMatrix,
+    distCoeffs: profile.distCoeffs,
+    width: profile.width,
+    height: profile.height,
+    rms: profile.rms,
+    edgeShiftPercent: profile.edgeShiftPercent,
+    created: profile.created,
+  };
+}
+
+// Lens calibration wizard: views of the printed target from the running
+// camera, spread over the frame, then one profile for the device
+function startLensCalibration() {
+  if (!AppState.isCameraActive) {
+    UIUtils.showToast('Start the camera first', 'error');
+    return;
+  }
+  AppState.lensWizard = { views: [], size: null };
+  updateLensControls();
+  updateStatus(
+    `Lens calibration: show the printed target near the centre, the edges and ` +
+      `the corners of the frame, tilted a little, and add a view each time ` +
+      `(at least ${LensCalibration.MIN_VIEWS}).`
+  );
+}
+
+function addLensView() {
+  const wizard = AppState.lensWizard;
+  if (!wizard || !AppState.isCameraActive) return;
+
+  let frame = null;
+  try {
+    frame = cv.matFromImageData(grabVideoFrame());
+    const size = { width: frame.cols, height: frame.rows };
+    if (wizard.size && (wizard.size.width !== size.width || wizard.size.height !== size.height)) {
+      throw new Error('The camera resolution changed; cancel and start again');
+    }
+    const view = CalibrationTarget.detect(frame, AppState.targetSpec);
+    wizard.size = size;
+    wizard.views.push({ objectPoints: view.objectPoints, imagePoints: view.imagePoints });
+    UIUtils.showToast(
+      `Target view ${wizard.views.length} added (${view.reprojectionError.toFixed(2)} px fit)`,
+      'success'
+    );
+  } catch (error) {
+    console.warn('Lens calibration view rejected:', error);
+    UIUtils.showToast(error.message, 'error');
+  } finally {
+    if (frame) frame.delete();
+  }
+  updateLensControls();
+}
+
+function computeLensProfile() {
+  const wizard = AppState.lensWizard;
+  if (!wizard || wizard.views.length < LensCalibration.MIN_VIEWS) return;
+
+  try {
+    UIUtils.showLoading(true);
+    const profile = LensCalibration.calibrate(wizard.views, wizard.size);
+    const track = AppState.camera.track;
+    profile.label = track ? track.label : null;
+    CameraSettingsStore.saveLensProfile(AppState.camera.settings.deviceId, profile);
+    AppState.lensWizard = null;
+
+    console.log('Lens profile:', profile);
+    updateStatus(
+      `Lens profile saved: straight-grid error ${profile.rmsBefore.toFixed(2)} → ` +
+        `${profile.rms.toFixed(2)} px, ${profile.edgeShiftPercent.toFixed(1)}% at the corners.`
+    );
+    UIUtils.showToast('Lens profile saved for this camera', 'success');
+  } catch (error) {
+    console.error('Lens calibration error:', error);
+    UIUtils.showToast('Lens calibration failed: ' + error.message, 'error');
+  } finally {
+    UIUtils.showLoading(false);
+  }
+  updateLensControls();
+}
+
+function cancelLensCalibration() {
+  AppState.lensWizard = null;
+  updateLensControls();
+  updateStatus('Lens calibration cancelled');
+}
+
+function removeLensProfile() {
+  CameraSettingsStore.clearLensProfile(AppState.camera.settings.deviceId);
+  LensCalibration.releaseMaps();
+  updateLensControls();
+  UIUtils.showToast('Lens profile removed', 'info');
+}
+
+function updateLensControls() {
+  const wizard = AppState.lensWizard;
+  const profile = CameraSettingsStore.loadLensProfile(AppState.camera.settings.deviceId);
+  const count = wizard ? wizard.views.length : 0;
+
+  document.getElementById('lensStart').disabled = !!wizard;
+  document.getElementById('lensAddView').disabled = !wizard || !AppState.isCameraActive;
+  document.getElementById('lensCompute').disabled =
+    !wizard || count < LensCalibration.MIN_VIEWS;
+  document.getElementById('lensCancel').disabled = !wizard;
+  document.getElementById('lensClear').disabled = !profile || !!wizard;
+
+  const status = document.getElementById('lensStatus');
+  if (wizard) {
+    status.textContent = `Calibrating: ${count} of at least ${LensCalibration.MIN_VIEWS} target views.`;
+  } else if (profile) {
+    status.textContent =
+      `Lens profile (${profile.method === 'opencv' ? 'full' : 'radial only'}, ` +
+      `${profile.views} views, ${profile.width}×${profile.height}): ` +
+      `${profile.edgeShiftPercent.toFixed(1)}% at the corners, ` +
+      `${profile.rms.toFixed(2)} px residual. Applied to every capture from this camera, ` +
+      'and to uploaded files of the calibrated size when ticked below.';
+  } else {
+    status.textContent = 'No lens profile for this camera.';
+  }
+}
+
+// Adopt a new video track and learn which device it is; startCamera applies
+// the locks once the picture has settled
+async function onCameraStream(track) {
+  AppState.camera.track = track;
+  const current = track.getSettings ? track.getSettings() : {};
+  if (!AppState.camera.settings.deviceId && current.deviceId) {
+    // Started on the default camera; its saved settings apply from now on
+    AppState.camera.settings = Object.assign(
+      { deviceId: current.deviceId },
+      CameraSettingsStore.load(current.deviceId)
+    );
+    CameraSettingsStore.setLastDevice(current.deviceId);
+  }
+
+  await refreshCameraDevices(); // labels are readable now
+  updateCameraSettingsForm();
+}
+
+async function applyCameraLocks() {
+  const track = AppState.camera.track;
+  if (track) {
+    try {
+      AppState.camera.locked = await CameraControls.applyLocks(
+        track,
+        AppState.camera.settings.locks
+      );
+      console.log('Camera locks applied:', AppState.camera.locked);
+    } catch (error) {
+      console.warn('Camera locks not applied:', error);
+      UIUtils.showToast('Camera rejected the settings: ' + error.message, 'error');
+      AppState.camera.locked = [];
+    }
+  }
+  updateCameraSettingsForm();
+}
+
+// Keep an empty-tester shot for the session. It gets the same automatic
+// perspective correction as captures; the analyzer aligns it to each
+// capture on the support disk. Switches segmentation to differencing.
+function setBackgroundImage(mat, source, name = null) {
+  // Build the new frame first; the old one stays usable if this throws
+  let background = undistortWithLensProfile(mat, source === 'camera').image;
+  mat = background;
+  if (AppState.perspectiveMode === 'ellipse') {
+    try {
+      background = DrapeAnalyzer.rectify(mat, { method: 'ellipse' }).image;
+      mat.delete();
+    } catch (error) {
+      console.warn('Background perspective correction skipped:', error);
+    }
+  }
+
+  if (AppState.backgroundImage) AppState.backgroundImage.delete();
+  AppState.backgroundImage = background;
+  AppState.backgroundInfo = {
+    source: source,
+    name: name,
+    time: new Date(),
+    width: background.cols,
+    height: background.rows,
+  };
+  console.log('Empty-tester background set:', AppState.backgroundInfo);
+
+  AppState.segmentationMethod = 'background';
+  document.getElementById('segmentationMethod').value = 'background';
+  updateBackgroundStatus();
+  if (AppState.analysisResult) processDrapeArea(false);
+}
+
+function captureBackground() {
+  if (!AppState.isCameraActive) {
+    UIUtils.showToast('Start camera first', 'error');
+    return;
+  }
+  try {
+    setBackgroundImage(cv.matFromImageData(grabVideoFrame()), 'camera');
+    updateStatus('Empty tester captured. Now place the fabric and capture the drape.');
+    UIUtils.showToast('Empty tester background captured', 'success');
+  } catch (error) {
+    console.error('Error capturing background:', error);
+    UIUtils.showToast('Error capturing background: ' + error.message, 'error');
+  }
+}
+
+async function handleBackgroundUpload(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  try {
+    UIUtils.showLoading(true);
+    setBackgroundImage(await fileToMat(file), 'upload', file.name);
+    UIUtils.showToast('Empty tester background loaded', 'success');
+  } catch (error) {
+    console.error('Error loading background:', error);
+    UIUtils.showToast('Error loading background: ' + error.message, 'error');
   } finally {
     UIUtils.showLoading(false);
+    event.target.value = '';
+  }
+}
+
+function clearBackground() {
+  if (AppState.backgroundImage) AppState.backgroundImage.delete();
+  AppState.backgroundImage = null;
+  AppState.backgroundInfo = null;
+
+  if (AppState.segmentationMethod === 'background') {
+    AppState.segmentationMethod = 'auto';
+    document.getElementById('segmentationMethod').value = 'auto';
+  }
+  updateBackgroundStatus();
+  if (AppState.analysisResult) processDrapeArea(false);
+}
+
+function updateBackgroundStatus() {
+  const info = AppState.backgroundInfo;
+  const el = document.getElementById('backgroundStatus');
+  if (el) {
+    el.textContent = info
+      ? `${info.name || 'Camera frame'} (${info.width}×${info.height}, ` +
+        `${info.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})`
+      : 'None';
   }
+  document.getElementById('clearBackground').disabled = !info;
 }
 
 // Clear reference
 function clearReference() {
   console.log('Clearing reference...');
 
-  // Remove coin circle
+  // Remove coin circle and any automatic proposal
   if (AppState.coinCircleElement) {
     AppState.coinCircleElement.remove();
     AppState.coinCircleElement = null;
   }
+  clearProposedCoin();
+
+  // Hand-placed circles belong to the previous measurement
+  removeCircleHandles();
+  AppState.manualDisk = null;
+  AppState.manualFabricRadiusPx = null;
+  AppState.automaticCircles = null;
 
   // Reset state
   AppState.detectedCoin = null;
+  AppState.calibration = null;
   AppState.scaleFactor = null;
   AppState.drapeArea = 0;
   AppState.drapePixelArea = 0;
@@ -2164,6 +3540,8 @@ function clearReference() {
   document.getElementById('detectionStatus').className = '';
   document.getElementById('pixelDistance').textContent = '--';
   document.getElementById('scaleFactor').textContent = '--';
+  document.getElementById('targetRms').textContent = '--';
+  document.getElementById('targetDistortion').textContent = '--';
   const coinAreaEl = document.getElementById('coinAreaCm2');
   if (coinAreaEl) {
     coinAreaEl.textContent = '--';
@@ -2182,6 +3560,9 @@ function clearReference() {
   const ringCmEl = document.getElementById('ringAreaCm2');
   if (shadowCmEl) shadowCmEl.textContent = '--';
   if (ringCmEl) ringCmEl.textContent = '--';
+  updateNodeDisplay(null);
+  updateShapeAnalysis(null);
+  updateSegmentationDisplay(null);
 
   // Clear coin area measurements from results
   const measuredEl = document.getElementById('coinAreaMeasured');
@@ -2197,7 +3578,8 @@ function clearReference() {
   document.getElementById('clearReference').disabled = true;
   document.getElementById('saveImage').disabled = true;
 
-  // Clear stored disk/ring/fabric metadata to avoid stale state
+  // Clear stored analysis, disk/ring/fabric metadata to avoid stale state
+  setAnalysisResult(null);
   AppState.detectedDiskCircle = null;
   AppState.shadowWithinFabricPx = 0;
   AppState.ringWithinFabricPx = 0;
@@ -2221,15 +3603,7 @@ function adjustZoom(factor) {
 
   console.log('Zoom level:', AppState.zoomLevel);
 
-  // Redraw
-  if (AppState.isCameraActive) {
-    // Will be updated in next renderVideo frame
-  } else if (AppState.capturedImage) {
-    displayImageOnMainCanvas(AppState.capturedImage);
-    if (AppState.detectedCoin) {
-      drawCoinCircle();
-    }
-  }
+  refreshView();
 }
 
 function resetZoom() {
@@ -2238,27 +3612,302 @@ function resetZoom() {
 
   console.log('Zoom reset');
 
+  refreshView();
+}
+
+// Redraw the image and its overlays after zoom or pan changed
+function refreshView() {
+  if (AppState.viewFrame) {
+    cancelAnimationFrame(AppState.viewFrame);
+    AppState.viewFrame = null;
+  }
   if (AppState.isCameraActive) {
     // Will be updated in next renderVideo frame
   } else if (AppState.capturedImage) {
     displayImageOnMainCanvas(AppState.capturedImage);
-    if (AppState.detectedCoin) {
-      drawCoinCircle();
-    }
+    redrawOverlays();
   }
 }
 
-// Helper Functions
-function updateStatus(message) {
-  document.getElementById('status').textContent = message;
-  console.log('Status:', message);
+// Coalesce redraws while dragging to one per animation frame
+function scheduleViewRefresh() {
+  if (AppState.viewFrame) return;
+  AppState.viewFrame = requestAnimationFrame(() => {
+    AppState.viewFrame = null;
+    refreshView();
+  });
 }
 
-function stopCamera() {
-  if (AppState.video.srcObject) {
-    const stream = AppState.video.srcObject;
-    const tracks = stream.getTracks();
-    tracks.forEach((track) => {
+// Zoom by factor keeping the image point under canvas point (x, y) in place
+function zoomAt(factor, x, y) {
+  const oldZoom = AppState.zoomLevel;
+  const newZoom = Math.max(0.1, Math.min(10, oldZoom * factor));
+  if (newZoom === oldZoom) return;
+
+  const anchor = canvasToImagePoint(x, y);
+  AppState.zoomLevel = newZoom;
+  const moved = imageToScreenCoordinates(anchor.x, anchor.y);
+  AppState.panOffset.x += x - moved.x;
+  AppState.panOffset.y += y - moved.y;
+}
+
+// Unrounded image point under canvas point (x, y); screenToImageCoordinates
+// rounds to whole pixels
+function canvasToImagePoint(x, y) {
+  const pxScale = AppState.imageDisplayInfo.scale * AppState.zoomLevel;
+  const origin = imageToScreenCoordinates(0, 0);
+  return { x: (x - origin.x) / pxScale, y: (y - origin.y) / pxScale };
+}
+
+// Pointer position in canvas internal pixels
+function canvasPointFromEvent(event) {
+  const rect = AppState.mainCanvas.getBoundingClientRect();
+  return {
+    x: (event.clientX - rect.left) * (AppState.mainCanvas.width / rect.width),
+    y: (event.clientY - rect.top) * (AppState.mainCanvas.height / rect.height),
+  };
+}
+
+// Movement (canvas px) before a press counts as a drag rather than a tap
+const PAN_THRESHOLD_PX = 6;
+
+function pinchState(pointers) {
+  const [a, b] = Array.from(pointers.values());
+  return {
+    distance: Math.hypot(b.x - a.x, b.y - a.y),
+    midX: (a.x + b.x) / 2,
+    midY: (a.y + b.y) / 2,
+  };
+}
+
+function handleViewPointerDown(event) {
+  if (event.pointerType === 'mouse' && event.button !== 0) return;
+  if (!AppState.capturedImage && !AppState.isCameraActive) return;
+
+  const gesture = AppState.viewGesture;
+  if (gesture.pointers.size === 0) {
+    gesture.moved = false;
+    gesture.suppressClick = false;
+  }
+  const point = canvasPointFromEvent(event);
+  gesture.pointers.set(event.pointerId, {
+    x: point.x,
+    y: point.y,
+    startX: point.x,
+    startY: point.y,
+  });
+  AppState.mainCanvas.setPointerCapture(event.pointerId);
+
+  if (gesture.pointers.size === 1) {
+    scheduleLoupe(point);
+  } else if (gesture.pointers.size === 2) {
+    gesture.moved = true;
+    gesture.pinch = pinchState(gesture.pointers);
+    hideLoupe();
+  }
+}
+
+function handleViewPointerMove(event) {
+  const gesture = AppState.viewGesture;
+  const pointer = gesture.pointers.get(event.pointerId);
+  if (!pointer) return;
+
+  const point = canvasPointFromEvent(event);
+  const dx = point.x - pointer.x;
+  const dy = point.y - pointer.y;
+  pointer.x = point.x;
+  pointer.y = point.y;
+
+  if (AppState.loupe.active) {
+    moveLoupe(point);
+    return;
+  }
+
+  if (gesture.pointers.size === 1) {
+    if (!gesture.moved) {
+      const travel = Math.hypot(
+        point.x - pointer.startX,
+        point.y - pointer.startY
+      );
+      if (travel < PAN_THRESHOLD_PX) return;
+      gesture.moved = true;
+      hideLoupe();
+      AppState.mainCanvas.classList.add('panning');
+      // Catch up with the travel below the threshold
+      AppState.panOffset.x += point.x - pointer.startX - dx;
+      AppState.panOffset.y += point.y - pointer.startY - dy;
+    }
+    AppState.panOffset.x += dx;
+    AppState.panOffset.y += dy;
+    scheduleViewRefresh();
+  } else if (gesture.pointers.size === 2 && gesture.pinch) {
+    const pinch = pinchState(gesture.pointers);
+    if (gesture.pinch.distance > 0) {
+      zoomAt(pinch.distance / gesture.pinch.distance, pinch.midX, pinch.midY);
+    }
+    // Two fingers moving together pan
+    AppState.panOffset.x += pinch.midX - gesture.pinch.midX;
+    AppState.panOffset.y += pinch.midY - gesture.pinch.midY;
+    gesture.pinch = pinch;
+    scheduleViewRefresh();
+  }
+}
+
+function handleViewPointerUp(event) {
+  const gesture = AppState.viewGesture;
+  if (!gesture.pointers.delete(event.pointerId)) return;
+
+  if (AppState.loupe.active) {
+    // Detect at the crosshair, not where the click would land
+    const point = AppState.loupe.point;
+    hideLoupe();
+    gesture.suppressClick = event.type === 'pointerup';
+    const ready = AppState.capturedImage && !AppState.isProcessing;
+    if (gesture.suppressClick && ready) {
+      handleCanvasPoint(point.x, point.y);
+    }
+    return;
+  }
+  hideLoupe(); // released before the hold delay
+
+  gesture.pinch =
+    gesture.pointers.size === 2 ? pinchState(gesture.pointers) : null;
+  if (gesture.pointers.size === 0) {
+    AppState.mainCanvas.classList.remove('panning');
+    // A tap falls through to handleCanvasClick; a drag does not
+    gesture.suppressClick = gesture.moved && event.type === 'pointerup';
+    if (gesture.moved) refreshView();
+  }
+}
+
+// Press-and-hold magnifier: shows the image under the finger, which would
+// otherwise hide the coin, and detects at the crosshair on release
+const LOUPE_HOLD_MS = 350;
+const LOUPE_SIZE = 140; // px
+const LOUPE_MAGNIFICATION = 3; // relative to the current view
+
+function scheduleLoupe(point) {
+  hideLoupe();
+  if (!AppState.capturedImage || AppState.isCameraActive) return;
+  AppState.loupe.timer = setTimeout(() => {
+    AppState.loupe.timer = null;
+    showLoupe(point);
+  }, LOUPE_HOLD_MS);
+}
+
+function showLoupe(point) {
+  const mat = AppState.capturedImage;
+  if (!mat || mat.empty()) return;
+
+  // Draw the working image once; each move only copies a region of it
+  const source = document.createElement('canvas');
+  source.width = mat.cols;
+  source.height = mat.rows;
+  source
+    .getContext('2d')
+    .putImageData(
+      new ImageData(new Uint8ClampedArray(mat.data), mat.cols, mat.rows),
+      0,
+      0
+    );
+
+  const element = document.createElement('canvas');
+  element.className = 'magnifier-loupe';
+  element.width = LOUPE_SIZE;
+  element.height = LOUPE_SIZE;
+  AppState.mainCanvas.parentElement.appendChild(element);
+
+  AppState.loupe.source = source;
+  AppState.loupe.element = element;
+  AppState.loupe.active = true;
+  moveLoupe(point);
+}
+
+function moveLoupe(point) {
+  const loupe = AppState.loupe;
+  if (!loupe.active) return;
+  loupe.point = { x: point.x, y: point.y };
+
+  // Sit above the finger, or below it near the top edge
+  const size = LOUPE_SIZE;
+  const gap = 40;
+  let top = point.y - size - gap;
+  if (top < 0) top = point.y + gap;
+  const left = Math.max(
+    0,
+    Math.min(AppState.mainCanvas.width - size, point.x - size / 2)
+  );
+  loupe.element.style.left = `${left}px`;
+  loupe.element.style.top = `${top}px`;
+
+  const image = canvasToImagePoint(point.x, point.y);
+  const span = size / (mainCanvasScale() * LOUPE_MAGNIFICATION); // image px
+  const ctx = loupe.element.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, size, size);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(
+    loupe.source,
+    image.x - span / 2,
+    image.y - span / 2,
+    span,
+    span,
+    0,
+    0,
+    size,
+    size
+  );
+
+  // Crosshair with a gap so the centre pixel stays visible
+  const c = size / 2;
+  ctx.strokeStyle = '#e74c3c';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(0, c);
+  ctx.lineTo(c - 6, c);
+  ctx.moveTo(c + 6, c);
+  ctx.lineTo(size, c);
+  ctx.moveTo(c, 0);
+  ctx.lineTo(c, c - 6);
+  ctx.moveTo(c, c + 6);
+  ctx.lineTo(c, size);
+  ctx.stroke();
+}
+
+function hideLoupe() {
+  const loupe = AppState.loupe;
+  if (loupe.timer) {
+    clearTimeout(loupe.timer);
+    loupe.timer = null;
+  }
+  if (loupe.element) {
+    loupe.element.remove();
+  }
+  loupe.element = null;
+  loupe.source = null;
+  loupe.active = false;
+}
+
+function handleViewWheel(event) {
+  if (!AppState.capturedImage && !AppState.isCameraActive) return;
+  event.preventDefault();
+
+  const point = canvasPointFromEvent(event);
+  zoomAt(event.deltaY < 0 ? 1.15 : 1 / 1.15, point.x, point.y);
+  scheduleViewRefresh();
+}
+
+// Helper Functions
+function updateStatus(message) {
+  document.getElementById('status').textContent = message;
+  console.log('Status:', message);
+}
+
+function stopCamera() {
+  if (AppState.video.srcObject) {
+    const stream = AppState.video.srcObject;
+    const tracks = stream.getTracks();
+    tracks.forEach((track) => {
       track.stop();
       stream.removeTrack(track);
     });
@@ -2266,8 +3915,12 @@ function stopCamera() {
     AppState.isCameraActive = false;
     AppState.video.style.display = 'none';
   }
+  AppState.camera.track = null;
+  AppState.camera.locked = [];
+  updateCameraSettingsForm();
 
   // Hide camera overlays
+  stopPreviewDetection();
   hideCameraOverlays();
 
   // Show click instruction when camera stops
@@ -2278,6 +3931,8 @@ function stopCamera() {
 
   document.getElementById('startCamera').disabled = false;
   document.getElementById('uploadImage').disabled = false;
+  document.getElementById('batchUploadBtn').disabled = false;
+  document.getElementById('captureBackground').disabled = true;
 
   console.log('Camera stopped');
 }
@@ -2313,7 +3968,14 @@ function resetApp() {
   }
 
   // Reset state
+  cancelMarkerPicking();
+  AppState.rectification = null;
+  document.getElementById('pickMarkers').disabled = true;
   clearReference();
+  updatePerspectiveDisplay();
+  AppState.captureInfo = null;
+  AppState.lensCorrection = null;
+  updateBurstInfo();
 
   AppState.zoomLevel = 1.0;
   AppState.panOffset = { x: 0, y: 0 };
@@ -2327,80 +3989,1501 @@ function resetApp() {
   UIUtils.showToast('App reset successfully', 'info');
 }
 
+// Build a history record from a result plus the current tester/reference settings
+function buildMeasurementRecord(values) {
+  const refTarget =
+    (document.getElementById('refTarget') || {}).value ||
+    AppState.refTarget ||
+    'coin';
+  const refType = (document.getElementById('refType') || {}).value || 'coin';
+
+  return {
+    time: new Date(),
+    filename: values.filename || null,
+    sampleId: AppState.currentSample.id || null,
+    side: AppState.currentSample.id ? AppState.currentSample.side : null,
+    area: values.area,
+    coefficient: values.coefficient,
+    property: values.property,
+    inputs: {
+      diskDiameter: AppState.diskDiameter,
+      fabricDiameter: AppState.fabricDiameter,
+      referenceType: refTarget === 'coin' ? refType : refTarget,
+      referenceDiameter:
+        refTarget === 'shape'
+          ? AppState.shapeLength
+          : refTarget === 'target'
+            ? null
+            : AppState.referenceDiameter,
+      scaleFactor: values.scaleFactor,
+    },
+    pixels: {
+      shadowPx: values.shadowPx || 0,
+      ringPx: values.ringPx || 0,
+      coinRadiusPx: values.coinRadiusPx || null,
+      referencePixelArea: values.referencePixelArea || 0,
+    },
+    nodes: values.nodes || null,
+    harmonics: values.harmonics || null,
+    rectification: values.rectification || null,
+    lens: values.lens || null,
+    calibration: values.calibration || null,
+    uncertainty: values.uncertainty || null,
+    segmentation: values.segmentation || null,
+    maskEdit: values.maskEdit || null,
+    circles: values.circles || null,
+    capture: values.capture || null,
+    detection: values.detection || null,
+    metadata: currentSampleMetadata(),
+    thumbnail: values.thumbnail || null,
+    appVersion: APP_VERSION,
+  };
+}
+
+// Circles and segmentation thresholds a result was measured with, so the
+// measurement can be reopened without detecting again
+function summarizeDetection(result) {
+  if (!result) return null;
+  const circle = (c) => (c ? { x: c.x, y: c.y, radius: c.radius } : null);
+  return {
+    coin: circle(result.coin),
+    disk: circle(result.diskCircle),
+    fabricRadiusPx: result.fabricRadiusPx,
+    thresholds: result.thresholds || null,
+  };
+}
+
+// Segmentation stored with a record: the strategy used and its plausibility
+function summarizeSegmentation(segmentation) {
+  if (!segmentation) return null;
+  return {
+    method: segmentation.method,
+    auto: !!segmentation.candidates,
+    score: segmentation.score,
+    backgroundShiftPx:
+      segmentation.method === 'background' && segmentation.backgroundAlignment
+        ? Math.hypot(
+            segmentation.backgroundAlignment.shift.x,
+            segmentation.backgroundAlignment.shift.y
+          )
+        : null,
+  };
+}
+
+// Uncertainty stored with a record (drape % points)
+function summarizeUncertainty(uncertainty) {
+  if (!uncertainty) return null;
+  return {
+    percent: uncertainty.percent,
+    scale: uncertainty.components.scale,
+    disk: uncertainty.components.disk,
+    threshold: uncertainty.components.threshold,
+  };
+}
+
+// "62.40 ± 1.80%" when an uncertainty is known, otherwise "62.40%"
+function formatDrape(percent, uncertainty, unitSpace = '') {
+  const value =
+    uncertainty && Number.isFinite(uncertainty.percent)
+      ? `${percent.toFixed(2)} ± ${uncertainty.percent.toFixed(2)}`
+      : percent.toFixed(2);
+  return `${value}${unitSpace}%`;
+}
+
+// Compact node summary stored with a record (full per-node lists stay in memory)
+function summarizeNodes(nodes) {
+  if (!nodes) return null;
+  return {
+    count: nodes.count,
+    amplitudeMean: nodes.amplitude.mean,
+    amplitudeMin: nodes.amplitude.min,
+    amplitudeMax: nodes.amplitude.max,
+    spacingUniformity: nodes.spacing.uniformity,
+  };
+}
+
+// Harmonic descriptors stored with a record (amplitudes in cm, harmonic 1 first)
+function summarizeHarmonics(harmonics) {
+  if (!harmonics) return null;
+  return {
+    meanRadius: harmonics.meanRadius,
+    dominant: harmonics.dominant.harmonic,
+    dominantAmplitude: harmonics.dominant.amplitude,
+    irregularity: harmonics.irregularity,
+    amplitudes: harmonics.amplitudes.slice(),
+  };
+}
+
+// Show the node analysis of the current result in the Results panel
+function updateNodeDisplay(nodes) {
+  const fmt = (v, digits = 2) => (Number.isFinite(v) ? v.toFixed(digits) : '--');
+  const countEl = document.getElementById('nodeCount');
+  const amplitudeEl = document.getElementById('nodeAmplitude');
+  const uniformityEl = document.getElementById('nodeUniformity');
+
+  if (countEl) countEl.textContent = nodes ? String(nodes.count) : '--';
+  if (amplitudeEl) {
+    amplitudeEl.textContent = nodes
+      ? `${fmt(nodes.amplitude.mean)} (${fmt(nodes.amplitude.min)}–${fmt(nodes.amplitude.max)})`
+      : '--';
+  }
+  if (uniformityEl) {
+    uniformityEl.textContent = nodes ? fmt(nodes.spacing.uniformity) : '--';
+  }
+}
+
+// Harmonic numbers plus the polar profile and spectrum charts
+function updateShapeAnalysis(result) {
+  const harmonics = result ? result.harmonics : null;
+  const dominantEl = document.getElementById('dominantHarmonic');
+  const irregularityEl = document.getElementById('irregularityIndex');
+  const polarCanvas = document.getElementById('polarCanvas');
+  const spectrumCanvas = document.getElementById('spectrumCanvas');
+
+  if (!harmonics || !result.profile) {
+    if (dominantEl) dominantEl.textContent = '--';
+    if (irregularityEl) irregularityEl.textContent = '--';
+    ChartUtils.clear(polarCanvas);
+    ChartUtils.clear(spectrumCanvas);
+    return;
+  }
+
+  if (dominantEl) {
+    dominantEl.textContent =
+      `${harmonics.dominant.harmonic} (${harmonics.dominant.amplitude.toFixed(2)} cm)`;
+  }
+  if (irregularityEl) irregularityEl.textContent = harmonics.irregularity.toFixed(3);
+
+  const scale = result.scaleFactor;
+  if (polarCanvas) {
+    ChartUtils.drawPolarProfile(
+      polarCanvas,
+      result.profile.angles,
+      result.profile.radii.map((r) => r / scale),
+      {
+        innerRadius: result.diskCircle.radius / scale,
+        markers: result.nodes ? result.nodes.nodes : [],
+      }
+    );
+  }
+  if (spectrumCanvas) {
+    ChartUtils.drawSpectrum(spectrumCanvas, harmonics.amplitudes, {
+      highlight: harmonics.dominant.harmonic,
+    });
+  }
+}
+
+// Record the interactive result currently held in AppState
 function addToHistory(area, coefficient, property) {
-  const historyBody = document.getElementById('historyBody');
-  const now = new Date();
-  const timeStr = now.toLocaleTimeString([], {
+  const record = buildMeasurementRecord({
+    area: area,
+    coefficient: coefficient,
+    property: property,
+    filename: AppState.currentFileName,
+    scaleFactor: AppState.scaleFactor,
+    shadowPx: AppState.shadowWithinFabricPx,
+    ringPx: AppState.ringWithinFabricPx,
+    coinRadiusPx: AppState.detectedCoin ? AppState.detectedCoin.radius : null,
+    referencePixelArea: AppState.referencePixelArea,
+    nodes: summarizeNodes(AppState.analysisResult && AppState.analysisResult.nodes),
+    harmonics: summarizeHarmonics(AppState.analysisResult && AppState.analysisResult.harmonics),
+    rectification: AppState.rectification,
+    lens: AppState.lensCorrection,
+    calibration: AppState.calibration,
+    uncertainty: summarizeUncertainty(AppState.analysisResult && AppState.analysisResult.uncertainty),
+    segmentation: summarizeSegmentation(AppState.analysisResult && AppState.analysisResult.segmentation),
+    maskEdit: AppState.analysisResult ? summarizeMaskEdit() : null,
+    circles: summarizeCircles(AppState.analysisResult),
+    capture: AppState.captureInfo,
+    detection: summarizeDetection(AppState.analysisResult),
+    thumbnail: ImageUtils.canvasThumbnail(AppState.processedCanvas),
+  });
+  advanceSpecimenNumber();
+
+  saveMeasurement(record, ImageUtils.matToBlob(AppState.capturedImage, MEASUREMENT_IMAGE_TYPE));
+  AppState.currentRecord = record;
+
+  // A manually clicked batch image is finished once its result is recorded
+  if (AppState.batch && AppState.batch.current) {
+    completeManualBatchItem(record);
+  }
+
+  console.log('Added to history:', area, coefficient, property);
+  return record;
+}
+
+// Records whose add is still in flight, with the promise of the stored record
+const pendingSaves = new WeakMap();
+
+// Stored measurement images are lossless, so a reopened image measures the same
+const MEASUREMENT_IMAGE_TYPE = 'image/png';
+
+// Show a record in the history table and persist it; the id arrives once stored.
+// image (a Blob or a promise of one) is kept so the measurement can be reopened.
+function saveMeasurement(record, image = null) {
+  AppState.measurements.push(record);
+  refreshHistory();
+  warnIfSampleVariable(record.sampleId);
+
+  const saving = HistoryStore.add(record)
+    .then((id) => {
+      record.id = id;
+      renderHistory(); // the row can now be selected, opened and deleted
+      if (!image) return record;
+      return Promise.resolve(image)
+        .then((blob) => HistoryStore.putImage(id, blob))
+        .catch((error) => console.warn('Measurement image not saved:', id, error))
+        .then(() => record);
+    })
+    .catch((error) => {
+      console.error('Error saving measurement:', error);
+      UIUtils.showToast('Measurement not saved: ' + error.message, 'error');
+      return record;
+    });
+  pendingSaves.set(record, saving);
+  saving.then(() => pendingSaves.delete(record));
+  return saving;
+}
+
+// History table
+// AppState.history holds the view: search and filters, sort column and
+// direction, page, and the ids of selected records. Rows are rebuilt from
+// AppState.measurements on every change and refer to records by id only.
+function initHistoryView() {
+  const view = AppState.history;
+  const pageSize = document.getElementById('historyPageSize');
+  HistoryQuery.PAGE_SIZES.forEach((size) => {
+    const option = document.createElement('option');
+    option.value = size;
+    option.textContent = `${size} per page`;
+    pageSize.appendChild(option);
+  });
+  pageSize.value = view.pageSize;
+
+  // Filters start over at the first page
+  const filters = {
+    historySearch: ['input', 'search'],
+    historyFabricFilter: ['change', 'fabric'],
+    historyClassFilter: ['change', 'classification'],
+    historyFrom: ['change', 'from'],
+    historyTo: ['change', 'to'],
+  };
+  Object.keys(filters).forEach((id) => {
+    const [event, key] = filters[id];
+    document.getElementById(id).addEventListener(event, function () {
+      view[key] = this.value;
+      view.page = 1;
+      renderHistory();
+    });
+  });
+  pageSize.addEventListener('change', function () {
+    view.pageSize = parseInt(this.value, 10) || 25;
+    view.page = 1;
+    renderHistory();
+  });
+
+  document.querySelectorAll('#historyTable th[data-sort]').forEach((th) => {
+    th.addEventListener('click', () => sortHistory(th.dataset.sort));
+  });
+  document.getElementById('historyPrev').addEventListener('click', () => {
+    view.page -= 1;
+    renderHistory();
+  });
+  document.getElementById('historyNext').addEventListener('click', () => {
+    view.page += 1;
+    renderHistory();
+  });
+
+  document.getElementById('historySelectPage').addEventListener('change', function () {
+    document.querySelectorAll('#historyBody .history-select:not(:disabled)').forEach((box) => {
+      const id = Number(box.dataset.id);
+      if (this.checked) view.selected.add(id);
+      else view.selected.delete(id);
+    });
+    renderHistory();
+  });
+  document.getElementById('historySelectMatching').addEventListener('click', function (e) {
+    e.preventDefault();
+    HistoryQuery.run(AppState.measurements, view).matching.forEach((m) => {
+      if (m.id !== undefined) view.selected.add(m.id);
+    });
+    renderHistory();
+  });
+  document.getElementById('historyClearSelection').addEventListener('click', function (e) {
+    e.preventDefault();
+    view.selected.clear();
+    renderHistory();
+  });
+  document.getElementById('historyDeleteSelected').addEventListener('click', () => {
+    deleteMeasurements(Array.from(view.selected));
+  });
+  document.getElementById('historyExportSelected').addEventListener('click', exportSelectedCSV);
+
+  // Row checkboxes and buttons, by record id
+  const body = document.getElementById('historyBody');
+  body.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('history-select')) return;
+    const id = Number(e.target.dataset.id);
+    if (e.target.checked) view.selected.add(id);
+    else view.selected.delete(id);
+    renderHistory();
+  });
+  body.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const id = Number(button.closest('tr').dataset.id);
+    if (button.dataset.action === 'open') reopenMeasurement(id);
+    else if (button.dataset.action === 'delete') deleteMeasurements([id]);
+  });
+}
+
+// Click on a column heading: sort by it, or flip the direction
+function sortHistory(key) {
+  const view = AppState.history;
+  if (view.sort === key) {
+    view.direction = view.direction === 'asc' ? 'desc' : 'asc';
+  } else {
+    view.sort = key;
+    // Newest, largest and highest first; text columns A to Z
+    view.direction = ['file', 'sample', 'property'].includes(key) ? 'asc' : 'desc';
+  }
+  view.page = 1;
+  renderHistory();
+}
+
+// Rebuild the history page, pager, sort marks and selection bar
+function renderHistory() {
+  const view = AppState.history;
+  updateHistoryFilterOptions();
+
+  // Records deleted elsewhere cannot stay selected
+  const ids = new Set(AppState.measurements.map((m) => m.id));
+  view.selected.forEach((id) => {
+    if (!ids.has(id)) view.selected.delete(id);
+  });
+
+  const result = HistoryQuery.run(AppState.measurements, view);
+  view.page = result.page;
+
+  const body = document.getElementById('historyBody');
+  body.innerHTML = '';
+  if (result.total === 0) {
+    body.innerHTML = `<tr><td colspan="10" class="empty-row">${
+      AppState.measurements.length ? 'No measurements match the filters' : 'No measurements yet'
+    }</td></tr>`;
+  }
+  result.rows.forEach((record) => body.appendChild(renderHistoryRow(record)));
+
+  document.querySelectorAll('#historyTable th[data-sort]').forEach((th) => {
+    th.classList.toggle('sorted', th.dataset.sort === view.sort);
+    th.dataset.direction = th.dataset.sort === view.sort ? view.direction : '';
+  });
+
+  const pageIds = result.rows.filter((m) => m.id !== undefined).map((m) => m.id);
+  const selectPage = document.getElementById('historySelectPage');
+  const selectedOnPage = pageIds.filter((id) => view.selected.has(id)).length;
+  selectPage.checked = pageIds.length > 0 && selectedOnPage === pageIds.length;
+  selectPage.indeterminate = selectedOnPage > 0 && selectedOnPage < pageIds.length;
+
+  document.getElementById('historyPageInfo').textContent =
+    `Page ${result.page} of ${result.pages} (${result.total} of ` +
+    `${AppState.measurements.length} measurements)`;
+  document.getElementById('historyPrev').disabled = result.page <= 1;
+  document.getElementById('historyNext').disabled = result.page >= result.pages;
+
+  const count = view.selected.size;
+  document.getElementById('historyBulk').hidden = count === 0;
+  document.getElementById('historySelectedCount').textContent =
+    `${count} measurement${count === 1 ? '' : 's'} selected`;
+  document.getElementById('historySelectMatching').hidden = count >= result.total;
+}
+
+// Render a history record as a table row
+function renderHistoryRow(record) {
+  const timeStr = new Date(record.time).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
     hour: '2-digit',
     minute: '2-digit',
   });
+  const stored = record.id !== undefined;
 
   const row = document.createElement('tr');
+  if (stored) row.dataset.id = record.id;
+  if (stored && AppState.history.selected.has(record.id)) row.className = 'history-selected';
   row.innerHTML = `
+        <td><input type="checkbox" class="history-select" ${
+          stored ? `data-id="${record.id}"` : 'disabled title="Saving..."'
+        } ${stored && AppState.history.selected.has(record.id) ? 'checked' : ''} /></td>
         <td>${timeStr}</td>
-        <td>${area.toFixed(2)} cm²</td>
-        <td>${coefficient.toFixed(2)}%</td>
-        <td>${property}</td>
+        <td class="history-file"></td>
+        <td class="history-sample"></td>
+        <td class="history-thumb-cell"></td>
+        <td class="history-area"></td>
+        <td class="history-drape"></td>
+        <td class="history-nodes"></td>
+        <td class="history-property"></td>
         <td>
-            <button class="btn-small" onclick="deleteRow(this)">Delete</button>
+            <button class="btn-small" data-action="open" ${stored ? '' : 'disabled'}>Open</button>
+            <button class="btn-small" data-action="delete" ${stored ? '' : 'disabled'}>Delete</button>
         </td>
     `;
+  // Record fields are user input or come from imported session files; set
+  // them as text, not HTML, and show only image data URLs as thumbnails
+  const thumbCell = row.querySelector('.history-thumb-cell');
+  if (typeof record.thumbnail === 'string' && record.thumbnail.startsWith('data:image/')) {
+    const img = document.createElement('img');
+    img.className = 'history-thumb';
+    img.alt = 'Processed image';
+    img.src = record.thumbnail;
+    thumbCell.appendChild(img);
+  } else {
+    thumbCell.textContent = '--';
+  }
+  row.querySelector('.history-area').textContent = `${record.area.toFixed(2)} cm²`;
+  row.querySelector('.history-drape').textContent = formatDrape(
+    record.coefficient,
+    record.uncertainty
+  );
+  row.querySelector('.history-nodes').textContent = record.nodes ? record.nodes.count : '--';
+  row.querySelector('.history-property').textContent = record.property;
+  row.querySelector('.history-file').textContent = record.filename || '--';
+  const metadata = record.metadata || {};
+  const sampleCell = row.querySelector('.history-sample');
+  sampleCell.textContent = record.sampleId
+    ? `${record.sampleId} (${record.side || 'face'})` +
+      (metadata.specimen ? ` #${metadata.specimen}` : '')
+    : '--';
+  const fabric = describeFabric(metadata);
+  if (fabric) {
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = fabric;
+    sampleCell.appendChild(meta);
+  }
+  sampleCell.title = [
+    metadata.operator ? `Operator: ${metadata.operator}` : '',
+    metadata.notes || '',
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  return row;
+}
 
-  historyBody.prepend(row);
+// Redraw the history table and the per-sample statistics
+function refreshHistory() {
+  renderHistory();
+  renderSampleStatistics();
+}
 
-  // Store in app state
-  AppState.measurements.push({
-    time: now,
-    area: area,
-    coefficient: coefficient,
-    property: property,
-  });
+// Reload saved measurements into the history table
+async function loadHistory() {
+  try {
+    const records = await HistoryStore.getAll();
+    AppState.measurements = records;
+    refreshHistory();
+    if (records.length > 0 && !AppState.currentSample.id) {
+      prefillSampleMetadata(records[records.length - 1]);
+    }
+    console.log('History loaded:', records.length, 'measurements');
+  } catch (error) {
+    console.error('Error loading history:', error);
+    UIUtils.showToast('Could not load saved history: ' + error.message, 'error');
+  }
+}
 
-  console.log('Added to history:', area, coefficient, property);
+// Delete stored measurements (and their images) by id
+async function deleteMeasurements(ids) {
+  if (ids.length === 0) return;
+  if (ids.length > 1 && !confirm(`Delete ${ids.length} measurements? This cannot be undone.`)) {
+    return;
+  }
+
+  const failed = [];
+  for (const id of ids) {
+    try {
+      await HistoryStore.delete(id);
+    } catch (error) {
+      console.error('Error deleting measurement:', id, error);
+      failed.push(id);
+    }
+  }
+
+  const deleted = new Set(ids.filter((id) => !failed.includes(id)));
+  AppState.measurements = AppState.measurements.filter((m) => !deleted.has(m.id));
+  deleted.forEach((id) => AppState.history.selected.delete(id));
+  if (AppState.currentRecord && deleted.has(AppState.currentRecord.id)) {
+    AppState.currentRecord = null;
+  }
+  refreshHistory();
+
+  if (failed.length > 0) {
+    UIUtils.showToast(`Could not delete ${failed.length} saved measurement(s)`, 'error');
+  } else if (deleted.size > 1) {
+    UIUtils.showToast(`Deleted ${deleted.size} measurements`, 'info');
+  }
 }
 
-function deleteRow(button) {
-  const row = button.closest('tr');
-  const index = Array.from(row.parentNode.children).indexOf(row);
+// CSV of the selected measurements, oldest first
+function exportSelectedCSV() {
+  const selected = AppState.history.selected;
+  const records = AppState.measurements.filter((m) => selected.has(m.id));
+  if (records.length === 0) {
+    alert('No measurements selected');
+    return;
+  }
+  downloadTextFile(
+    measurementsToCSV(records),
+    `drape-measurements-selected-${new Date().toISOString().split('T')[0]}.csv`
+  );
+  console.log('CSV exported:', records.length, 'selected measurements');
+}
 
-  // Remove from measurements array
-  if (index !== -1) {
-    AppState.measurements.splice(index, 1);
+// Sample metadata form fields and the currentSample keys they fill
+const SAMPLE_METADATA_FIELDS = {
+  sampleFabricType: 'fabricType',
+  sampleComposition: 'composition',
+  sampleGsm: 'gsm',
+  sampleConstruction: 'construction',
+  sampleSpecimen: 'specimen',
+  sampleOperator: 'operator',
+  sampleNotes: 'notes',
+};
+
+function readMetadataField(key, value) {
+  if (key === 'gsm') {
+    const gsm = parseFloat(value);
+    return gsm > 0 ? gsm : null;
+  }
+  if (key === 'specimen') {
+    const specimen = parseInt(value, 10);
+    return specimen > 0 ? specimen : null;
   }
+  return String(value).trim();
+}
 
-  row.remove();
+// What a record keeps of the sample form (null when nothing was entered)
+function currentSampleMetadata() {
+  const sample = AppState.currentSample;
+  const metadata = {};
+  let filled = false;
+  Object.values(SAMPLE_METADATA_FIELDS).forEach((key) => {
+    const value = sample[key];
+    metadata[key] = value === '' || value === undefined ? null : value;
+    if (metadata[key] !== null) filled = true;
+  });
+  return filled ? metadata : null;
 }
 
-function exportToCSV() {
-  if (AppState.measurements.length === 0) {
-    alert('No measurements to export');
+// Show currentSample in the form
+function updateSampleForm() {
+  const sample = AppState.currentSample;
+  document.getElementById('sampleId').value = sample.id;
+  document.getElementById('sampleSide').value = sample.side;
+  Object.keys(SAMPLE_METADATA_FIELDS).forEach((id) => {
+    const value = sample[SAMPLE_METADATA_FIELDS[id]];
+    document.getElementById(id).value = value === null || value === undefined ? '' : value;
+  });
+}
+
+// Carry the sample details of a previous record over to the next
+// measurement, with the following specimen number
+function prefillSampleMetadata(record) {
+  const metadata = record.metadata || {};
+  const sample = AppState.currentSample;
+  sample.id = record.sampleId || '';
+  sample.side = record.side || 'face';
+  Object.values(SAMPLE_METADATA_FIELDS).forEach((key) => {
+    sample[key] = metadata[key] !== undefined ? metadata[key] : null;
+  });
+  sample.specimen = metadata.specimen ? metadata.specimen + 1 : null;
+  updateSampleForm();
+}
+
+// A sample ID typed into the form picks up the fabric details of its last
+// record and numbers the next specimen; a new ID starts at specimen 1
+function continueSample(sampleId) {
+  if (!sampleId) return;
+  const records = AppState.measurements.filter((m) => m.sampleId === sampleId);
+  const sample = AppState.currentSample;
+  if (records.length === 0) {
+    sample.specimen = 1;
+    updateSampleForm();
     return;
   }
+  const last = records[records.length - 1].metadata || {};
+  ['fabricType', 'composition', 'gsm', 'construction'].forEach((key) => {
+    if (last[key] !== null && last[key] !== undefined) sample[key] = last[key];
+  });
+  const numbers = records.map((m) => (m.metadata && m.metadata.specimen) || 0);
+  sample.specimen = Math.max(records.length, ...numbers) + 1;
+  updateSampleForm();
+}
+
+function advanceSpecimenNumber() {
+  if (!AppState.currentSample.specimen) return;
+  AppState.currentSample.specimen += 1;
+  document.getElementById('sampleSpecimen').value = AppState.currentSample.specimen;
+}
+
+// "Shirting, Twill, 180 g/m², 65% PES / 35% CO" (empty when unknown)
+function describeFabric(metadata) {
+  if (!metadata) return '';
+  return [
+    metadata.fabricType,
+    metadata.construction,
+    metadata.gsm ? `${metadata.gsm} g/m²` : null,
+    metadata.composition,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+// Known fabric types and classifications as filter choices (and fabric
+// types as suggestions in the sample form). A filter whose value is gone is reset.
+function updateHistoryFilterOptions() {
+  const view = AppState.history;
+  const types = HistoryQuery.distinct(AppState.measurements, (m) => m.metadata && m.metadata.fabricType);
+  const classes = HistoryQuery.distinct(AppState.measurements, (m) => m.property);
+
+  const list = document.getElementById('fabricTypeList');
+  list.innerHTML = '';
+  types.forEach((type) => {
+    const option = document.createElement('option');
+    option.value = type;
+    list.appendChild(option);
+  });
+
+  const fill = (select, values, allLabel, key) => {
+    select.innerHTML = `<option value="">${allLabel}</option>`;
+    values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+    if (!values.includes(view[key])) view[key] = '';
+    select.value = view[key];
+  };
+  fill(document.getElementById('historyFabricFilter'), types, 'All fabric types', 'fabric');
+  fill(document.getElementById('historyClassFilter'), classes, 'All classifications', 'classification');
+}
+
+// Group records by sample and summarize drape % for each replicate set
+function groupSampleStatistics(records) {
+  const groups = new Map();
+  records.forEach((m) => {
+    if (!m.sampleId) return;
+    if (!groups.has(m.sampleId)) groups.set(m.sampleId, []);
+    groups.get(m.sampleId).push(m);
+  });
+
+  return Array.from(groups.entries()).map(([sampleId, members]) => {
+    const values = members.map((m) => m.coefficient);
+    const stats = Statistics.summarize(values);
+    return {
+      sampleId: sampleId,
+      stats: stats,
+      face: Statistics.summarize(
+        members.filter((m) => m.side !== 'back').map((m) => m.coefficient)
+      ),
+      back: Statistics.summarize(
+        members.filter((m) => m.side === 'back').map((m) => m.coefficient)
+      ),
+      flagged: Number.isFinite(stats.cv) && stats.cv > AppState.cvThreshold,
+    };
+  });
+}
+
+function renderSampleStatistics() {
+  const body = document.getElementById('sampleStatsBody');
+  if (!body) return;
+
+  const groups = groupSampleStatistics(AppState.measurements);
+  const fmt = (v) => (Number.isFinite(v) ? v.toFixed(2) : '--');
+
+  body.innerHTML = '';
+  if (groups.length === 0) {
+    body.innerHTML =
+      '<tr><td colspan="6" class="empty-row">No sample measurements yet</td></tr>';
+  }
+
+  groups.forEach((g) => {
+    const row = document.createElement('tr');
+    if (g.flagged) row.className = 'sample-flagged';
+    const cells = [
+      g.sampleId,
+      `${g.stats.n} (${g.face.n} face / ${g.back.n} back)`,
+      fmt(g.stats.mean),
+      fmt(g.stats.sd),
+      Number.isFinite(g.stats.cv)
+        ? `${g.stats.cv.toFixed(2)}${g.flagged ? ' ⚠' : ''}`
+        : '--',
+      Number.isFinite(g.stats.ciHalfWidth)
+        ? `${g.stats.ciLow.toFixed(2)} – ${g.stats.ciHigh.toFixed(2)}`
+        : '--',
+    ];
+    cells.forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    body.appendChild(row);
+  });
+
+  // Offer the known sample IDs as suggestions
+  const list = document.getElementById('sampleIdList');
+  if (list) {
+    list.innerHTML = '';
+    groups.forEach((g) => {
+      const option = document.createElement('option');
+      option.value = g.sampleId;
+      list.appendChild(option);
+    });
+  }
+}
 
-  // Create CSV content
-  let csv = 'Time,Area (cm²),Drape Coefficient (%),Fabric Property\n';
+// Tell the user when a replicate set becomes too variable
+function warnIfSampleVariable(sampleId) {
+  if (!sampleId) return;
+  const group = groupSampleStatistics(AppState.measurements).find(
+    (g) => g.sampleId === sampleId
+  );
+  if (group && group.flagged) {
+    // Deferred so it replaces the result toast shown right after saving
+    setTimeout(() => {
+      UIUtils.showToast(
+        `Sample ${sampleId}: CV ${group.stats.cv.toFixed(1)}% exceeds ${AppState.cvThreshold}%`,
+        'error'
+      );
+    }, 0);
+  }
+}
+
+// Quote a CSV field when it contains separators or quotes
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
 
-  AppState.measurements.forEach((m) => {
-    const timeStr = m.time.toLocaleString();
-    csv += `"${timeStr}",${m.area.toFixed(2)},${m.coefficient.toFixed(2)},${
-      m.property
-    }\n`;
+// Harmonics exported as CSV columns (1 = off-centre term)
+const HARMONIC_COLUMNS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// CSV text for a list of history records, followed by per-sample statistics
+function measurementsToCSV(records) {
+  let csv =
+    'Time,File,Sample ID,Side,Specimen No.,Fabric Type,Composition,GSM (g/m²),Weave/Knit,' +
+    'Operator,Notes,Area (cm²),Drape Coefficient (%),Fabric Property,' +
+    'Disk Diameter (cm),Fabric Diameter (cm),Reference Type,Reference Size (cm),' +
+    'Scale (px/cm),Shadow (px),Ring (px),Coin Radius (px),' +
+    'Nodes,Node Amplitude Mean (cm),Node Amplitude Min (cm),Node Amplitude Max (cm),' +
+    'Node Spacing Uniformity,Dominant Harmonic,Irregularity Index,Mean Radius (cm),' +
+    HARMONIC_COLUMNS.map((k) => `H${k} Amplitude (cm)`).join(',') +
+    ',Perspective Correction,Ellipticity Before (%),Residual Ellipticity (%),' +
+    'Target Reprojection Error (px),Lens Distortion k1,' +
+    'Drape Uncertainty (± %),Uncertainty Scale (%),Uncertainty Disk (%),Uncertainty Threshold (%),' +
+    'Segmentation Method,Segmentation Score,Background Shift (px),' +
+    'Mask Edited,Automatic Drape (%),Mask Added (px),Mask Erased (px),' +
+    'Disk Set By Hand,Fabric Circle Set By Hand,Disk X (px),Disk Y (px),Disk Radius (px),' +
+    'Fabric Radius (px),Frames Combined,Noise Reduction (x),' +
+    'Camera,Camera Resolution,Camera Locks,Lens Profile,Lens Edge Shift (%)\n';
+
+  records.forEach((m) => {
+    const inputs = m.inputs || {};
+    const pixels = m.pixels || {};
+    const nodes = m.nodes || {};
+    const harmonics = m.harmonics || {};
+    const amplitudes = harmonics.amplitudes || [];
+    const rectification = m.rectification || {};
+    const calibration = m.calibration || {};
+    const uncertainty = m.uncertainty || {};
+    const segmentation = m.segmentation || {};
+    const maskEdit = m.maskEdit || {};
+    const circles = m.circles || {};
+    const disk = circles.disk || {};
+    const capture = m.capture || {};
+    const burst = capture.burst || {};
+    const camera = capture.camera || {};
+    const lens = m.lens || {};
+    const metadata = m.metadata || {};
+    const pct = (v) => (Number.isFinite(v) ? (v * 100).toFixed(2) : '');
+    const fmt3 = (v) => (Number.isFinite(v) ? v.toFixed(3) : '');
+    csv +=
+      [
+        new Date(m.time).toLocaleString(),
+        m.filename,
+        m.sampleId,
+        m.side,
+        metadata.specimen,
+        metadata.fabricType,
+        metadata.composition,
+        metadata.gsm,
+        metadata.construction,
+        metadata.operator,
+        metadata.notes,
+        m.area.toFixed(2),
+        m.coefficient.toFixed(2),
+        m.property,
+        inputs.diskDiameter,
+        inputs.fabricDiameter,
+        inputs.referenceType,
+        inputs.referenceDiameter,
+        inputs.scaleFactor ? inputs.scaleFactor.toFixed(3) : '',
+        pixels.shadowPx,
+        pixels.ringPx,
+        pixels.coinRadiusPx,
+        nodes.count,
+        fmt3(nodes.amplitudeMean),
+        fmt3(nodes.amplitudeMin),
+        fmt3(nodes.amplitudeMax),
+        fmt3(nodes.spacingUniformity),
+        harmonics.dominant,
+        fmt3(harmonics.irregularity),
+        fmt3(harmonics.meanRadius),
+      ]
+        .concat(HARMONIC_COLUMNS.map((k) => fmt3(amplitudes[k - 1])))
+        .concat([
+          rectification.method || 'none',
+          pct(rectification.ellipticityBefore),
+          pct(rectification.residualEllipticity),
+          fmt3(calibration.reprojectionError),
+          fmt3(calibration.distortionK1),
+          fmt3(uncertainty.percent),
+          fmt3(uncertainty.scale),
+          fmt3(uncertainty.disk),
+          fmt3(uncertainty.threshold),
+          segmentation.method ? (segmentation.auto ? 'auto:' : '') + segmentation.method : '',
+          fmt3(segmentation.score),
+          fmt3(segmentation.backgroundShiftPx),
+          m.maskEdit ? 'yes' : 'no',
+          Number.isFinite(maskEdit.automaticCoefficient) ? maskEdit.automaticCoefficient.toFixed(2) : '',
+          maskEdit.addedPx,
+          maskEdit.erasedPx,
+          circles.manualDisk ? 'yes' : 'no',
+          circles.manualFabric ? 'yes' : 'no',
+          disk.x,
+          disk.y,
+          fmt3(disk.radius),
+          circles.fabricRadiusPx,
+          burst.used || 1,
+          fmt3(burst.noiseReduction),
+          camera.label,
+          camera.width ? `${camera.width}x${camera.height}` : '',
+          (camera.locks || []).join(' '),
+          lens.applied ? lens.method : 'none',
+          lens.applied ? fmt3(lens.edgeShiftPercent) : '',
+        ])
+        .map(csvField)
+        .join(',') + '\n';
   });
 
-  // Create download link
-  const blob = new Blob([csv], { type: 'text/csv' });
+  const groups = groupSampleStatistics(records);
+  if (groups.length > 0) {
+    const fmt = (v) => (Number.isFinite(v) ? v.toFixed(2) : '');
+    csv +=
+      '\nSample Statistics (drape %)\n' +
+      'Sample ID,n,n Face,n Back,Mean,SD,CV (%),95% CI Low,95% CI High,Mean Face,Mean Back,CV Flag\n';
+    groups.forEach((g) => {
+      csv +=
+        [
+          g.sampleId,
+          g.stats.n,
+          g.face.n,
+          g.back.n,
+          fmt(g.stats.mean),
+          fmt(g.stats.sd),
+          fmt(g.stats.cv),
+          fmt(g.stats.ciLow),
+          fmt(g.stats.ciHigh),
+          fmt(g.face.mean),
+          fmt(g.back.mean),
+          g.flagged ? `CV > ${AppState.cvThreshold}%` : '',
+        ]
+          .map(csvField)
+          .join(',') + '\n';
+    });
+  }
+
+  return csv;
+}
+
+// Trigger a browser download of text content
+function downloadTextFile(content, filename, type = 'text/csv') {
+  const blob = new Blob([content], { type: type });
   const url = window.URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `drape-measurements-${
-    new Date().toISOString().split('T')[0]
-  }.csv`;
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   window.URL.revokeObjectURL(url);
+}
+
+async function exportToCSV() {
+  let records = AppState.measurements;
+  try {
+    records = await HistoryStore.getAll();
+  } catch (error) {
+    console.warn('Exporting in-memory history; store unavailable:', error);
+  }
 
-  console.log('CSV exported:', AppState.measurements.length, 'measurements');
+  if (records.length === 0) {
+    alert('No measurements to export');
+    return;
+  }
+
+  downloadTextFile(
+    measurementsToCSV(records),
+    `drape-measurements-${new Date().toISOString().split('T')[0]}.csv`
+  );
+
+  console.log('CSV exported:', records.length, 'measurements');
+}
+
+// Session files: every history record (settings, circles, pixel counts,
+// thresholds) as JSON, optionally with the analysed images as data URLs
+const SESSION_FORMAT = 'drape-calculator-session';
+
+async function exportSession() {
+  let records = AppState.measurements;
+  try {
+    records = await HistoryStore.getAll();
+  } catch (error) {
+    console.warn('Exporting in-memory history; store unavailable:', error);
+  }
+
+  if (records.length === 0) {
+    alert('No measurements to export');
+    return;
+  }
+
+  const includeImages = document.getElementById('sessionImages').checked;
+  try {
+    UIUtils.showLoading(true);
+    const measurements = [];
+    let images = 0;
+    for (const record of records) {
+      // Ids are local to this browser's database
+      const entry = Object.assign({}, record);
+      delete entry.id;
+      if (includeImages && record.id !== undefined) {
+        const blob = await HistoryStore.getImage(record.id).catch(() => null);
+        entry.image = blob ? await FileUtils.blobToDataURL(blob) : null;
+        if (blob) images++;
+      }
+      measurements.push(entry);
+    }
+
+    const session = {
+      format: SESSION_FORMAT,
+      schemaVersion: HistoryStore.SCHEMA_VERSION,
+      appVersion: APP_VERSION,
+      exportedAt: new Date().toISOString(),
+      measurements: measurements,
+    };
+    downloadTextFile(
+      JSON.stringify(session, null, 2),
+      `drape-session-${new Date().toISOString().split('T')[0]}.json`,
+      'application/json'
+    );
+    console.log('Session exported:', measurements.length, 'measurements,', images, 'images');
+  } catch (error) {
+    console.error('Error exporting session:', error);
+    UIUtils.showToast('Session not exported: ' + error.message, 'error');
+  } finally {
+    UIUtils.showLoading(false);
+  }
+}
+
+// Identity of a measurement across exports (ids differ between browsers)
+function measurementKey(record) {
+  return [new Date(record.time).getTime(), record.filename || '', record.coefficient].join('|');
+}
+
+// A session entry can be stored only with a finite area and coefficient and
+// a valid date (records without one break the history table and index)
+function isImportableMeasurement(entry) {
+  return (
+    !!entry &&
+    typeof entry === 'object' &&
+    Number.isFinite(entry.area) &&
+    Number.isFinite(entry.coefficient) &&
+    entry.time !== null &&
+    entry.time !== undefined &&
+    !isNaN(new Date(entry.time).getTime())
+  );
+}
+
+// Add the measurements of a session file to the history. Records already
+// present (same time, file and result) and invalid entries are skipped.
+async function importSession(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  let added = 0;
+  try {
+    UIUtils.showLoading(true);
+    updateStatus('Importing session...');
+
+    const session = JSON.parse(await file.text());
+    if (!session || session.format !== SESSION_FORMAT || !Array.isArray(session.measurements)) {
+      throw new Error('Not a drape calculator session file');
+    }
+    if (session.schemaVersion > HistoryStore.SCHEMA_VERSION) {
+      throw new Error(
+        `Session written by a newer version (${session.appVersion || 'unknown'}); update the app first`
+      );
+    }
+
+    const existing = new Set(AppState.measurements.map(measurementKey));
+    let skipped = 0;
+    let invalid = 0;
+    for (const entry of session.measurements) {
+      if (!isImportableMeasurement(entry)) {
+        invalid++;
+        continue;
+      }
+      const record = Object.assign({}, entry, {
+        time: new Date(entry.time),
+        schemaVersion: entry.schemaVersion || session.schemaVersion,
+      });
+      const image = record.image;
+      delete record.image;
+      delete record.id;
+
+      const key = measurementKey(record);
+      if (existing.has(key)) {
+        skipped++;
+        continue;
+      }
+      existing.add(key);
+
+      const id = await HistoryStore.add(HistoryStore.migrateRecord(record));
+      if (image) {
+        try {
+          await HistoryStore.putImage(id, await FileUtils.dataURLToBlob(image));
+        } catch (error) {
+          console.warn('Imported image not stored:', id, error);
+        }
+      }
+      added++;
+    }
+
+    updateStatus(`Session imported: ${added} measurements`);
+    const notes = [];
+    if (skipped) notes.push(`${skipped} already in history`);
+    if (invalid) notes.push(`${invalid} invalid, skipped`);
+    UIUtils.showToast(
+      `Imported ${added} measurement${added === 1 ? '' : 's'}` +
+        (notes.length ? ` (${notes.join(', ')})` : ''),
+      invalid ? 'warning' : 'success'
+    );
+  } catch (error) {
+    console.error('Error importing session:', error);
+    updateStatus('Session import failed');
+    UIUtils.showToast(
+      'Session not imported: ' +
+        error.message +
+        (added ? ` (${added} measurements were stored before the error)` : ''),
+      'error'
+    );
+  } finally {
+    // Show whatever was stored, also when the import stopped part-way
+    await loadHistory();
+    UIUtils.showLoading(false);
+    event.target.value = '';
+  }
+}
+
+// Put the tester and reference settings of a record back into the form
+function restoreMeasurementSettings(record) {
+  const inputs = record.inputs || {};
+  if (inputs.diskDiameter) {
+    AppState.diskDiameter = inputs.diskDiameter;
+    document.getElementById('diskDiameter').value = inputs.diskDiameter;
+  }
+  if (inputs.fabricDiameter) {
+    AppState.fabricDiameter = inputs.fabricDiameter;
+    document.getElementById('fabricDiameter').value = inputs.fabricDiameter;
+  }
+
+  const refType = inputs.referenceType;
+  if (refType) {
+    AppState.refTarget = refType === 'target' ? 'target' : 'coin';
+    document.getElementById('refTarget').value = AppState.refTarget;
+  }
+  if (refType && refType !== 'target') {
+    document.getElementById('refType').value = refType;
+    document.getElementById('customRef').style.display = refType === 'custom' ? 'block' : 'none';
+    if (inputs.referenceDiameter) {
+      AppState.referenceDiameter = inputs.referenceDiameter;
+      if (refType === 'custom') {
+        document.getElementById('refDiameter').value = inputs.referenceDiameter;
+      }
+    }
+  }
+
+  if (record.segmentation) {
+    let method = record.segmentation.auto ? 'auto' : record.segmentation.method;
+    // The empty-tester frame is not stored with a measurement
+    if (method === 'background' && !AppState.backgroundImage) {
+      method = 'auto';
+      UIUtils.showToast(
+        'The empty-tester background is not stored: re-measuring with automatic ' +
+          'segmentation. Load the background to compare with the saved result.',
+        'warning'
+      );
+    }
+    AppState.segmentationMethod = method;
+    document.getElementById('segmentationMethod').value = method;
+  }
+  updateTargetAreaDisplays();
+}
+
+// Load a stored measurement's image and analyse it again with its saved
+// settings and circles. The history entry is updated only if it is edited.
+async function reopenMeasurement(id) {
+  const record = AppState.measurements.find((m) => m.id === id);
+  if (!record || AppState.isProcessing) return;
+
+  let blob = null;
+  try {
+    blob = await HistoryStore.getImage(id);
+  } catch (error) {
+    console.warn('Could not read stored image:', id, error);
+  }
+
+  restoreMeasurementSettings(record);
+  if (!blob) {
+    UIUtils.showToast(
+      'No image was stored with this measurement; its settings were restored',
+      'warning'
+    );
+    return;
+  }
+
+  try {
+    UIUtils.showLoading(true);
+    updateStatus('Reopening measurement...');
+    if (AppState.isCameraActive) stopCamera();
+
+    const mat = await fileToMat(blob);
+    setWorkingImage(mat, record.filename, {
+      corrected: true,
+      lens: record.lens,
+      rectification: record.rectification,
+    });
+    AppState.captureInfo = record.capture;
+    updateBurstInfo();
+
+    restoreMeasurementReference(record);
+    if (record.maskEdit) {
+      UIUtils.showToast('Hand edits of the shadow mask are not replayed', 'warning');
+    }
+  } catch (error) {
+    console.error('Error reopening measurement:', error);
+    updateStatus('Error reopening measurement');
+    UIUtils.showToast('Could not reopen measurement: ' + error.message, 'error');
+  } finally {
+    UIUtils.showLoading(false);
+  }
+}
+
+// Re-apply the scale reference and hand-placed circles of a record to the
+// working image, which starts the analysis
+function restoreMeasurementReference(record) {
+  const circles = record.circles;
+  if (circles) {
+    AppState.manualDisk = circles.manualDisk ? Object.assign({}, circles.disk) : null;
+    AppState.manualFabricRadiusPx = circles.manualFabric ? circles.fabricRadiusPx : null;
+    AppState.automaticCircles = circles.automatic || null;
+  }
+
+  const coin = record.detection && record.detection.coin;
+  AppState.reopenedRecord = record;
+  if (record.calibration) {
+    AppState.calibration = record.calibration;
+    AppState.scaleFactor = record.calibration.pxPerCm;
+    document.getElementById('detectionStatus').textContent = 'Detected';
+    document.getElementById('detectionStatus').className = 'detected';
+    document.getElementById('scaleFactor').textContent = record.calibration.pxPerCm.toFixed(2);
+    document.getElementById('clearReference').disabled = false;
+    processDrapeArea();
+  } else if (coin) {
+    applyDetectedCoin(Object.assign({}, coin));
+  } else {
+    AppState.reopenedRecord = null;
+    updateStatus('Coin position was not stored with this measurement. Click the coin to measure again.');
+  }
+}
+
+// Batch processing
+// AppState.batch holds one item per selected file:
+// { file, name, status: pending|processing|auto|queued|manual|skipped, record, error }
+// Images where the coin or disk cannot be found automatically are queued
+// and loaded one at a time for a manual coin click.
+const BATCH_MIN_COIN_CONFIDENCE = 0.6;
+
+const BATCH_STATUS_LABELS = {
+  pending: 'Pending',
+  processing: 'Processing...',
+  auto: 'Auto',
+  queued: 'Needs click',
+  manual: 'Manual',
+  skipped: 'Skipped',
+};
+
+async function handleBatchUpload(event) {
+  const files = Array.from(event.target.files || []).filter((file) =>
+    file.type.match('image.*')
+  );
+  // Clear file input
+  event.target.value = '';
+
+  if (files.length === 0) {
+    alert('Please select one or more image files');
+    return;
+  }
+  if (typeof cv === 'undefined') {
+    UIUtils.showToast('OpenCV not loaded yet', 'error');
+    return;
+  }
+  if (AppState.isCameraActive) {
+    stopCamera();
+  }
+
+  AppState.batch = {
+    items: files.map((file) => ({
+      file: file,
+      name: file.name,
+      status: 'pending',
+      record: null,
+      error: null,
+    })),
+    current: null,
+  };
+  const batch = AppState.batch;
+
+  document.getElementById('batchCard').style.display = 'block';
+  renderBatchSummary();
+
+  for (let i = 0; i < batch.items.length; i++) {
+    const item = batch.items[i];
+    item.status = 'processing';
+    updateStatus(`Batch: processing ${i + 1}/${batch.items.length} - ${item.name}`);
+    renderBatchSummary();
+
+    // Let the browser repaint between images
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await processBatchItem(item);
+    renderBatchSummary();
+  }
+
+  const queued = batch.items.filter((item) => item.status === 'queued').length;
+  UIUtils.showToast(
+    `Batch processed: ${batch.items.length - queued} automatic, ${queued} need a manual click`,
+    queued > 0 ? 'info' : 'success'
+  );
+
+  if (queued > 0) {
+    await loadNextQueuedBatchItem();
+  } else {
+    updateStatus('Batch complete');
+  }
+}
+
+// Detect coin and disk automatically and record the result, or queue the item
+async function processBatchItem(item) {
+  let mat = null;
+  let result = null;
+
+  try {
+    mat = await fileToMat(item.file);
+    const lens = undistortWithLensProfile(mat, false);
+    mat = lens.image;
+
+    // Only the automatic correction applies to unattended images
+    let rectification = null;
+    if (AppState.perspectiveMode === 'ellipse') {
+      try {
+        const rectified = DrapeAnalyzer.rectify(mat, { method: 'ellipse' });
+        mat.delete();
+        mat = rectified.image;
+        rectification = summarizeRectification(rectified);
+      } catch (error) {
+        console.warn('Batch perspective correction skipped:', item.name, error);
+      }
+    }
+
+    // Each image brings its own reference: the printed target or a coin
+    const config = getAnalyzerConfig();
+    config.coin = null;
+    config.disk = null; // hand-placed circles belong to the interactive image
+    config.fabricRadiusPx = null;
+    if (AppState.refTarget === 'target') {
+      config.reference = { type: 'target', spec: AppState.targetSpec };
+    } else {
+      config.reference = { type: 'coin', diameter: AppState.referenceDiameter };
+      const found = DrapeAnalyzer.findCoinAuto(mat, config);
+      if (!found) {
+        item.status = 'queued';
+        item.error = 'Coin not found automatically';
+        return;
+      }
+      // Unattended runs only trust confident proposals
+      if (found.confidence < BATCH_MIN_COIN_CONFIDENCE) {
+        item.status = 'queued';
+        item.error = `Low coin confidence (${(found.confidence * 100).toFixed(0)}%)`;
+        return;
+      }
+      config.coin = found.coin;
+    }
+
+    result = DrapeAnalyzer.analyze(mat, config);
+
+    const canvas = document.createElement('canvas');
+    drawProcessedImage(mat, result, canvas);
+
+    item.record = buildMeasurementRecord({
+      area: result.shadowAreaCm2,
+      coefficient: result.drapePercent,
+      property: result.classification,
+      filename: item.name,
+      scaleFactor: result.scaleFactor,
+      shadowPx: result.shadowPx,
+      ringPx: result.ringPx,
+      coinRadiusPx: result.coin ? result.coin.radius : null,
+      nodes: summarizeNodes(result.nodes),
+      harmonics: summarizeHarmonics(result.harmonics),
+      rectification: rectification,
+      lens: lens.correction,
+      calibration: summarizeCalibration(result.calibration),
+      uncertainty: summarizeUncertainty(result.uncertainty),
+      segmentation: summarizeSegmentation(result.segmentation),
+      detection: summarizeDetection(result),
+      thumbnail: ImageUtils.canvasThumbnail(canvas),
+    });
+    advanceSpecimenNumber();
+    await saveMeasurement(item.record, ImageUtils.matToBlob(mat, MEASUREMENT_IMAGE_TYPE));
+    item.status = 'auto';
+  } catch (error) {
+    console.warn('Batch item needs manual processing:', item.name, error);
+    item.status = 'queued';
+    item.error = error.message;
+  } finally {
+    if (mat) mat.delete();
+    DrapeAnalyzer.release(result);
+  }
+}
+
+// Load the next queued image so the user can click its coin
+async function loadNextQueuedBatchItem() {
+  const batch = AppState.batch;
+  if (!batch) return;
+
+  const item = batch.items.find((i) => i.status === 'queued');
+  batch.current = item || null;
+  renderBatchSummary();
+
+  if (!item) {
+    updateStatus('Batch complete');
+    UIUtils.showToast('Batch complete', 'success');
+    return;
+  }
+
+  try {
+    UIUtils.showLoading(true);
+    const mat = await fileToMat(item.file);
+    setWorkingImage(mat, item.name);
+
+    const remaining = batch.items.filter((i) => i.status === 'queued').length;
+    updateStatus(
+      `Batch: click the coin in ${item.name} (${remaining} image(s) left to check)`
+    );
+    maybeAutoDetectCoin();
+  } catch (error) {
+    console.error('Error loading queued batch image:', error);
+    item.status = 'skipped';
+    item.error = error.message;
+    batch.current = null;
+    renderBatchSummary();
+  } finally {
+    UIUtils.showLoading(false);
+  }
+}
+
+// Called from addToHistory once the queued image has been measured by hand
+function completeManualBatchItem(record) {
+  const item = AppState.batch.current;
+  if (!item || item.name !== record.filename) return;
+
+  item.record = record;
+  item.status = 'manual';
+  item.error = null;
+  AppState.batch.current = null;
+  renderBatchSummary();
+}
+
+function skipBatchItem() {
+  const batch = AppState.batch;
+  if (!batch || !batch.current) return;
+
+  batch.current.status = 'skipped';
+  batch.current = null;
+  loadNextQueuedBatchItem();
+}
+
+function renderBatchSummary() {
+  const batch = AppState.batch;
+  const body = document.getElementById('batchBody');
+  if (!batch || !body) return;
+
+  body.innerHTML = '';
+  batch.items.forEach((item) => {
+    const row = document.createElement('tr');
+    if (item === batch.current) row.className = 'batch-current';
+    const cells = [
+      item.name,
+      BATCH_STATUS_LABELS[item.status] || item.status,
+      item.record ? formatDrape(item.record.coefficient, item.record.uncertainty) : '--',
+      item.record ? item.record.property : '--',
+      item.error || '',
+    ];
+    cells.forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    body.appendChild(row);
+  });
+
+  const count = (status) => batch.items.filter((i) => i.status === status).length;
+  document.getElementById('batchCounts').textContent =
+    `${batch.items.length} files: ${count('auto')} auto, ${count('manual')} manual, ` +
+    `${count('queued')} waiting for a click, ${count('skipped')} skipped`;
+
+  const hasQueued = count('queued') > 0;
+  document.getElementById('batchNext').disabled = !hasQueued || !!batch.current;
+  document.getElementById('batchSkip').disabled = !batch.current;
+  document.getElementById('batchExport').disabled = !batch.items.some((i) => i.record);
+}
+
+// Combined CSV of every measured image in the batch
+function exportBatchCSV() {
+  const batch = AppState.batch;
+  const records = batch ? batch.items.filter((i) => i.record).map((i) => i.record) : [];
+  if (records.length === 0) {
+    alert('No batch measurements to export');
+    return;
+  }
+
+  downloadTextFile(
+    measurementsToCSV(records),
+    `drape-batch-${new Date().toISOString().split('T')[0]}.csv`
+  );
 }
 
 function saveResultImage() {
@@ -2516,10 +5599,310 @@ function saveResultImage() {
   }
 }
 
+// PDF test report
+// Specimen images are drawn from the stored analysed images with the disk,
+// fabric and coin circles on top, at most REPORT_IMAGE_MAX_SIDE px.
+const REPORT_IMAGE_MAX_SIDE = 900;
+const REPORT_LOGO_MAX_SIDE = 400;
+
+// Report form fields and the settings they hold
+const REPORT_FIELDS = {
+  reportTitle: 'title',
+  reportLabName: 'labName',
+  reportLabAddress: 'labAddress',
+  reportMethod: 'method',
+  reportTestedBy: 'testedBy',
+  reportApprovedBy: 'approvedBy',
+  reportPageSize: 'pageSize',
+};
+
+function initReportSettings() {
+  AppState.reportSettings = ReportSettingsStore.load();
+  Object.keys(REPORT_FIELDS).forEach((id) => {
+    const input = document.getElementById(id);
+    input.value = AppState.reportSettings[REPORT_FIELDS[id]] || '';
+    input.addEventListener('change', function () {
+      AppState.reportSettings[REPORT_FIELDS[id]] = this.value.trim();
+      ReportSettingsStore.save(AppState.reportSettings);
+    });
+  });
+
+  document.getElementById('reportLogoBtn').addEventListener('click', function (e) {
+    e.preventDefault();
+    document.getElementById('reportLogo').click();
+  });
+  document.getElementById('reportLogo').addEventListener('change', handleReportLogo);
+  document.getElementById('reportLogoClear').addEventListener('click', function (e) {
+    e.preventDefault();
+    AppState.reportSettings.logo = null;
+    ReportSettingsStore.save(AppState.reportSettings);
+    updateReportLogoPreview();
+  });
+  updateReportLogoPreview();
+}
+
+function updateReportLogoPreview() {
+  const logo = AppState.reportSettings.logo;
+  const preview = document.getElementById('reportLogoPreview');
+  preview.hidden = !logo;
+  if (logo) preview.src = logo.dataURL;
+  document.getElementById('reportLogoClear').disabled = !logo;
+}
+
+// Keep the chosen logo as a small JPEG (transparent areas become white)
+async function handleReportLogo(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  try {
+    const img = await FileUtils.loadImage(file);
+    const scale = Math.min(1, REPORT_LOGO_MAX_SIDE / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    AppState.reportSettings.logo = {
+      dataURL: canvas.toDataURL('image/jpeg', 0.9),
+      width: canvas.width,
+      height: canvas.height,
+    };
+    ReportSettingsStore.save(AppState.reportSettings);
+    updateReportLogoPreview();
+  } catch (error) {
+    console.error('Error loading report logo:', error);
+    UIUtils.showToast('Logo not loaded: ' + error.message, 'error');
+  } finally {
+    event.target.value = '';
+  }
+}
+
+// JPEG data URL as the { data (binary string), width, height } PdfWriter embeds
+function reportJpeg(dataURL, width, height) {
+  return { data: atob(dataURL.split(',')[1]), width: width, height: height };
+}
+
+function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = src;
+  });
+}
+
+// Disk, fabric and coin circles of a record, drawn at `scale`
+function drawRecordCircles(ctx, record, scale) {
+  const detection = record.detection || {};
+  const disk = (record.circles && record.circles.disk) || detection.disk;
+  const fabricRadiusPx = record.circles ? record.circles.fabricRadiusPx : detection.fabricRadiusPx;
+  const circles = [
+    { circle: disk, color: '#c0392b' },
+    { circle: disk && fabricRadiusPx ? { x: disk.x, y: disk.y, radius: fabricRadiusPx } : null, color: '#e67e22' },
+    { circle: detection.coin, color: '#e74c3c' },
+  ];
+  ctx.lineWidth = Math.max(2, 3 * scale);
+  circles.forEach(({ circle, color }) => {
+    if (!circle) return;
+    ctx.beginPath();
+    ctx.arc(circle.x * scale, circle.y * scale, circle.radius * scale, 0, Math.PI * 2);
+    ctx.strokeStyle = color;
+    ctx.stroke();
+  });
+}
+
+// Report image of a record: the stored image with its circles, else the
+// history thumbnail, else null
+async function reportSpecimenImage(record) {
+  const blob =
+    record.id !== undefined ? await HistoryStore.getImage(record.id).catch(() => null) : null;
+  if (!blob) {
+    // Thumbnails from imported sessions can be any data URL; the PDF embeds
+    // JPEG only, so anything else is redrawn as one
+    const thumbnail = record.thumbnail;
+    if (typeof thumbnail !== 'string' || !thumbnail.startsWith('data:image/')) return null;
+    const thumb = await loadImageElement(thumbnail);
+    if (thumbnail.startsWith('data:image/jpeg')) {
+      return reportJpeg(thumbnail, thumb.width, thumb.height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = thumb.width;
+    canvas.height = thumb.height;
+    canvas.getContext('2d').drawImage(thumb, 0, 0);
+    return reportJpeg(canvas.toDataURL('image/jpeg', 0.85), canvas.width, canvas.height);
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = await loadImageElement(url);
+    const scale = Math.min(1, REPORT_IMAGE_MAX_SIDE / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    drawRecordCircles(ctx, record, scale);
+    return reportJpeg(canvas.toDataURL('image/jpeg', 0.85), canvas.width, canvas.height);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Distinct values of a record field, joined for the report ("--" when none)
+function distinctValues(records, pick) {
+  const values = [];
+  records.forEach((record) => {
+    const value = pick(record);
+    if (value !== null && value !== undefined && value !== '' && !values.includes(value)) {
+      values.push(value);
+    }
+  });
+  return values.length ? values.join(', ') : '--';
+}
+
+function reportSampleFields(records) {
+  const times = records.map((r) => new Date(r.time).getTime());
+  const day = (t) => new Date(t).toLocaleDateString();
+  const first = Math.min(...times);
+  const last = Math.max(...times);
+  const meta = (key) => (r) => (r.metadata ? r.metadata[key] : null);
+  return [
+    ['Sample ID', distinctValues(records, (r) => r.sampleId)],
+    ['Specimens', String(records.length)],
+    ['Fabric type', distinctValues(records, meta('fabricType'))],
+    ['Composition', distinctValues(records, meta('composition'))],
+    ['GSM', distinctValues(records, (r) => (r.metadata && r.metadata.gsm ? `${r.metadata.gsm} g/m²` : null))],
+    ['Weave / knit', distinctValues(records, meta('construction'))],
+    ['Sides', distinctValues(records, (r) => (r.sampleId ? r.side || 'face' : null))],
+    ['Operator', distinctValues(records, meta('operator'))],
+    ['Test date', day(first) === day(last) ? day(first) : `${day(first)} to ${day(last)}`],
+  ];
+}
+
+function reportParameters(records) {
+  const reference = (r) => {
+    const inputs = r.inputs || {};
+    if (inputs.referenceType === 'target') return 'Calibration target';
+    return inputs.referenceDiameter
+      ? `Coin, ${inputs.referenceDiameter} cm`
+      : inputs.referenceType || null;
+  };
+  return [
+    ['Support disk', distinctValues(records, (r) => (r.inputs ? `${r.inputs.diskDiameter} cm` : null))],
+    ['Specimen', distinctValues(records, (r) => (r.inputs ? `${r.inputs.fabricDiameter} cm` : null))],
+    ['Scale reference', distinctValues(records, reference)],
+    [
+      'Segmentation',
+      distinctValues(records, (r) =>
+        r.segmentation ? ShadowSegmentation.LABELS[r.segmentation.method] || r.segmentation.method : null
+      ),
+    ],
+    [
+      'Perspective',
+      distinctValues(records, (r) =>
+        r.rectification ? (r.rectification.method === 'markers' ? 'Markers' : 'Disk ellipse') : 'None'
+      ),
+    ],
+    ['Lens correction', distinctValues(records, (r) => (r.lens && r.lens.applied ? 'Device profile' : 'None'))],
+  ];
+}
+
+// Build the PDF report from the current sample's (or all) measurements
+async function generateReport() {
+  let records = AppState.measurements;
+  try {
+    records = await HistoryStore.getAll();
+  } catch (error) {
+    console.warn('Reporting in-memory history; store unavailable:', error);
+  }
+
+  const scope = document.getElementById('reportScope').value;
+  const sampleId = AppState.currentSample.id;
+  if (scope === 'sample') {
+    if (!sampleId) {
+      UIUtils.showToast('Enter a sample ID, or report all history', 'warning');
+      return;
+    }
+    records = records.filter((r) => r.sampleId === sampleId);
+  }
+  if (records.length === 0) {
+    UIUtils.showToast('No measurements to report', 'error');
+    return;
+  }
+
+  const settings = AppState.reportSettings;
+  try {
+    UIUtils.showLoading(true);
+    updateStatus('Building report...');
+
+    const specimens = [];
+    for (const record of records) {
+      specimens.push({
+        number: record.metadata ? record.metadata.specimen : null,
+        time: record.time,
+        file: record.filename,
+        side: record.sampleId ? record.side || 'face' : null,
+        drape: record.coefficient,
+        uncertainty: record.uncertainty ? record.uncertainty.percent : null,
+        nodes: record.nodes ? record.nodes.count : null,
+        area: record.area,
+        classification: record.property,
+        image: await reportSpecimenImage(record).catch((error) => {
+          console.warn('Report image skipped:', record.id, error);
+          return null;
+        }),
+      });
+    }
+
+    const summary = Statistics.summarize(records.map((r) => r.coefficient));
+    const operators = distinctValues(records, (r) => (r.metadata ? r.metadata.operator : null));
+    const doc = TestReport.build({
+      pageSize: settings.pageSize,
+      header: {
+        title: settings.title,
+        labName: settings.labName,
+        labAddress: settings.labAddress,
+        logo: settings.logo
+          ? reportJpeg(settings.logo.dataURL, settings.logo.width, settings.logo.height)
+          : null,
+      },
+      sample: reportSampleFields(records),
+      method: settings.method,
+      parameters: reportParameters(records),
+      specimens: specimens,
+      summary: summary,
+      classification: DrapeAnalyzer.classify(summary.mean),
+      signatures: [
+        { role: 'Tested by', name: settings.testedBy || (operators !== '--' ? operators : '') },
+        { role: 'Approved by', name: settings.approvedBy },
+      ],
+      appVersion: APP_VERSION,
+      generatedAt: new Date(),
+    });
+
+    const name = scope === 'sample' ? sampleId.replace(/[^\w.-]+/g, '_') : 'all';
+    FileUtils.saveBlob(
+      PdfWriter.toBlob(doc),
+      `drape-report-${name}-${new Date().toISOString().split('T')[0]}.pdf`
+    );
+    updateStatus(`Report saved: ${records.length} measurements`);
+  } catch (error) {
+    console.error('Error building report:', error);
+    updateStatus('Report failed');
+    UIUtils.showToast('Report not created: ' + error.message, 'error');
+  } finally {
+    UIUtils.showLoading(false);
+  }
+}
+
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', function () {
   console.log('DOM loaded, checking OpenCV...');
 
+  // Saved history does not depend on OpenCV, so load it straight away
+  loadHistory();
+
   // Check if OpenCV is already loaded
   if (typeof cv !== 'undefined' && cv.getBuildInformation) {
     console.log('OpenCV already loaded');
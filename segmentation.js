@@ -0,0 +1,484 @@
+// Shadow segmentation strategies for the Drape Calculator
+// Every strategy turns the image into a candidate mask of shadow-like pixels;
+// the shared finish keeps the largest cleaned region as the shadow mask. The
+// support disk is found before segmenting, so strategies can learn the
+// shadow and paper appearance from the ring between disk and fabric edge.
+//
+//   ShadowSegmentation.setCv(cv);
+//   const seg = ShadowSegmentation.segment('auto', {
+//     src, gray, blurred, disk: { x, y, radius }, fabricRadiusPx, ring,
+//   });
+//   seg.mask, seg.method, seg.score
+const ShadowSegmentation = {
+  // OpenCV module; falls back to the global `cv` loaded by the page
+  cv: null,
+
+  // Strategies in the order auto mode tries them
+  METHODS: ['band', 'otsu', 'kmeans', 'background', 'grabcut'],
+
+  LABELS: {
+    auto: 'Auto',
+    band: 'Intensity band',
+    otsu: 'Otsu',
+    kmeans: 'K-means (Lab colour)',
+    background: 'Background subtraction',
+    grabcut: 'GrabCut',
+  },
+
+  defaults: {
+    band: { lower: 0.35, upper: 0.58 }, // fractions of the gray range
+    otsuClasses: 2, // 3 splits creases/shadow/paper; shadow = all but the brightest
+    kmeansSamples: 20000, // ring pixels used to fit the clusters
+    grabcutSize: 400, // px, longest side GrabCut runs at
+    grabcutIterations: 3,
+  },
+
+  setCv: function (cvModule) {
+    this.cv = cvModule;
+  },
+
+  getCv: function () {
+    const cvModule =
+      this.cv || (typeof globalThis !== 'undefined' ? globalThis.cv : undefined);
+    if (!cvModule || !cvModule.Mat) {
+      throw new Error('OpenCV not loaded');
+    }
+    return cvModule;
+  },
+
+  /**
+   * Segment the drape shadow.
+   *
+   * ctx: { src (RGBA Mat), gray, blurred (Gaussian 5×5 of gray),
+   *        disk: { x, y, radius } (px), fabricRadiusPx, ring (ring mask),
+   *        background (empty-tester Mat, same size; background method only) }
+   * options: { shift (fraction of the gray range the decision threshold is
+   *            moved by, for sensitivity tests; positive = more shadow),
+   *            band, otsuClasses, ... (see defaults) }
+   *
+   * Returns { mask (caller frees), method, thresholds (method-specific or
+   * null), thresholded (false when the method has no threshold to shift),
+   * score (plausibility, see score()), candidates (auto only:
+   * [{ method, score, error }]) }.
+   */
+  segment: function (method, ctx, options = {}) {
+    if (method === 'auto') return this.auto(ctx, options);
+
+    const strategy = this[method];
+    if (this.METHODS.indexOf(method) === -1 || typeof strategy !== 'function') {
+      throw new Error('Unknown segmentation method: ' + method);
+    }
+
+    const opts = Object.assign({}, this.defaults, options);
+    const raw = strategy.call(this, ctx, opts);
+    try {
+      const mask = this.largestRegion(raw.mask);
+      return {
+        mask: mask,
+        method: method,
+        thresholds: raw.thresholds || null,
+        thresholded: raw.thresholded !== false,
+        score: this.score(mask, ctx),
+      };
+    } finally {
+      raw.mask.delete();
+    }
+  },
+
+  // Run every applicable strategy and keep the most plausible shadow
+  auto: function (ctx, options = {}) {
+    const candidates = [];
+    let best = null;
+
+    this.METHODS.forEach((method) => {
+      if (method === 'background' && !ctx.background) return;
+      try {
+        const seg = this.segment(method, ctx, options);
+        candidates.push({ method: method, score: seg.score, error: null });
+        if (!best || seg.score > best.score) {
+          if (best) best.mask.delete();
+          best = seg;
+        } else {
+          seg.mask.delete();
+        }
+      } catch (e) {
+        candidates.push({ method: method, score: 0, error: e.message });
+      }
+    });
+
+    if (!best) throw new Error('No segmentation method found a drape shadow');
+    console.log('Auto segmentation:', best.method, candidates);
+    return Object.assign(best, { candidates: candidates });
+  },
+
+  // Morphological clean-up, then the largest region filled as the shadow
+  largestRegion: function (raw) {
+    const cv = this.getCv();
+    let work = raw.clone();
+    let kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(7, 7));
+    let contours = new cv.MatVector();
+    let hierarchy = new cv.Mat();
+
+    try {
+      cv.morphologyEx(work, work, cv.MORPH_CLOSE, kernel);
+      cv.morphologyEx(work, work, cv.MORPH_OPEN, kernel);
+      cv.findContours(work, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+      if (contours.size() === 0) {
+        throw new Error('No drape region detected');
+      }
+
+      let bestIdx = 0;
+      let bestArea = 0;
+      for (let i = 0; i < contours.size(); i++) {
+        let a = cv.contourArea(contours.get(i));
+        if (a > bestArea) {
+          bestArea = a;
+          bestIdx = i;
+        }
+      }
+
+      const mask = cv.Mat.zeros(raw.rows, raw.cols, cv.CV_8UC1);
+      cv.drawContours(mask, contours, bestIdx, new cv.Scalar(255), -1);
+      return mask;
+    } finally {
+      work.delete();
+      kernel.delete();
+      contours.delete();
+      hierarchy.delete();
+    }
+  },
+
+  /**
+   * Plausibility of a shadow mask as a drape around the disk, 0..1.
+   *
+   * Product of: the share of the mask inside the fabric circle (a shadow
+   * cannot reach past the flat fabric), the share of the disk rim it
+   * surrounds, the contrast between shadow and paper in the ring
+   * (|Δmean| / (σ1 + σ2), mapped to 0..1), and a penalty when the ring is
+   * almost empty or almost full.
+   */
+  score: function (mask, ctx) {
+    const cv = this.getCv();
+    const total = cv.countNonZero(mask);
+    if (total === 0) return 0;
+
+    let fabric = cv.Mat.zeros(mask.rows, mask.cols, cv.CV_8UC1);
+    let inside = new cv.Mat();
+    let paper = new cv.Mat();
+    let shadowInRing = new cv.Mat();
+    let mean1 = new cv.Mat();
+    let sd1 = new cv.Mat();
+    let mean0 = new cv.Mat();
+    let sd0 = new cv.Mat();
+
+    try {
+      const disk = ctx.disk;
+      cv.circle(
+        fabric,
+        new cv.Point(Math.round(disk.x), Math.round(disk.y)),
+        Math.round(ctx.fabricRadiusPx),
+        new cv.Scalar(255),
+        -1
+      );
+      cv.bitwise_and(mask, fabric, inside);
+      const insideShare = cv.countNonZero(inside) / total;
+
+      // Shadow just outside the disk rim, sampled every degree
+      const r = disk.radius + Math.max(3, (ctx.fabricRadiusPx - disk.radius) * 0.05);
+      let covered = 0;
+      let sampled = 0;
+      for (let deg = 0; deg < 360; deg++) {
+        const x = Math.round(disk.x + r * Math.cos((deg * Math.PI) / 180));
+        const y = Math.round(disk.y + r * Math.sin((deg * Math.PI) / 180));
+        if (x < 0 || y < 0 || x >= mask.cols || y >= mask.rows) continue;
+        sampled++;
+        if (mask.ucharAt(y, x) > 0) covered++;
+      }
+      const coverage = sampled > 0 ? covered / sampled : 0;
+
+      cv.bitwise_and(mask, ctx.ring, shadowInRing);
+      cv.bitwise_not(mask, paper);
+      cv.bitwise_and(paper, ctx.ring, paper);
+      const ringPx = cv.countNonZero(ctx.ring);
+      const shadowPx = cv.countNonZero(shadowInRing);
+      if (ringPx === 0 || shadowPx === 0 || shadowPx === ringPx) return 0;
+
+      cv.meanStdDev(ctx.gray, mean1, sd1, shadowInRing);
+      cv.meanStdDev(ctx.gray, mean0, sd0, paper);
+      const separation =
+        Math.abs(mean1.doubleAt(0, 0) - mean0.doubleAt(0, 0)) /
+        (sd1.doubleAt(0, 0) + sd0.doubleAt(0, 0) + 1);
+      const contrast = separation / (1 + separation);
+
+      const fill = shadowPx / ringPx;
+      const fillPenalty = fill > 0.02 && fill < 0.98 ? 1 : 0.2;
+
+      return insideShare * coverage * contrast * fillPenalty;
+    } finally {
+      fabric.delete();
+      inside.delete();
+      paper.delete();
+      shadowInRing.delete();
+      mean1.delete();
+      sd1.delete();
+      mean0.delete();
+      sd0.delete();
+    }
+  },
+
+  // Histogram (256 bins) of an 8-bit image, optionally inside a mask
+  histogram: function (image, mask) {
+    const hist = new Array(256).fill(0);
+    const data = image.data;
+    const maskData = mask ? mask.data : null;
+    for (let i = 0; i < data.length; i++) {
+      if (!maskData || maskData[i]) hist[data[i]]++;
+    }
+    return hist;
+  },
+
+  /**
+   * Multi-level Otsu thresholds of a 256-bin histogram (exhaustive search,
+   * 2 or 3 classes). Returns the classes − 1 thresholds, ascending; a value
+   * v belongs to class k when thresholds[k − 1] < v ≤ thresholds[k].
+   */
+  multiOtsu: function (hist, classes = 2) {
+    // Prefix sums of counts and first moments
+    const P = new Array(257).fill(0);
+    const S = new Array(257).fill(0);
+    for (let i = 0; i < 256; i++) {
+      P[i + 1] = P[i] + hist[i];
+      S[i + 1] = S[i] + i * hist[i];
+    }
+    // Between-class term of values a..b (inclusive)
+    const term = (a, b) => {
+      const w = P[b + 1] - P[a];
+      if (w === 0) return 0;
+      const s = S[b + 1] - S[a];
+      return (s * s) / w;
+    };
+
+    if (classes === 2) {
+      let best = -1;
+      let t = 0;
+      for (let i = 0; i < 255; i++) {
+        const v = term(0, i) + term(i + 1, 255);
+        if (v > best) {
+          best = v;
+          t = i;
+        }
+      }
+      return [t];
+    }
+    if (classes === 3) {
+      let best = -1;
+      let t = [0, 1];
+      for (let i = 0; i < 254; i++) {
+        const left = term(0, i);
+        for (let j = i + 1; j < 255; j++) {
+          const v = left + term(i + 1, j) + term(j + 1, 255);
+          if (v > best) {
+            best = v;
+            t = [i, j];
+          }
+        }
+      }
+      return t;
+    }
+    throw new Error('Multi-Otsu supports 2 or 3 classes');
+  },
+
+  // Pixels of blurred at or below a threshold (shadow is darker than paper)
+  thresholdBelow: function (blurred, threshold) {
+    const cv = this.getCv();
+    const mask = new cv.Mat();
+    cv.threshold(blurred, mask, threshold, 255, cv.THRESH_BINARY_INV);
+    return mask;
+  },
+
+  // Fixed band of the gray range: the original 35–58% rule
+  band: function (ctx, opts) {
+    const cv = this.getCv();
+    let lowerMask = new cv.Mat();
+    let upperMask = new cv.Mat();
+    const mask = new cv.Mat();
+
+    try {
+      const minMax = cv.minMaxLoc(ctx.gray);
+      const range = minMax.maxVal - minMax.minVal;
+      const shift = opts.shift || 0;
+      const lowerThresh = minMax.minVal + range * (opts.band.lower - shift);
+      const upperThresh = minMax.minVal + range * (opts.band.upper + shift);
+
+      cv.threshold(ctx.blurred, lowerMask, lowerThresh, 255, cv.THRESH_BINARY);
+      cv.threshold(ctx.blurred, upperMask, upperThresh, 255, cv.THRESH_BINARY_INV);
+      cv.bitwise_and(lowerMask, upperMask, mask);
+
+      return { mask: mask, thresholds: { lower: lowerThresh, upper: upperThresh } };
+    } finally {
+      lowerMask.delete();
+      upperMask.delete();
+    }
+  },
+
+  // Otsu on the ring histogram: shadow = every class but the brightest
+  otsu: function (ctx, opts) {
+    const hist = this.histogram(ctx.blurred, ctx.ring);
+    const levels = this.multiOtsu(hist, opts.otsuClasses);
+    const upper = levels[levels.length - 1] + (opts.shift || 0) * 255;
+    return {
+      mask: this.thresholdBelow(ctx.blurred, upper),
+      thresholds: { levels: levels, upper: upper },
+    };
+  },
+
+  // Two clusters in Lab colour fitted on ring pixels; the darker one is shadow
+  kmeans: function (ctx, opts) {
+    const cv = this.getCv();
+    let rgb = new cv.Mat();
+    let lab = new cv.Mat();
+    let samples = null;
+    let labels = new cv.Mat();
+    let centers = new cv.Mat();
+
+    try {
+      cv.cvtColor(ctx.src, rgb, cv.COLOR_RGBA2RGB, 0);
+      cv.cvtColor(rgb, lab, cv.COLOR_RGB2Lab, 0);
+
+      // Subsample the ring evenly
+      const ringData = ctx.ring.data;
+      const ringPx = cv.countNonZero(ctx.ring);
+      const stride = Math.max(1, Math.floor(ringPx / opts.kmeansSamples));
+      const values = [];
+      let seen = 0;
+      for (let i = 0; i < ringData.length; i++) {
+        if (!ringData[i]) continue;
+        if (seen++ % stride === 0) {
+          values.push(lab.data[i * 3], lab.data[i * 3 + 1], lab.data[i * 3 + 2]);
+        }
+      }
+      if (values.length < 6) throw new Error('Ring too small for k-means');
+
+      samples = cv.matFromArray(values.length / 3, 3, cv.CV_32F, values);
+      const criteria = new cv.TermCriteria(cv.TermCriteria_EPS + cv.TermCriteria_MAX_ITER, 20, 0.5);
+      cv.kmeans(samples, 2, labels, criteria, 3, cv.KMEANS_PP_CENTERS, centers);
+
+      const c = [0, 1].map((k) => [0, 1, 2].map((j) => centers.floatAt(k, j)));
+      const shadow = c[0][0] <= c[1][0] ? c[0] : c[1];
+      const paper = shadow === c[0] ? c[1] : c[0];
+
+      // Nearest centre, with the boundary moved along the centre line by shift
+      const dir = shadow.map((v, j) => paper[j] - v);
+      const gap = Math.hypot(dir[0], dir[1], dir[2]);
+      const bias = 2 * (opts.shift || 0) * 255 * gap;
+      const mask = cv.Mat.zeros(lab.rows, lab.cols, cv.CV_8UC1);
+      const d = lab.data;
+      for (let i = 0, p = 0; p < mask.data.length; i += 3, p++) {
+        let ds = 0;
+        let dp = 0;
+        for (let j = 0; j < 3; j++) {
+          ds += (d[i + j] - shadow[j]) * (d[i + j] - shadow[j]);
+          dp += (d[i + j] - paper[j]) * (d[i + j] - paper[j]);
+        }
+        if (ds - dp < bias) mask.data[p] = 255;
+      }
+
+      return { mask: mask, thresholds: { shadowLab: shadow, paperLab: paper } };
+    } finally {
+      rgb.delete();
+      lab.delete();
+      if (samples) samples.delete();
+      labels.delete();
+      centers.delete();
+    }
+  },
+
+  // Darkening against a shot of the empty tester, Otsu on the ring difference
+  background: function (ctx, opts) {
+    const cv = this.getCv();
+    const bg = ctx.background;
+    if (!bg) throw new Error('Background subtraction needs an empty-tester image');
+    if (bg.rows !== ctx.gray.rows || bg.cols !== ctx.gray.cols) {
+      throw new Error('Background image size does not match the capture');
+    }
+
+    let bgGray = new cv.Mat();
+    let diff = new cv.Mat();
+
+    try {
+      if (bg.channels() === 1) {
+        bg.copyTo(bgGray);
+      } else {
+        cv.cvtColor(bg, bgGray, cv.COLOR_RGBA2GRAY, 0);
+      }
+      cv.GaussianBlur(bgGray, bgGray, new cv.Size(5, 5), 1.5, 1.5);
+      cv.subtract(bgGray, ctx.blurred, diff); // saturates: only darkening remains
+
+      const level = this.multiOtsu(this.histogram(diff, ctx.ring), 2)[0];
+      const threshold = Math.max(0, level - (opts.shift || 0) * 255);
+      const mask = new cv.Mat();
+      cv.threshold(diff, mask, threshold, 255, cv.THRESH_BINARY);
+      return { mask: mask, thresholds: { difference: threshold } };
+    } finally {
+      bgGray.delete();
+      diff.delete();
+    }
+  },
+
+  // GrabCut seeded by the disk: disk = fabric, fabric circle = probably
+  // fabric, a margin beyond = probably paper, the rest = paper. Runs on a
+  // downscaled copy; there is no threshold to shift.
+  grabcut: function (ctx, opts) {
+    const cv = this.getCv();
+    const f = Math.min(1, opts.grabcutSize / Math.max(ctx.src.rows, ctx.src.cols));
+    const size = new cv.Size(Math.round(ctx.src.cols * f), Math.round(ctx.src.rows * f));
+    let rgb = new cv.Mat();
+    let small = new cv.Mat();
+    let gcMask = null;
+    let bgdModel = new cv.Mat();
+    let fgdModel = new cv.Mat();
+
+    try {
+      cv.cvtColor(ctx.src, rgb, cv.COLOR_RGBA2RGB, 0);
+      cv.resize(rgb, small, size, 0, 0, cv.INTER_AREA);
+
+      const center = new cv.Point(Math.round(ctx.disk.x * f), Math.round(ctx.disk.y * f));
+      gcMask = new cv.Mat(size.height, size.width, cv.CV_8UC1, new cv.Scalar(cv.GC_BGD));
+      cv.circle(gcMask, center, Math.round(ctx.fabricRadiusPx * 1.08 * f), new cv.Scalar(cv.GC_PR_BGD), -1);
+      cv.circle(gcMask, center, Math.round(ctx.fabricRadiusPx * f), new cv.Scalar(cv.GC_PR_FGD), -1);
+      cv.circle(gcMask, center, Math.round(ctx.disk.radius * 0.9 * f), new cv.Scalar(cv.GC_FGD), -1);
+
+      cv.grabCut(
+        small,
+        gcMask,
+        new cv.Rect(0, 0, 1, 1),
+        bgdModel,
+        fgdModel,
+        opts.grabcutIterations,
+        cv.GC_INIT_WITH_MASK
+      );
+
+      for (let i = 0; i < gcMask.data.length; i++) {
+        const v = gcMask.data[i];
+        gcMask.data[i] = v === cv.GC_FGD || v === cv.GC_PR_FGD ? 255 : 0;
+      }
+      const mask = new cv.Mat();
+      cv.resize(gcMask, mask, new cv.Size(ctx.src.cols, ctx.src.rows), 0, 0, cv.INTER_NEAREST);
+      return { mask: mask, thresholds: null, thresholded: false };
+    } finally {
+      rgb.delete();
+      small.delete();
+      if (gcMask) gcMask.delete();
+      bgdModel.delete();
+      fgdModel.delete();
+    }
+  },
+};
+
+// Export segmentation strategies (CommonJS under Node, global in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShadowSegmentation;
+} else {
+  window.ShadowSegmentation = ShadowSegmentation;
+}
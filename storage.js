@@ -0,0 +1,361 @@
+// Persistent storage for the Drape Calculator
+// Measurements are kept in IndexedDB so the history survives page reloads.
+const HistoryStore = {
+  DB_NAME: 'drape-calculator',
+  DB_VERSION: 2,
+  STORE_NAME: 'measurements',
+  // Analysed image of each measurement (PNG Blob keyed by measurement id,
+  // JPEG for older ones), kept apart so listing the history does not load
+  // every image
+  IMAGE_STORE: 'images',
+
+  // Layout version of a measurement record. Bump this and add a step to
+  // `migrations` whenever the shape of a stored record changes.
+  SCHEMA_VERSION: 16,
+
+  // migrations[n] upgrades a record from schema version n to n + 1
+  migrations: {
+    // v2: measurements belong to a sample (replicate group) and side
+    1: function (record) {
+      return Object.assign({}, record, { sampleId: null, side: null });
+    },
+    // v3: node (fold) summary of the shadow outline
+    2: function (record) {
+      return Object.assign({}, record, { nodes: null });
+    },
+    // v4: Fourier shape descriptors of the drape profile
+    3: function (record) {
+      return Object.assign({}, record, { harmonics: null });
+    },
+    // v5: perspective correction applied before measuring
+    4: function (record) {
+      return Object.assign({}, record, { rectification: null });
+    },
+    // v6: printed calibration target used as the scale reference
+    5: function (record) {
+      return Object.assign({}, record, { calibration: null });
+    },
+    // v7: uncertainty estimate of the drape coefficient
+    6: function (record) {
+      return Object.assign({}, record, { uncertainty: null });
+    },
+    // v8: shadow segmentation strategy used
+    7: function (record) {
+      return Object.assign({}, record, { segmentation: null });
+    },
+    // v9: manual edits of the shadow mask
+    8: function (record) {
+      return Object.assign({}, record, { maskEdit: null });
+    },
+    // v10: disk and fabric circles adjusted by hand
+    9: function (record) {
+      return Object.assign({}, record, { circles: null });
+    },
+    // v11: how the image was captured (burst averaging)
+    10: function (record) {
+      return Object.assign({}, record, { capture: null });
+    },
+    // v12: capture also records the camera settings; the burst summary
+    // moves to capture.burst
+    11: function (record) {
+      const capture = record.capture;
+      return Object.assign({}, record, {
+        capture:
+          capture && !('burst' in capture) ? { camera: null, burst: capture } : capture,
+      });
+    },
+    // v13: lens distortion profile applied before measuring
+    12: function (record) {
+      return Object.assign({}, record, { lens: null });
+    },
+    // v14: detected circles and thresholds, and the app version that measured
+    13: function (record) {
+      return Object.assign({}, record, { detection: null, appVersion: null });
+    },
+    // v15: sample metadata (fabric, composition, GSM, specimen, operator, notes)
+    14: function (record) {
+      return Object.assign({}, record, { metadata: null });
+    },
+    // v16: lens records whether the profile was applied (stored profiles were)
+    15: function (record) {
+      return Object.assign({}, record, {
+        lens: record.lens ? Object.assign({ applied: true }, record.lens) : record.lens,
+      });
+    },
+  },
+
+  db: null,
+
+  isSupported: function () {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  // Open (and create/upgrade) the database, reusing the connection
+  open: function () {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      if (!this.isSupported()) {
+        reject(new Error('IndexedDB not supported in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = (e) => {
+        const db = e.target.result;
+        if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+          const store = db.createObjectStore(this.STORE_NAME, {
+            keyPath: 'id',
+            autoIncrement: true,
+          });
+          store.createIndex('time', 'time', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(this.IMAGE_STORE)) {
+          db.createObjectStore(this.IMAGE_STORE);
+        }
+      };
+
+      request.onsuccess = (e) => {
+        this.db = e.target.result;
+        resolve(this.db);
+      };
+
+      request.onerror = (e) => {
+        console.error('IndexedDB open error:', e.target.error);
+        reject(new Error('Failed to open measurement database'));
+      };
+    });
+  },
+
+  // Run a single request inside a transaction and resolve with its result
+  _request: function (mode, makeRequest, storeName = this.STORE_NAME) {
+    return this.open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(storeName, mode);
+          const request = makeRequest(tx.objectStore(storeName));
+          let result;
+          request.onsuccess = () => {
+            result = request.result;
+          };
+          tx.oncomplete = () => resolve(result);
+          tx.onerror = () => reject(tx.error || request.error);
+          tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        })
+    );
+  },
+
+  // Bring a record written by an older schema up to SCHEMA_VERSION
+  migrateRecord: function (record) {
+    let version = record.schemaVersion || 1;
+    while (version < this.SCHEMA_VERSION) {
+      const step = this.migrations[version];
+      if (!step) {
+        throw new Error(`No migration from schema version ${version}`);
+      }
+      record = step(record);
+      version += 1;
+      record.schemaVersion = version;
+    }
+    return record;
+  },
+
+  // Save a measurement record and resolve with its generated id
+  add: function (record) {
+    const stored = Object.assign({}, record, {
+      schemaVersion: this.SCHEMA_VERSION,
+    });
+    delete stored.id;
+    return this._request('readwrite', (store) => store.add(stored));
+  },
+
+  // Overwrite an existing record (must carry its id)
+  put: function (record) {
+    const stored = Object.assign({}, record, {
+      schemaVersion: this.SCHEMA_VERSION,
+    });
+    return this._request('readwrite', (store) => store.put(stored));
+  },
+
+  get: function (id) {
+    return this._request('readonly', (store) => store.get(id)).then(
+      (record) => (record ? this.migrateRecord(record) : null)
+    );
+  },
+
+  // All records, oldest first. Records from older schemas are migrated
+  // and written back so the upgrade only happens once.
+  getAll: function () {
+    return this._request('readonly', (store) =>
+      store.index('time').getAll()
+    ).then((records) => {
+      const upgraded = [];
+      const migrated = records.map((record) => {
+        if ((record.schemaVersion || 1) < this.SCHEMA_VERSION) {
+          const next = this.migrateRecord(record);
+          upgraded.push(next);
+          return next;
+        }
+        return record;
+      });
+
+      upgraded.forEach((record) => {
+        this.put(record).catch((err) =>
+          console.warn('Could not persist migrated record:', record.id, err)
+        );
+      });
+
+      return migrated;
+    });
+  },
+
+  // Delete a record together with its stored image
+  delete: function (id) {
+    return this._request('readwrite', (store) => store.delete(id)).then(() =>
+      this.deleteImage(id)
+    );
+  },
+
+  clear: function () {
+    return this._request('readwrite', (store) => store.clear()).then(() =>
+      this._request('readwrite', (store) => store.clear(), this.IMAGE_STORE)
+    );
+  },
+
+  // Analysed image (Blob) of a measurement, or null when none was kept
+  getImage: function (id) {
+    return this._request('readonly', (store) => store.get(id), this.IMAGE_STORE).then(
+      (blob) => blob || null
+    );
+  },
+
+  putImage: function (id, blob) {
+    return this._request('readwrite', (store) => store.put(blob, id), this.IMAGE_STORE);
+  },
+
+  deleteImage: function (id) {
+    return this._request('readwrite', (store) => store.delete(id), this.IMAGE_STORE);
+  },
+};
+
+// Camera choices (resolution, locks) and lens profiles per device. They are small and read
+// before the camera starts, so they live in localStorage.
+const CameraSettingsStore = {
+  PREFIX: 'drape-calculator.camera.',
+  LAST_DEVICE_KEY: 'drape-calculator.camera-device',
+  LENS_PREFIX: 'drape-calculator.lens.',
+
+  _get: function (key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (e) {
+      return null; // storage disabled (private mode)
+    }
+  },
+
+  _set: function (key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (e) {
+      console.warn('Could not store camera settings:', e);
+    }
+  },
+
+  // Settings saved for a device ({ resolution, locks }), or defaults
+  load: function (deviceId) {
+    const defaults = { resolution: null, locks: {} };
+    const raw = this._get(this.PREFIX + (deviceId || 'default'));
+    if (!raw) return defaults;
+    try {
+      return Object.assign(defaults, JSON.parse(raw));
+    } catch (e) {
+      return defaults;
+    }
+  },
+
+  save: function (deviceId, settings) {
+    this._set(
+      this.PREFIX + (deviceId || 'default'),
+      JSON.stringify({ resolution: settings.resolution, locks: settings.locks })
+    );
+  },
+
+  // Lens profile (lens.js) of a device, or null
+  loadLensProfile: function (deviceId) {
+    const raw = this._get(this.LENS_PREFIX + (deviceId || 'default'));
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return null;
+    }
+  },
+
+  saveLensProfile: function (deviceId, profile) {
+    this._set(this.LENS_PREFIX + (deviceId || 'default'), JSON.stringify(profile));
+  },
+
+  clearLensProfile: function (deviceId) {
+    try {
+      localStorage.removeItem(this.LENS_PREFIX + (deviceId || 'default'));
+    } catch (e) {
+      // storage disabled (private mode)
+    }
+  },
+
+  lastDevice: function () {
+    return this._get(this.LAST_DEVICE_KEY) || null;
+  },
+
+  setLastDevice: function (deviceId) {
+    if (deviceId) this._set(this.LAST_DEVICE_KEY, deviceId);
+  },
+};
+
+// Report header, method text and signatories (the logo is a small JPEG data URL)
+const ReportSettingsStore = {
+  KEY: 'drape-calculator.report',
+
+  DEFAULTS: {
+    title: 'Drape Test Report',
+    labName: '',
+    labAddress: '',
+    method:
+      'Drape coefficient by image analysis: the specimen is draped over the support disk, ' +
+      'photographed from above, and the shadow area within the specimen ring is measured ' +
+      'against a reference of known size.',
+    testedBy: '',
+    approvedBy: '',
+    pageSize: 'a4',
+    logo: null, // { dataURL, width, height }
+  },
+
+  load: function () {
+    let raw = null;
+    try {
+      raw = localStorage.getItem(this.KEY);
+    } catch (e) {
+      // storage disabled (private mode)
+    }
+    if (!raw) return Object.assign({}, this.DEFAULTS);
+    try {
+      return Object.assign({}, this.DEFAULTS, JSON.parse(raw));
+    } catch (e) {
+      return Object.assign({}, this.DEFAULTS);
+    }
+  },
+
+  save: function (settings) {
+    try {
+      localStorage.setItem(this.KEY, JSON.stringify(settings));
+    } catch (e) {
+      console.warn('Could not store report settings:', e);
+    }
+  },
+};
+
+// Export storage
+window.HistoryStore = HistoryStore;
+window.CameraSettingsStore = CameraSettingsStore;
+window.ReportSettingsStore = ReportSettingsStore;
@@ -0,0 +1,224 @@
+// Calibration target generator (target.html)
+// The page is described once in cm (pageLayout) and rendered either to PDF
+// (vector, exact size) or to a canvas for the preview and the PNG download.
+
+const PAPER_SIZES_CM = {
+  a4: { width: 21.0, height: 29.7 },
+  letter: { width: 21.59, height: 27.94 },
+};
+
+const PNG_DPI = 300;
+
+// Read the layout fields; URL parameters from the calculator prefill them
+function readTargetSpec() {
+  const read = (id) => parseFloat(document.getElementById(id).value);
+  return {
+    rows: Math.round(read('targetRows')),
+    cols: Math.round(read('targetCols')),
+    squareSize: read('targetSquare'),
+    pitch: read('targetPitch'),
+  };
+}
+
+function applyUrlParams() {
+  const params = new URLSearchParams(window.location.search);
+  const fields = { rows: 'targetRows', cols: 'targetCols', square: 'targetSquare', pitch: 'targetPitch' };
+  Object.keys(fields).forEach((key) => {
+    if (params.has(key)) document.getElementById(fields[key]).value = params.get(key);
+  });
+}
+
+// Everything printed on the page, in cm from the top-left corner:
+// [{ type: 'rect', x, y, w, h } | { type: 'line', x1, y1, x2, y2 } |
+//  { type: 'text', x, y, text, size (pt), bold }]
+function pageLayout(spec, paper) {
+  const size = CalibrationTarget.size(spec);
+  const margin = 1.5;
+  if (size.width > paper.width - 2 * margin || size.height > paper.height - 10) {
+    throw new Error('Target does not fit on the page. Use fewer or smaller squares.');
+  }
+
+  const items = [];
+  const x0 = (paper.width - size.width) / 2;
+  const y0 = 4;
+
+  items.push({ type: 'text', x: margin, y: 2, text: 'Drape Calculator - calibration target', size: 14, bold: true });
+  items.push({
+    type: 'text',
+    x: margin,
+    y: 2.7,
+    text:
+      `${spec.rows} × ${spec.cols} squares, ${spec.squareSize} cm squares, ` +
+      `${spec.pitch} cm pitch (${size.width.toFixed(2)} × ${size.height.toFixed(2)} cm)`,
+    size: 10,
+  });
+
+  CalibrationTarget.layout(spec).forEach((sq) => {
+    const tl = sq.corners[0];
+    items.push({ type: 'rect', x: x0 + tl.x, y: y0 + tl.y, w: spec.squareSize, h: spec.squareSize });
+  });
+
+  // 10 cm check bar with 1 cm ticks
+  const barY = y0 + size.height + 2;
+  const barX = (paper.width - 10) / 2;
+  items.push({ type: 'line', x1: barX, y1: barY, x2: barX + 10, y2: barY });
+  for (let cm = 0; cm <= 10; cm++) {
+    const tick = cm % 5 === 0 ? 0.5 : 0.3;
+    items.push({ type: 'line', x1: barX + cm, y1: barY, x2: barX + cm, y2: barY - tick });
+  }
+  items.push({
+    type: 'text',
+    x: barX,
+    y: barY + 0.7,
+    text: 'This bar must measure exactly 10 cm. Print at 100% scale.',
+    size: 9,
+  });
+  items.push({
+    type: 'text',
+    x: margin,
+    y: paper.height - margin,
+    text: 'Keep the target flat, next to the tester, at the height of the fabric.',
+    size: 9,
+  });
+
+  return items;
+}
+
+function buildTargetPdf(spec, paperKey) {
+  const paper = PAPER_SIZES_CM[paperKey];
+  const items = pageLayout(spec, paper);
+  const cm = PdfWriter.CM;
+  const doc = PdfWriter.createDocument();
+  PdfWriter.addPage(doc, paper.width * cm, paper.height * cm);
+
+  items.forEach((item) => {
+    if (item.type === 'rect') {
+      PdfWriter.fillRect(doc, item.x * cm, item.y * cm, item.w * cm, item.h * cm, 0);
+    } else if (item.type === 'line') {
+      PdfWriter.line(doc, item.x1 * cm, item.y1 * cm, item.x2 * cm, item.y2 * cm, 0.75);
+    } else if (item.type === 'text') {
+      PdfWriter.text(doc, item.x * cm, item.y * cm, item.text, item.size, { bold: item.bold });
+    }
+  });
+
+  return PdfWriter.toBlob(doc);
+}
+
+// Render the page onto a canvas at the given pixels per cm
+function drawTargetPage(canvas, spec, paperKey, pxPerCm) {
+  const paper = PAPER_SIZES_CM[paperKey];
+  const items = pageLayout(spec, paper);
+
+  canvas.width = Math.round(paper.width * pxPerCm);
+  canvas.height = Math.round(paper.height * pxPerCm);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = 'black';
+  ctx.strokeStyle = 'black';
+  ctx.lineWidth = Math.max(1, pxPerCm * 0.026); // 0.75 pt
+
+  const ptToPx = pxPerCm / PdfWriter.CM;
+  items.forEach((item) => {
+    if (item.type === 'rect') {
+      ctx.fillRect(item.x * pxPerCm, item.y * pxPerCm, item.w * pxPerCm, item.h * pxPerCm);
+    } else if (item.type === 'line') {
+      ctx.beginPath();
+      ctx.moveTo(item.x1 * pxPerCm, item.y1 * pxPerCm);
+      ctx.lineTo(item.x2 * pxPerCm, item.y2 * pxPerCm);
+      ctx.stroke();
+    } else if (item.type === 'text') {
+      ctx.font = `${item.bold ? 'bold ' : ''}${item.size * ptToPx}px Helvetica, Arial, sans-serif`;
+      ctx.fillText(item.text, item.x * pxPerCm, item.y * pxPerCm);
+    }
+  });
+}
+
+// CRC-32 as used by PNG chunks
+function crc32(bytes) {
+  let crc = -1;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// Insert a pHYs chunk after IHDR so the PNG prints at its physical size
+function setPngDpi(pngBytes, dpi) {
+  const ppm = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  const ihdrEnd = 8 + 25; // signature + IHDR chunk
+  const out = new Uint8Array(pngBytes.length + chunk.length);
+  out.set(pngBytes.subarray(0, ihdrEnd), 0);
+  out.set(chunk, ihdrEnd);
+  out.set(pngBytes.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return out;
+}
+
+function targetFileName(spec, ext) {
+  return `drape-target-${spec.rows}x${spec.cols}-${spec.squareSize}cm.${ext}`;
+}
+
+function showTargetError(message) {
+  document.getElementById('targetError').textContent = message || '';
+  document.getElementById('downloadPdf').disabled = !!message;
+  document.getElementById('downloadPng').disabled = !!message;
+}
+
+function updatePreview() {
+  const canvas = document.getElementById('targetPreview');
+  try {
+    const spec = CalibrationTarget.normalizeSpec(readTargetSpec());
+    drawTargetPage(canvas, spec, document.getElementById('targetPaper').value, 20);
+    showTargetError(null);
+  } catch (error) {
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    showTargetError(error.message);
+  }
+}
+
+function downloadPdf() {
+  try {
+    const spec = CalibrationTarget.normalizeSpec(readTargetSpec());
+    const blob = buildTargetPdf(spec, document.getElementById('targetPaper').value);
+    FileUtils.saveBlob(blob, targetFileName(spec, 'pdf'));
+  } catch (error) {
+    UIUtils.showToast('Could not create PDF: ' + error.message, 'error');
+  }
+}
+
+function downloadPng() {
+  try {
+    const spec = CalibrationTarget.normalizeSpec(readTargetSpec());
+    const canvas = document.createElement('canvas');
+    drawTargetPage(canvas, spec, document.getElementById('targetPaper').value, PNG_DPI / 2.54);
+    canvas.toBlob(async (blob) => {
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      FileUtils.saveBlob(
+        new Blob([setPngDpi(bytes, PNG_DPI)], { type: 'image/png' }),
+        targetFileName(spec, 'png')
+      );
+    }, 'image/png');
+  } catch (error) {
+    UIUtils.showToast('Could not create PNG: ' + error.message, 'error');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', function () {
+  applyUrlParams();
+  ['targetRows', 'targetCols', 'targetSquare', 'targetPitch', 'targetPaper'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', updatePreview);
+  });
+  document.getElementById('downloadPdf').addEventListener('click', downloadPdf);
+  document.getElementById('downloadPng').addEventListener('click', downloadPng);
+  updatePreview();
+});
@@ -0,0 +1,509 @@
+// Printed calibration target for the Drape Calculator
+// The target is a grid of black squares of known size and pitch. Every
+// square centre is a reference point, so the scale comes from dozens of
+// points instead of one coin rim. Detection needs OpenCV; the layout and
+// the geometry (homography, distortion fit) are plain math, so target.html
+// can draw the target without OpenCV.
+//
+//   CalibrationTarget.setCv(cv);
+//   const cal = CalibrationTarget.detect(mat, { rows: 5, cols: 7, squareSize: 1.5, pitch: 2.5 });
+//   cal.pxPerCm, cal.reprojectionError, cal.distortion.k1
+const CalibrationTarget = {
+  // OpenCV module; falls back to the global `cv` loaded by the page
+  cv: null,
+
+  // Default target: 5 × 7 squares of 1.5 cm on a 2.5 cm pitch (16.5 × 11.5 cm)
+  defaults: {
+    rows: 5,
+    cols: 7,
+    squareSize: 1.5, // cm
+    pitch: 2.5, // cm, square to square
+  },
+
+  setCv: function (cvModule) {
+    this.cv = cvModule;
+  },
+
+  getCv: function () {
+    const cvModule =
+      this.cv || (typeof globalThis !== 'undefined' ? globalThis.cv : undefined);
+    if (!cvModule || !cvModule.Mat) {
+      throw new Error('OpenCV not loaded');
+    }
+    return cvModule;
+  },
+
+  // Fill in and check a target spec
+  normalizeSpec: function (spec) {
+    const s = Object.assign({}, this.defaults, spec);
+    if (!(s.rows >= 2 && s.cols >= 2)) {
+      throw new Error('Target needs at least 2 × 2 squares');
+    }
+    if (!(s.squareSize > 0) || !(s.pitch > s.squareSize)) {
+      throw new Error('Target pitch must be larger than the square size');
+    }
+    return s;
+  },
+
+  // Overall printed size (cm) of a target
+  size: function (spec) {
+    const s = this.normalizeSpec(spec);
+    return {
+      width: (s.cols - 1) * s.pitch + s.squareSize,
+      height: (s.rows - 1) * s.pitch + s.squareSize,
+    };
+  },
+
+  // Squares of a target in target coordinates (cm, origin at the top-left
+  // corner of the first square): [{ row, col, corners: [TL, TR, BR, BL] }]
+  layout: function (spec) {
+    const s = this.normalizeSpec(spec);
+    const squares = [];
+    for (let row = 0; row < s.rows; row++) {
+      for (let col = 0; col < s.cols; col++) {
+        const x = col * s.pitch;
+        const y = row * s.pitch;
+        squares.push({
+          row: row,
+          col: col,
+          corners: [
+            { x: x, y: y },
+            { x: x + s.squareSize, y: y },
+            { x: x + s.squareSize, y: y + s.squareSize },
+            { x: x, y: y + s.squareSize },
+          ],
+        });
+      }
+    }
+    return squares;
+  },
+
+  // Homography (row-major 3x3, h[8] = 1) mapping src points onto dst points,
+  // by normalised least-squares DLT. Needs at least four correspondences.
+  fitHomography: function (src, dst) {
+    if (src.length < 4 || src.length !== dst.length) {
+      throw new Error('At least four point pairs are needed for a homography');
+    }
+
+    // Hartley normalisation: centroid at 0, mean distance √2
+    const normalizer = (pts) => {
+      const cx = pts.reduce((s, p) => s + p.x, 0) / pts.length;
+      const cy = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+      const d = pts.reduce((s, p) => s + Math.hypot(p.x - cx, p.y - cy), 0) / pts.length;
+      const k = d > 0 ? Math.SQRT2 / d : 1;
+      return { k: k, cx: cx, cy: cy, apply: (p) => ({ x: (p.x - cx) * k, y: (p.y - cy) * k }) };
+    };
+    const ns = normalizer(src);
+    const nd = normalizer(dst);
+
+    // Normal equations AᵀA h = Aᵀb for the 8 unknowns
+    const ata = Array.from({ length: 8 }, () => new Array(8).fill(0));
+    const atb = new Array(8).fill(0);
+    const accumulate = (row, b) => {
+      for (let i = 0; i < 8; i++) {
+        atb[i] += row[i] * b;
+        for (let j = 0; j < 8; j++) ata[i][j] += row[i] * row[j];
+      }
+    };
+    src.forEach((p, i) => {
+      const a = ns.apply(p);
+      const b = nd.apply(dst[i]);
+      accumulate([a.x, a.y, 1, 0, 0, 0, -a.x * b.x, -a.y * b.x], b.x);
+      accumulate([0, 0, 0, a.x, a.y, 1, -a.x * b.y, -a.y * b.y], b.y);
+    });
+    const h = this.solveLinear(ata, atb);
+    if (!h) throw new Error('Degenerate point layout for a homography');
+
+    // Undo the normalisation: H = Nd⁻¹ · Hn · Ns
+    const Hn = [h[0], h[1], h[2], h[3], h[4], h[5], h[6], h[7], 1];
+    const Ns = [ns.k, 0, -ns.k * ns.cx, 0, ns.k, -ns.k * ns.cy, 0, 0, 1];
+    const NdInv = [1 / nd.k, 0, nd.cx, 0, 1 / nd.k, nd.cy, 0, 0, 1];
+    const H = this.multiply3(NdInv, this.multiply3(Hn, Ns));
+    return H.map((v) => v / H[8]);
+  },
+
+  multiply3: function (A, B) {
+    const C = new Array(9).fill(0);
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) {
+        for (let k = 0; k < 3; k++) C[r * 3 + c] += A[r * 3 + k] * B[k * 3 + c];
+      }
+    }
+    return C;
+  },
+
+  // Gaussian elimination with partial pivoting; null when singular
+  solveLinear: function (A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => row.concat([b[i]]));
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+      }
+      if (Math.abs(M[pivot][col]) < 1e-12) return null;
+      [M[col], M[pivot]] = [M[pivot], M[col]];
+      for (let r = 0; r < n; r++) {
+        if (r === col) continue;
+        const f = M[r][col] / M[col][col];
+        for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+      }
+    }
+    return M.map((row, i) => row[n] / row[i]);
+  },
+
+  project: function (H, p) {
+    const w = H[6] * p.x + H[7] * p.y + H[8];
+    return {
+      x: (H[0] * p.x + H[1] * p.y + H[2]) / w,
+      y: (H[3] * p.x + H[4] * p.y + H[5]) / w,
+    };
+  },
+
+  // RMS distance (px) between detected image points and projected target points
+  reprojectionRms: function (H, objectPoints, imagePoints) {
+    let sum = 0;
+    objectPoints.forEach((p, i) => {
+      const q = this.project(H, p);
+      sum += (q.x - imagePoints[i].x) ** 2 + (q.y - imagePoints[i].y) ** 2;
+    });
+    return Math.sqrt(sum / objectPoints.length);
+  },
+
+  // Local scale (px per target unit) of H at a target point: √|det J|
+  localScale: function (H, p) {
+    const w = H[6] * p.x + H[7] * p.y + H[8];
+    const q = this.project(H, p);
+    const j00 = (H[0] - q.x * H[6]) / w;
+    const j01 = (H[1] - q.x * H[7]) / w;
+    const j10 = (H[3] - q.y * H[6]) / w;
+    const j11 = (H[4] - q.y * H[7]) / w;
+    return Math.sqrt(Math.abs(j00 * j11 - j01 * j10));
+  },
+
+  // One-parameter division model about the image centre:
+  // p_u = c + (p_d − c) / (1 + k1·r²), r normalised by the half diagonal.
+  undistortPoint: function (p, k1, width, height) {
+    const cx = width / 2;
+    const cy = height / 2;
+    const R = Math.hypot(cx, cy);
+    const dx = p.x - cx;
+    const dy = p.y - cy;
+    const s = 1 + k1 * ((dx * dx + dy * dy) / (R * R));
+    return { x: cx + dx / s, y: cy + dy / s };
+  },
+
+  /**
+   * Estimate radial lens distortion from one view of the planar target.
+   *
+   * A flat grid must map through a pure homography; the k1 that makes the
+   * undistorted corners fit one best is taken as the estimate (golden-section
+   * search over −0.5…0.5). With the target covering only part of the frame
+   * this is a rough figure — use the lens calibration for correction.
+   *
+   * Returns { k1, rmsBefore, rmsAfter (px), edgeShiftPercent (radial shift
+   * at the image corner, %) }.
+   */
+  estimateDistortion: function (objectPoints, imagePoints, width, height) {
+    const rmsFor = (k1) => {
+      const undistorted = imagePoints.map((p) => this.undistortPoint(p, k1, width, height));
+      const H = this.fitHomography(objectPoints, undistorted);
+      return this.reprojectionRms(H, objectPoints, undistorted);
+    };
+
+    let lo = -0.5;
+    let hi = 0.5;
+    const g = (Math.sqrt(5) - 1) / 2;
+    let a = hi - g * (hi - lo);
+    let b = lo + g * (hi - lo);
+    let fa = rmsFor(a);
+    let fb = rmsFor(b);
+    for (let i = 0; i < 40; i++) {
+      if (fa < fb) {
+        hi = b;
+        b = a;
+        fb = fa;
+        a = hi - g * (hi - lo);
+        fa = rmsFor(a);
+      } else {
+        lo = a;
+        a = b;
+        fa = fb;
+        b = lo + g * (hi - lo);
+        fb = rmsFor(b);
+      }
+    }
+
+    const k1 = (lo + hi) / 2;
+    return {
+      k1: k1,
+      rmsBefore: rmsFor(0),
+      rmsAfter: rmsFor(k1),
+      edgeShiftPercent: (1 / (1 + k1) - 1) * 100,
+    };
+  },
+
+  // Dark square-ish quadrilaterals in a grayscale image:
+  // [{ center (centroid), corners (4, unordered), area }]
+  findSquares: function (gray) {
+    const cv = this.getCv();
+    let binary = new cv.Mat();
+    let contours = new cv.MatVector();
+    let hierarchy = new cv.Mat();
+    const squares = [];
+
+    try {
+      // Large window so paper shading is flattened but squares stay solid
+      let block = Math.round(Math.min(gray.rows, gray.cols) / 8) | 1;
+      block = Math.max(block, 31);
+      cv.adaptiveThreshold(
+        gray,
+        binary,
+        255,
+        cv.ADAPTIVE_THRESH_MEAN_C,
+        cv.THRESH_BINARY_INV,
+        block,
+        15
+      );
+      cv.findContours(binary, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+      for (let i = 0; i < contours.size(); i++) {
+        const contour = contours.get(i);
+        const area = cv.contourArea(contour);
+        if (area < 64) continue;
+
+        let approx = new cv.Mat();
+        cv.approxPolyDP(contour, approx, cv.arcLength(contour, true) * 0.04, true);
+        if (approx.rows === 4 && cv.isContourConvex(approx)) {
+          const corners = [];
+          for (let k = 0; k < 4; k++) {
+            corners.push({ x: approx.data32S[k * 2], y: approx.data32S[k * 2 + 1] });
+          }
+          const sides = corners.map((p, k) => {
+            const q = corners[(k + 1) % 4];
+            return Math.hypot(q.x - p.x, q.y - p.y);
+          });
+          const ratio = Math.max.apply(null, sides) / Math.min.apply(null, sides);
+          if (ratio < 1.6) {
+            const m = cv.moments(contour, false);
+            squares.push({
+              center: { x: m.m10 / m.m00, y: m.m01 / m.m00 },
+              corners: corners,
+              area: area,
+            });
+          }
+        }
+        approx.delete();
+      }
+    } finally {
+      binary.delete();
+      contours.delete();
+      hierarchy.delete();
+    }
+
+    // A hollow square yields an inner and outer outline; keep the outer one
+    squares.sort((a, b) => b.area - a.area);
+    const unique = [];
+    squares.forEach((sq) => {
+      const side = Math.sqrt(sq.area);
+      const dup = unique.some(
+        (u) => Math.hypot(u.center.x - sq.center.x, u.center.y - sq.center.y) < side * 0.5
+      );
+      if (!dup) unique.push(sq);
+    });
+    return unique;
+  },
+
+  // Pick rows × cols squares of one size forming a grid and order them
+  // row by row. Returns the ordered squares or null.
+  arrangeGrid: function (squares, rows, cols) {
+    const cv = this.getCv();
+    const n = rows * cols;
+    if (squares.length < n) return null;
+
+    // Largest group of similar-sized squares
+    let group = [];
+    squares.forEach((ref) => {
+      const members = squares.filter(
+        (s) => s.area > ref.area * 0.65 && s.area < ref.area * 1.35
+      );
+      if (members.length > group.length) group = members;
+    });
+    if (group.length < n) return null;
+
+    // Keep the connected cluster (neighbours within 1.6× the typical spacing)
+    const nearest = group.map((s) =>
+      Math.min.apply(
+        null,
+        group.filter((t) => t !== s).map((t) => Math.hypot(t.center.x - s.center.x, t.center.y - s.center.y))
+      )
+    );
+    const spacing = nearest.slice().sort((a, b) => a - b)[Math.floor(nearest.length / 2)];
+    let best = [];
+    const seen = new Set();
+    group.forEach((start) => {
+      if (seen.has(start)) return;
+      const cluster = [start];
+      seen.add(start);
+      for (let k = 0; k < cluster.length; k++) {
+        group.forEach((t) => {
+          if (seen.has(t)) return;
+          const d = Math.hypot(t.center.x - cluster[k].center.x, t.center.y - cluster[k].center.y);
+          if (d < spacing * 1.6) {
+            seen.add(t);
+            cluster.push(t);
+          }
+        });
+      }
+      if (cluster.length > best.length) best = cluster;
+    });
+    if (best.length !== n) return null;
+
+    // Grid axes from the minimum-area rectangle around the centres
+    const flat = [];
+    best.forEach((s) => flat.push(s.center.x, s.center.y));
+    let centers = cv.matFromArray(n, 1, cv.CV_32FC2, flat);
+    const box = cv.minAreaRect(centers);
+    centers.delete();
+    const angle = (box.angle * Math.PI) / 180;
+    const toGrid = (p) => ({
+      x: p.x * Math.cos(angle) + p.y * Math.sin(angle),
+      y: -p.x * Math.sin(angle) + p.y * Math.cos(angle),
+    });
+
+    // Split into lines along one axis; transpose if the counts do not fit
+    const splitLines = (axis) => {
+      const sorted = best
+        .map((s) => ({ square: s, g: toGrid(s.center) }))
+        .sort((a, b) => a.g[axis] - b.g[axis]);
+      const lines = [[sorted[0]]];
+      for (let k = 1; k < sorted.length; k++) {
+        if (sorted[k].g[axis] - sorted[k - 1].g[axis] > spacing * 0.5) lines.push([]);
+        lines[lines.length - 1].push(sorted[k]);
+      }
+      return lines;
+    };
+    const fits = (lines, count, size) =>
+      lines.length === count && lines.every((line) => line.length === size);
+
+    let lines = splitLines('y');
+    let along = 'x';
+    if (!fits(lines, rows, cols)) {
+      lines = splitLines('x');
+      along = 'y';
+      if (!fits(lines, rows, cols)) return null;
+    }
+
+    // Order corners of each square TL, TR, BR, BL in the grid frame
+    const ordered = [];
+    lines.forEach((line, row) => {
+      line.sort((a, b) => a.g[along] - b.g[along]);
+      line.forEach((entry, col) => {
+        const local = entry.square.corners.map((p) => {
+          const g = toGrid(p);
+          return along === 'x' ? { p: p, u: g.x, v: g.y } : { p: p, u: g.y, v: g.x };
+        });
+        const pick = (score) => local.reduce((a, b) => (score(b) < score(a) ? b : a)).p;
+        ordered.push({
+          row: row,
+          col: col,
+          center: entry.square.center,
+          corners: [
+            pick((c) => c.u + c.v),
+            pick((c) => -c.u + c.v),
+            pick((c) => -c.u - c.v),
+            pick((c) => c.u - c.v),
+          ],
+        });
+      });
+    });
+    return ordered;
+  },
+
+  /**
+   * Find the printed target in an image and derive the scale from it.
+   *
+   * image: cv.Mat (RGBA or gray) or an RGBA buffer { data, width, height }.
+   * spec: { rows, cols, squareSize, pitch } (cm), see defaults.
+   *
+   * Returns { spec, squares (ordered: row, col, center, corners),
+   * imagePoints / objectPoints (square centres, px / cm), homography
+   * (target cm → image px), pxPerCm (at the target centre),
+   * reprojectionError (RMS px), scaleRelativeError (standard error of
+   * pxPerCm, relative), distortion (see estimateDistortion),
+   * center (image px) }.
+   * Throws when the target cannot be found.
+   */
+  detect: function (image, spec) {
+    const cv = this.getCv();
+    const s = this.normalizeSpec(spec);
+
+    let src = image instanceof cv.Mat ? image : cv.matFromImageData(image);
+    let gray = new cv.Mat();
+
+    try {
+      if (src.channels() === 1) {
+        src.copyTo(gray);
+      } else {
+        cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+      }
+
+      const candidates = this.findSquares(gray);
+      const squares = this.arrangeGrid(candidates, s.rows, s.cols);
+      if (!squares) {
+        throw new Error(
+          `Calibration target not found (${candidates.length} square candidates, ` +
+            `${s.rows * s.cols} expected)`
+        );
+      }
+
+      const layout = this.layout(s);
+      // Square centroids are sub-pixel and unbiased by the threshold level
+      const objectPoints = [];
+      const imagePoints = [];
+      squares.forEach((sq, i) => {
+        const c = layout[i].corners;
+        imagePoints.push(sq.center);
+        objectPoints.push({ x: (c[0].x + c[2].x) / 2, y: (c[0].y + c[2].y) / 2 });
+      });
+
+      const H = this.fitHomography(objectPoints, imagePoints);
+      const size = this.size(s);
+      const middle = { x: size.width / 2, y: size.height / 2 };
+
+      // Relative error of the scale: point noise over the grid's lever arm
+      const rms = this.reprojectionRms(H, objectPoints, imagePoints);
+      const mean = imagePoints.reduce(
+        (acc, p) => ({ x: acc.x + p.x / imagePoints.length, y: acc.y + p.y / imagePoints.length }),
+        { x: 0, y: 0 }
+      );
+      const spread = Math.sqrt(
+        imagePoints.reduce((sum, p) => sum + (p.x - mean.x) ** 2 + (p.y - mean.y) ** 2, 0) /
+          imagePoints.length
+      );
+
+      return {
+        spec: s,
+        squares: squares,
+        imagePoints: imagePoints,
+        objectPoints: objectPoints,
+        homography: H,
+        pxPerCm: this.localScale(H, middle),
+        reprojectionError: rms,
+        scaleRelativeError: spread > 0 ? rms / (Math.sqrt(imagePoints.length) * spread) : 0,
+        distortion: this.estimateDistortion(objectPoints, imagePoints, gray.cols, gray.rows),
+        center: this.project(H, middle),
+      };
+    } finally {
+      if (src !== image) src.delete();
+      gray.delete();
+    }
+  },
+};
+
+// Export target helpers (CommonJS under Node, global in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CalibrationTarget;
+} else {
+  window.CalibrationTarget = CalibrationTarget;
+}
@@ -38,6 +38,56 @@ const ImageUtils = {
       return srcMat.clone();
     }
   },
+
+  // Binary mask (cv.Mat, 8-bit) as a PNG data URL: white = set, transparent = clear
+  maskDataURL: function (mask) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = mask.cols;
+      canvas.height = mask.rows;
+      const ctx = canvas.getContext('2d');
+      const imageData = ctx.createImageData(mask.cols, mask.rows);
+      for (let i = 0; i < mask.data.length; i++) {
+        if (mask.data[i]) {
+          imageData.data.fill(255, i * 4, i * 4 + 4);
+        }
+      }
+      ctx.putImageData(imageData, 0, 0);
+      return canvas.toDataURL('image/png');
+    } catch (error) {
+      console.error('Error encoding mask:', error);
+      return null;
+    }
+  },
+
+  // Downscale a canvas into a small JPEG data URL (for history thumbnails)
+  canvasThumbnail: function (canvas, maxSize = 160, quality = 0.7) {
+    try {
+      if (!canvas || !canvas.width || !canvas.height) return null;
+      const ratio = Math.min(1, maxSize / Math.max(canvas.width, canvas.height));
+      const thumb = document.createElement('canvas');
+      thumb.width = Math.round(canvas.width * ratio);
+      thumb.height = Math.round(canvas.height * ratio);
+      thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+      return thumb.toDataURL('image/jpeg', quality);
+    } catch (error) {
+      console.error('Error creating thumbnail:', error);
+      return null;
+    }
+  },
+
+  // Encode an RGBA cv.Mat as an image Blob (full resolution)
+  matToBlob: function (mat, type = 'image/jpeg', quality = 0.92) {
+    return new Promise((resolve, reject) => {
+      const canvas = document.createElement('canvas');
+      cv.imshow(canvas, mat);
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error('Could not encode image'))),
+        type,
+        quality
+      );
+    });
+  },
 };
 
 // Validation utilities
@@ -79,6 +129,30 @@ const FileUtils = {
     }
   },
 
+  // Download a Blob (PDF, PNG, ...) under the given file name
+  saveBlob: function (blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  // Blob <-> data URL, for embedding images in JSON files
+  blobToDataURL: function (blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to read image data'));
+      reader.readAsDataURL(blob);
+    });
+  },
+
+  dataURLToBlob: function (dataURL) {
+    return fetch(dataURL).then((response) => response.blob());
+  },
+
   loadImage: function (file) {
     return new Promise((resolve, reject) => {
       // Check if file is provided
@@ -210,13 +284,60 @@ const DrapeFormulas = {
     return clampedCoefficient;
   },
 
-  // Calculate fabric properties
+  // Calculate fabric properties (classification lives in DrapeAnalyzer)
   fabricProperties: function (drapeCoefficient) {
-    // Categorize drape based on coefficient
-    if (drapeCoefficient < 30) return 'Stiff';
-    if (drapeCoefficient < 60) return 'Medium Drape';
-    if (drapeCoefficient < 85) return 'Good Drape';
-    return 'Excellent Drape';
+    return DrapeAnalyzer.classify(drapeCoefficient);
+  },
+};
+
+// Descriptive statistics for replicate specimens
+const Statistics = {
+  // Two-sided 95% Student t critical values for 1..30 degrees of freedom
+  T_CRITICAL_95: [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+    2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+  ],
+
+  tCritical95: function (df) {
+    if (df < 1) return NaN;
+    if (df <= 30) return this.T_CRITICAL_95[df - 1];
+    if (df <= 40) return 2.021;
+    if (df <= 60) return 2.0;
+    if (df <= 120) return 1.98;
+    return 1.96;
+  },
+
+  mean: function (values) {
+    if (values.length === 0) return NaN;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  },
+
+  // Sample standard deviation (n - 1)
+  standardDeviation: function (values) {
+    if (values.length < 2) return NaN;
+    const mean = this.mean(values);
+    const sumSq = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0);
+    return Math.sqrt(sumSq / (values.length - 1));
+  },
+
+  // n, mean, SD, CV (%) and 95% confidence interval of the mean
+  summarize: function (values) {
+    const n = values.length;
+    const mean = this.mean(values);
+    const sd = this.standardDeviation(values);
+    const cv = n >= 2 && mean !== 0 ? (sd / Math.abs(mean)) * 100 : NaN;
+    const halfWidth = n >= 2 ? (this.tCritical95(n - 1) * sd) / Math.sqrt(n) : NaN;
+
+    return {
+      n: n,
+      mean: mean,
+      sd: sd,
+      cv: cv,
+      ciLow: mean - halfWidth,
+      ciHigh: mean + halfWidth,
+      ciHalfWidth: halfWidth,
+    };
   },
 };
 
@@ -321,29 +442,205 @@ const UIUtils = {
     }
   },
 
-  // Create a draggable/resizable circle for cropping
-  createCropCircle: function (canvas, centerX, centerY, diameter) {
+  // Create a draggable/resizable circle over a canvas (screen px, relative to
+  // the canvas container). options: { color, label, movable (centre handle,
+  // default true), resizable (edge handle, default true), onChange }.
+  // onChange({ x, y, diameter }, done) fires while a handle is dragged
+  // (done = false) and once when it is released (done = true). The circle
+  // itself lets clicks through; only the handles take the pointer.
+  createCropCircle: function (canvas, centerX, centerY, diameter, options = {}) {
+    const color = options.color || '#3498db';
     const circle = document.createElement('div');
     circle.className = 'crop-circle';
     circle.style.cssText = `
             position: absolute;
-            left: ${centerX - diameter / 2}px;
-            top: ${centerY - diameter / 2}px;
-            width: ${diameter}px;
-            height: ${diameter}px;
-            border: 2px dashed #3498db;
+            border: 2px dashed ${color};
             border-radius: 50%;
             background: transparent;
             z-index: 4;
-            cursor: move;
             box-sizing: border-box;
+            pointer-events: none;
         `;
 
+    const state = { x: centerX, y: centerY, diameter: diameter };
+    const place = () => {
+      circle.style.left = `${state.x - state.diameter / 2}px`;
+      circle.style.top = `${state.y - state.diameter / 2}px`;
+      circle.style.width = `${state.diameter}px`;
+      circle.style.height = `${state.diameter}px`;
+    };
+    place();
+
+    if (options.label) {
+      const label = document.createElement('div');
+      label.className = 'crop-circle-label';
+      label.style.background = color;
+      label.textContent = options.label;
+      circle.appendChild(label);
+    }
+
+    // A handle drags in container coordinates and reports the new circle
+    const addHandle = (className, update) => {
+      const handle = document.createElement('div');
+      handle.className = `crop-circle-handle ${className}`;
+      handle.style.background = color;
+      circle.appendChild(handle);
+
+      const pointer = (e) => {
+        const rect = circle.parentElement.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      };
+      let dragging = false;
+      handle.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dragging = true;
+        handle.setPointerCapture(e.pointerId);
+      });
+      handle.addEventListener('pointermove', (e) => {
+        if (!dragging) return;
+        update(pointer(e));
+        place();
+        if (options.onChange) options.onChange(Object.assign({}, state), false);
+      });
+      const end = () => {
+        if (!dragging) return;
+        dragging = false;
+        if (options.onChange) options.onChange(Object.assign({}, state), true);
+      };
+      handle.addEventListener('pointerup', end);
+      handle.addEventListener('pointercancel', end);
+      // Keep clicks on a handle from reaching the canvas below
+      handle.addEventListener('click', (e) => e.stopPropagation());
+    };
+
+    if (options.movable !== false) {
+      addHandle('crop-circle-move', (p) => {
+        state.x = p.x;
+        state.y = p.y;
+      });
+    }
+    if (options.resizable !== false) {
+      addHandle('crop-circle-resize', (p) => {
+        state.diameter = Math.max(10, 2 * Math.hypot(p.x - state.x, p.y - state.y));
+      });
+    }
+
     canvas.parentElement.appendChild(circle);
     return circle;
   },
 };
 
+// Small canvas charts for the drape shape analysis
+const ChartUtils = {
+  // Size the canvas backing store to its displayed size and clear it
+  prepare: function (canvas) {
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    return { ctx: ctx, width: width, height: height };
+  },
+
+  clear: function (canvas) {
+    if (!canvas) return;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+  },
+
+  // Polar plot of r(θ) with a dashed circle at the mean radius.
+  // angles in degrees (image convention: clockwise from +x), radii any unit.
+  drawPolarProfile: function (canvas, angles, radii, options = {}) {
+    const { ctx, width, height } = this.prepare(canvas);
+    const cx = width / 2;
+    const cy = height / 2;
+    const maxR = Math.max.apply(null, radii);
+    if (!(maxR > 0)) return;
+    const scale = (Math.min(width, height) / 2 - 10) / maxR;
+
+    // Reference circles: support disk (if given) and mean radius
+    const circles = [];
+    if (options.innerRadius) circles.push({ r: options.innerRadius, color: '#e74c3c' });
+    const meanR = radii.reduce((s, r) => s + r, 0) / radii.length;
+    circles.push({ r: meanR, color: '#95a5a6' });
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1;
+    circles.forEach(({ r, color }) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(cx, cy, r * scale, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Profile outline
+    ctx.strokeStyle = options.color || '#27ae60';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    radii.forEach((r, i) => {
+      const theta = (angles[i] * Math.PI) / 180;
+      const x = cx + r * scale * Math.cos(theta);
+      const y = cy + r * scale * Math.sin(theta);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+
+    // Optional markers (e.g. nodes) as { angle, radius }
+    (options.markers || []).forEach((m) => {
+      const theta = (m.angle * Math.PI) / 180;
+      ctx.fillStyle = '#c0392b';
+      ctx.beginPath();
+      ctx.arc(
+        cx + m.radius * scale * Math.cos(theta),
+        cy + m.radius * scale * Math.sin(theta),
+        3,
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+    });
+  },
+
+  // Bar chart of harmonic amplitudes; values[0] is harmonic 1
+  drawSpectrum: function (canvas, values, options = {}) {
+    const { ctx, width, height } = this.prepare(canvas);
+    const pad = { left: 30, right: 8, top: 10, bottom: 20 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const maxV = Math.max.apply(null, values);
+    if (!(maxV > 0) || plotW <= 0 || plotH <= 0) return;
+
+    // Axes
+    ctx.strokeStyle = '#7f8c8d';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, pad.top);
+    ctx.lineTo(pad.left, pad.top + plotH);
+    ctx.lineTo(pad.left + plotW, pad.top + plotH);
+    ctx.stroke();
+
+    ctx.fillStyle = '#2c3e50';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'right';
+    ctx.fillText(maxV.toFixed(2), pad.left - 3, pad.top + 8);
+    ctx.fillText('0', pad.left - 3, pad.top + plotH);
+
+    const slot = plotW / values.length;
+    ctx.textAlign = 'center';
+    values.forEach((v, i) => {
+      const barH = (v / maxV) * plotH;
+      const x = pad.left + i * slot;
+      ctx.fillStyle = i + 1 === options.highlight ? '#e67e22' : '#3498db';
+      ctx.fillRect(x + slot * 0.15, pad.top + plotH - barH, slot * 0.7, barH);
+      ctx.fillStyle = '#2c3e50';
+      ctx.fillText(String(i + 1), x + slot / 2, height - 6);
+    });
+  },
+};
+
 // Add CSS for animations
 (function () {
   const style = document.createElement('style');
@@ -365,4 +662,6 @@ window.ImageUtils = ImageUtils;
 window.Validation = Validation;
 window.FileUtils = FileUtils;
 window.DrapeFormulas = DrapeFormulas;
+window.Statistics = Statistics;
 window.UIUtils = UIUtils;
+window.ChartUtils = ChartUtils;